@@ -0,0 +1,153 @@
+/**
+ * APPARENT PLACES
+ * Light-time, stellar aberration, precession and nutation for turning
+ * geometric heliocentric positions into what an observer actually sees.
+ * Vectors are [x, y, z] arrays in AU and AU/day; the light-time and
+ * aberration steps work in any fixed frame, precession and nutation expect
+ * the J2000 equator. Angles are radians.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const ARCSEC_TO_RAD = DEG_TO_RAD / 3600;
+const J2000 = 2451545.0;
+// Speed of light in AU/day (IAU 2012 au, 299792.458 km/s)
+const C_AU_PER_DAY = 173.1446326846693;
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const norm = (a) => Math.sqrt(dot(a, a));
+
+/**
+ * Vector from `observer` (at `jd`) to the target where it was when the light
+ * now arriving left it. `targetAt(jd)` returns the target's position.
+ * Three iterations settle the light-time to well under a millisecond for
+ * anything in the solar system.
+ */
+export function correctLightTime(targetAt, observer, jd, iterations = 3) {
+  let lightTime = 0;
+  let target = targetAt(jd);
+  let relative = sub(target, observer);
+  for (let n = 0; n < iterations; n++) {
+    lightTime = norm(relative) / C_AU_PER_DAY;
+    target = targetAt(jd - lightTime);
+    relative = sub(target, observer);
+  }
+  return { relative, target, lightTime };
+}
+
+/**
+ * Stellar aberration to first order in v/c: shifts the direction of
+ * `relative` towards the observer's velocity. The length is preserved.
+ */
+export function applyAberration(relative, velocity) {
+  const distance = norm(relative);
+  const u = relative.map((c) => c / distance);
+  const beta = velocity.map((c) => c / C_AU_PER_DAY);
+  const projection = dot(u, beta);
+  const shifted = u.map((c, k) => c + beta[k] - c * projection);
+  const length = norm(shifted);
+  return shifted.map((c) => (c / length) * distance);
+}
+
+/** Lieske (IAU 1976) precession: J2000 equator to mean equator of date */
+export function precessToDate([x, y, z], jd) {
+  const T = (jd - J2000) / 36525;
+  const zeta =
+    (2306.2181 * T + 0.30188 * T * T + 0.017998 * T * T * T) * ARCSEC_TO_RAD;
+  const zed =
+    (2306.2181 * T + 1.09468 * T * T + 0.018203 * T * T * T) * ARCSEC_TO_RAD;
+  const theta =
+    (2004.3109 * T - 0.42665 * T * T - 0.041833 * T * T * T) * ARCSEC_TO_RAD;
+
+  const cz = Math.cos(zeta);
+  const sz = Math.sin(zeta);
+  const cZ = Math.cos(zed);
+  const sZ = Math.sin(zed);
+  const ct = Math.cos(theta);
+  const st = Math.sin(theta);
+  return [
+    (cz * ct * cZ - sz * sZ) * x + (-sz * ct * cZ - cz * sZ) * y - st * cZ * z,
+    (cz * ct * sZ + sz * cZ) * x + (-sz * ct * sZ + cz * cZ) * y - st * sZ * z,
+    cz * st * x - sz * st * y + ct * z,
+  ];
+}
+
+/**
+ * Nutation in longitude and obliquity from the four largest IAU 1980 terms
+ * (Meeus ch. 22, good to about 0.5") plus the mean obliquity of date
+ */
+export function getNutation(jd) {
+  const T = (jd - J2000) / 36525;
+  const node = (125.04452 - 1934.136261 * T) * DEG_TO_RAD;
+  const sun = (280.4665 + 36000.7698 * T) * DEG_TO_RAD;
+  const moon = (218.3165 + 481267.8813 * T) * DEG_TO_RAD;
+  const longitude =
+    -17.2 * Math.sin(node) -
+    1.32 * Math.sin(2 * sun) -
+    0.23 * Math.sin(2 * moon) +
+    0.21 * Math.sin(2 * node);
+  const obliquity =
+    9.2 * Math.cos(node) +
+    0.57 * Math.cos(2 * sun) +
+    0.1 * Math.cos(2 * moon) -
+    0.09 * Math.cos(2 * node);
+  const meanObliquity =
+    84381.448 - 46.815 * T - 0.00059 * T * T + 0.001813 * T * T * T;
+  return {
+    longitude: longitude * ARCSEC_TO_RAD,
+    obliquity: obliquity * ARCSEC_TO_RAD,
+    meanObliquity: meanObliquity * ARCSEC_TO_RAD,
+  };
+}
+
+/** Mean equator of date to the true equator of date */
+export function nutateToDate([x, y, z], jd) {
+  const { longitude, obliquity, meanObliquity } = getNutation(jd);
+  const trueObliquity = meanObliquity + obliquity;
+  // Onto the mean ecliptic, along it by the nutation in longitude, and back
+  // up with the true obliquity
+  const cm = Math.cos(meanObliquity);
+  const sm = Math.sin(meanObliquity);
+  const ey = y * cm + z * sm;
+  const ez = -y * sm + z * cm;
+  const cl = Math.cos(longitude);
+  const sl = Math.sin(longitude);
+  const lx = x * cl - ey * sl;
+  const ly = x * sl + ey * cl;
+  const ct = Math.cos(trueObliquity);
+  const st = Math.sin(trueObliquity);
+  return [lx, ly * ct - ez * st, ly * st + ez * ct];
+}
+
+/** Angle in radians at `vertex` between the directions to `a` and `b` */
+export function angleAt(vertex, a, b) {
+  const u = sub(a, vertex);
+  const v = sub(b, vertex);
+  const cos = dot(u, v) / (norm(u) * norm(v));
+  return Math.acos(Math.min(1, Math.max(-1, cos)));
+}
+
+/**
+ * Visual magnitude from `model` = { H, phase: [c1, c2, ...], ring: [a, b] }:
+ * H + 5 log10(r * delta) + c1 i + c2 i^2 + ... with the phase angle i in
+ * degrees. `ring` adds a sin|B| + b sin^2 B for a ring tilted by B towards
+ * the observer (Saturn).
+ */
+export function getApparentMagnitude(
+  model,
+  r,
+  delta,
+  phaseAngle,
+  ringTilt = 0
+) {
+  const i = phaseAngle / DEG_TO_RAD;
+  let magnitude = model.H + 5 * Math.log10(r * delta);
+  (model.phase || []).forEach((c, n) => {
+    magnitude += c * Math.pow(i, n + 1);
+  });
+  if (model.ring) {
+    const sinB = Math.abs(Math.sin(ringTilt));
+    magnitude += model.ring[0] * sinB + model.ring[1] * sinB * sinB;
+  }
+  return magnitude;
+}
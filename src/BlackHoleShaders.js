@@ -1,12 +1,16 @@
 export const bhVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
 varying vec2 vUv;
 void main() {
     vUv = uv;
     gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    #include <logdepthbuf_vertex>
 }
 `;
 
 export const bhFragmentShader = `
+#include <logdepthbuf_pars_fragment>
 // fragment.glsl
 uniform float uTime;
 
@@ -129,6 +133,7 @@ vec3 sampleBackground(vec3 dir) {
 }
 
 void main() {
+    #include <logdepthbuf_fragment>
     // Normalized screen-space coordinates centered at (0,0)
     vec2 uv = vUv * 2.0 - 1.0;
     uv.x *= uAspect;
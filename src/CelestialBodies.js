@@ -0,0 +1,1094 @@
+/**
+ * CELESTIAL BODIES
+ * The body table shared by the renderer and the headless ephemeris: orbital
+ * elements and physical data alongside the display settings the scene uses.
+ */
+
+const J2000 = 2451545.0;
+
+export const GM_SUN = 1.32712440018e11; // km^3/s^2
+
+// Planetary elements are J2000 values with per-century rates from JPL's
+// "Keplerian Elements for Approximate Positions of the Major Planets"
+// (Table 2a/2b, valid 3000 BC - 3000 AD). `w` is the longitude of perihelion
+// and `o` the longitude of the ascending node, both in degrees.
+// `radius` is the display size and `radiusKm` the physical mean radius.
+// `mu` is each body's gravitational parameter in km^3/s^2. Satellite elements
+// are relative to their parent and referred to their own `epoch` (JD).
+// `satelliteDistanceFactor` spreads a planet's moon system out so that it
+// stays clear of the inflated planet mesh; a moon's own `distanceFactor`
+// overrides it. Moons without a `texture` get a procedural surface.
+// Dwarf planets are tagged `category: "dwarf"`; apart from Pluto (Table 2a)
+// they use osculating elements at their own `epoch`. `ellipsoid` gives the
+// x/y/z axis ratios for non-spherical bodies, with y along the spin axis.
+// `pole` holds the IAU WGCCRE rotation model: north pole `ra`/`dec` (ICRF,
+// degrees, with optional per-century rates) and prime meridian `W0` plus
+// `Wdot` in degrees/day. Satellite elements are referred to the parent's
+// equator unless they set `frame: "ecliptic"`.
+// Comets and interstellar objects are given by perihelion distance `q` (AU),
+// eccentricity and time of perihelion `T` (JD) instead of `a` and `L`, which
+// also covers parabolic and hyperbolic orbits. Comets carry a `tail` block:
+// ion/dust tail lengths in AU at 1 AU from the Sun, the dust tail bend and
+// an overall activity factor.
+// `magnitude` gives the visual magnitude model: H at 1 AU from both Sun and
+// observer, per-degree phase angle polynomial coefficients and, for Saturn,
+// the ring tilt terms (Meeus, ch. 41).
+// `atmosphere` sets up a single-scattering shell: zenith Rayleigh optical
+// depths for red, green and blue, a Mie (haze or dust) optical depth with
+// its asymmetry `mieG` and optional `mieColor`, and the shell `height` and
+// density `scaleHeight` in body radii, both exaggerated so the shell shows
+// at display scale. `clouds` adds a cloud layer covering `coverage` of the
+// globe that laps the surface every `driftPeriod` hours. `nightLights`
+// lights the dark side from its own `texture`, or from a map made from the
+// land of the day texture. Gas giants' `bands` shear the texture along
+// `jets` alternating zonal jets at up to `shear` turns per second.
+// `rings` lie in the equatorial plane, each from `innerKm` to `outerKm` from
+// the planet's centre with its normal `opticalDepth` (one value, or a profile
+// spaced evenly from the inner to the outer edge), `color`, the `dust`
+// fraction that scatters light forward and any empty `gaps`.
+export const CELESTIAL_BODIES = [
+  {
+    name: "Sun",
+    radius: 0.05,
+    radiusKm: 695700,
+    mu: GM_SUN,
+    elements: { a: 0, e: 0, i: 0, L: 0, w: 0, o: 0 },
+    rotPeriod: 600,
+    pole: { ra: 286.13, dec: 63.87, W0: 84.176, Wdot: 14.1844 },
+    baseColor: 0xffff00,
+    magnitude: { H: -26.74 },
+    isStar: true,
+  },
+  {
+    name: "Mercury",
+    radius: 0.005,
+    radiusKm: 2439.7,
+    mu: 22031.78,
+    elements: {
+      a: 0.38709843,
+      e: 0.20563661,
+      i: 7.00559432,
+      L: 252.25166724,
+      w: 77.45771895,
+      o: 48.33961819,
+    },
+    rates: {
+      a: 0,
+      e: 0.00002123,
+      i: -0.00590158,
+      L: 149472.67486623,
+      w: 0.15940013,
+      o: -0.12214182,
+    },
+    rotPeriod: 1407.6,
+    pole: {
+      ra: 281.0103,
+      dec: 61.4155,
+      raRate: -0.0328,
+      decRate: -0.0049,
+      W0: 329.5988,
+      Wdot: 6.1385108,
+    },
+    baseColor: 0xaaaaaa,
+    texture: "mercury_smallsize.jpeg",
+    magnitude: { H: -0.42, phase: [0.038, -0.000273, 0.000002] },
+  },
+  {
+    name: "Venus",
+    radius: 0.012,
+    radiusKm: 6051.8,
+    mu: 324858.59,
+    elements: {
+      a: 0.72332102,
+      e: 0.00676399,
+      i: 3.39777545,
+      L: 181.9797085,
+      w: 131.76755713,
+      o: 76.67261496,
+    },
+    rates: {
+      a: -0.00000026,
+      e: -0.00005107,
+      i: 0.00043494,
+      L: 58517.8156026,
+      w: 0.05679648,
+      o: -0.27274174,
+    },
+    rotPeriod: -5832.5,
+    pole: { ra: 272.76, dec: 67.16, W0: 160.2, Wdot: -1.4813688 },
+    baseColor: 0xeecb8b,
+    texture: "venus_smallsize.jpeg",
+    atmosphere: {
+      rayleigh: [0.05, 0.07, 0.1],
+      mie: 0.8,
+      mieG: 0.3,
+      mieColor: [1.0, 0.86, 0.6],
+      height: 0.06,
+      scaleHeight: 0.015,
+    },
+    magnitude: { H: -4.4, phase: [0.0009, 0.000239, -0.00000065] },
+  },
+  {
+    name: "Earth",
+    radius: 0.013,
+    radiusKm: 6371.0,
+    mu: 398600.4418,
+    elements: {
+      a: 1.00000018,
+      e: 0.01673163,
+      i: -0.00054346,
+      L: 100.46691572,
+      w: 102.93005885,
+      o: -5.11260389,
+    },
+    rates: {
+      a: -0.00000003,
+      e: -0.00003661,
+      i: -0.01337178,
+      L: 35999.37306329,
+      w: 0.3179526,
+      o: -0.24123856,
+    },
+    rotPeriod: 23.9,
+    pole: {
+      ra: 0,
+      dec: 90,
+      raRate: -0.641,
+      decRate: -0.557,
+      W0: 190.147,
+      Wdot: 360.9856235,
+    },
+    baseColor: 0x2233ff,
+    texture: "earth_smallsize.jpeg",
+    magnitude: { H: -3.99, phase: [-0.00106, 0.0002054] },
+    atmosphere: {
+      rayleigh: [0.047, 0.108, 0.266],
+      mie: 0.04,
+      mieG: 0.76,
+      height: 0.05,
+      scaleHeight: 0.012,
+    },
+    clouds: { coverage: 0.5, opacity: 0.9, driftPeriod: 960 },
+    nightLights: {
+      texture: "earth_night_lights.jpeg",
+      color: 0xffc680,
+      intensity: 1.0,
+    },
+    satelliteDistanceFactor: 50,
+    satellites: [
+      {
+        name: "Moon",
+        radius: 0.0035,
+        radiusKm: 1737.4,
+        mu: 4902.8,
+        elements: {
+          a: 0.00257,
+          e: 0.0549,
+          i: 5.145,
+          L: 218.3164477,
+          w: 83.3532465,
+          o: 125.0445479,
+          frame: "ecliptic",
+        },
+        // Mean lunar elements (Meeus); the node regresses once every 18.6
+        // years, which is what sets the eclipse seasons
+        rates: {
+          a: 0,
+          e: 0,
+          i: 0,
+          L: 481267.88123421,
+          w: 4069.0137287,
+          o: -1934.1362891,
+        },
+        rotPeriod: 655.7,
+        pole: { ra: 269.9949, dec: 66.5392, W0: 38.3213, Wdot: 13.17635815 },
+        baseColor: 0x888888,
+        texture: "moon_smallsize.jpeg",
+        magnitude: { H: 0.21, phase: [0.026, 0, 0, 4e-9] },
+      },
+    ],
+  },
+  {
+    name: "Mars",
+    radius: 0.007,
+    radiusKm: 3389.5,
+    mu: 42828.37,
+    elements: {
+      a: 1.52371243,
+      e: 0.09336511,
+      i: 1.85181869,
+      L: -4.56813164,
+      w: -23.91744784,
+      o: 49.71320984,
+    },
+    rates: {
+      a: 0.00000097,
+      e: 0.00009149,
+      i: -0.00724757,
+      L: 19140.29934243,
+      w: 0.45223625,
+      o: -0.26852431,
+    },
+    rotPeriod: 24.6,
+    pole: {
+      ra: 317.68143,
+      dec: 52.8865,
+      raRate: -0.1061,
+      decRate: -0.0609,
+      W0: 176.63,
+      Wdot: 350.89198226,
+    },
+    baseColor: 0xff3300,
+    texture: "mars_smallsize.jpeg",
+    atmosphere: {
+      rayleigh: [0.002, 0.004, 0.009],
+      mie: 0.4,
+      mieG: 0.4,
+      mieColor: [1.0, 0.62, 0.4],
+      height: 0.04,
+      scaleHeight: 0.012,
+    },
+    magnitude: { H: -1.52, phase: [0.016] },
+    satelliteDistanceFactor: 400,
+    satellites: [
+      {
+        name: "Phobos",
+        radius: 0.0004,
+        radiusKm: 11.08,
+        mu: 0.000711,
+        elements: {
+          a: 0.0000627,
+          e: 0.0151,
+          i: 1.075,
+          L: 88.9,
+          w: 357.841,
+          o: 207.784,
+          epoch: J2000,
+        },
+        rotPeriod: 7.65,
+        pole: { ra: 317.68, dec: 52.9, W0: 35.06, Wdot: 1128.844585 },
+        baseColor: 0x7a6a5a,
+      },
+      {
+        name: "Deimos",
+        radius: 0.0003,
+        radiusKm: 6.27,
+        mu: 9.85e-5,
+        elements: {
+          a: 0.0001568,
+          e: 0.0002,
+          i: 1.788,
+          L: 250.583,
+          w: 285.254,
+          o: 24.525,
+          epoch: J2000,
+        },
+        rotPeriod: 30.3,
+        pole: { ra: 316.65, dec: 53.52, W0: 79.41, Wdot: 285.161897 },
+        baseColor: 0x8f7f6a,
+      },
+    ],
+  },
+  {
+    name: "Jupiter",
+    radius: 0.04,
+    radiusKm: 69911,
+    mu: 126686531.9,
+    elements: {
+      a: 5.20248019,
+      e: 0.0485359,
+      i: 1.29861416,
+      L: 34.33479152,
+      w: 14.27495244,
+      o: 100.29282654,
+    },
+    rates: {
+      a: -0.00002864,
+      e: 0.00018026,
+      i: -0.00322699,
+      L: 3034.90371757,
+      w: 0.18199196,
+      o: 0.13024619,
+    },
+    perturbations: {
+      b: -0.00012452,
+      c: 0.0606406,
+      s: -0.35635438,
+      f: 38.35125,
+    },
+    rotPeriod: 9.9,
+    pole: {
+      ra: 268.056595,
+      dec: 64.495303,
+      raRate: -0.006499,
+      decRate: 0.002413,
+      W0: 284.95,
+      Wdot: 870.536,
+    },
+    baseColor: 0xd8ca9d,
+    texture: "jupiter_smallsize.jpeg",
+    bands: { jets: 12, shear: 0.002 },
+    rings: [
+      {
+        name: "Halo",
+        innerKm: 92000,
+        outerKm: 122500,
+        opticalDepth: 1e-6,
+        color: 0x8c7a6b,
+        dust: 1,
+      },
+      {
+        name: "Main",
+        innerKm: 122500,
+        outerKm: 129000,
+        opticalDepth: 5e-6,
+        color: 0xa08a74,
+        dust: 1,
+      },
+      {
+        name: "Amalthea gossamer",
+        innerKm: 129000,
+        outerKm: 182000,
+        opticalDepth: 1e-7,
+        color: 0x8c7a6b,
+        dust: 1,
+      },
+      {
+        name: "Thebe gossamer",
+        innerKm: 182000,
+        outerKm: 226000,
+        opticalDepth: 3e-8,
+        color: 0x8c7a6b,
+        dust: 1,
+      },
+    ],
+    magnitude: { H: -9.4, phase: [0.005] },
+    satelliteDistanceFactor: 60,
+    satellites: [
+      {
+        name: "Io",
+        radius: 0.0037,
+        radiusKm: 1821.6,
+        mu: 5959.9,
+        elements: {
+          a: 0.0028196,
+          e: 0.0041,
+          i: 0.036,
+          L: 110.127,
+          w: 128.106,
+          o: 43.977,
+          epoch: J2000,
+        },
+        rotPeriod: 42.5,
+        pole: { ra: 268.05, dec: 64.5, W0: 200.39, Wdot: 203.4889538 },
+        baseColor: 0xe8d16a,
+      },
+      {
+        name: "Europa",
+        radius: 0.0035,
+        radiusKm: 1560.8,
+        mu: 3202.72,
+        elements: {
+          a: 0.004486,
+          e: 0.0094,
+          i: 0.466,
+          L: 119.092,
+          w: 308.076,
+          o: 219.106,
+          epoch: J2000,
+        },
+        rotPeriod: 85.2,
+        pole: { ra: 268.08, dec: 64.51, W0: 36.022, Wdot: 101.3747235 },
+        baseColor: 0xccccff,
+        texture: "jupiter-europa-texture.jpeg",
+      },
+      {
+        name: "Ganymede",
+        radius: 0.0054,
+        radiusKm: 2634.1,
+        mu: 9887.8,
+        elements: {
+          a: 0.0071552,
+          e: 0.0013,
+          i: 0.177,
+          L: 213.509,
+          w: 255.969,
+          o: 63.552,
+          epoch: J2000,
+        },
+        rotPeriod: 171.7,
+        pole: { ra: 268.2, dec: 64.57, W0: 44.064, Wdot: 50.3176081 },
+        baseColor: 0x9c8f7e,
+      },
+      {
+        name: "Callisto",
+        radius: 0.0049,
+        radiusKm: 2410.3,
+        mu: 7179.3,
+        elements: {
+          a: 0.0125851,
+          e: 0.0074,
+          i: 0.192,
+          L: 172.899,
+          w: 351.491,
+          o: 298.848,
+          epoch: J2000,
+        },
+        rotPeriod: 400.5,
+        pole: { ra: 268.72, dec: 64.83, W0: 259.51, Wdot: 21.5710715 },
+        baseColor: 0x6b5d4f,
+      },
+    ],
+  },
+  {
+    name: "Saturn",
+    radius: 0.035,
+    radiusKm: 58232,
+    mu: 37931206.2,
+    elements: {
+      a: 9.54149883,
+      e: 0.05550825,
+      i: 2.49424102,
+      L: 50.07571329,
+      w: 92.86136063,
+      o: 113.63998702,
+    },
+    rates: {
+      a: -0.00003065,
+      e: -0.00032044,
+      i: 0.00451969,
+      L: 1222.11494724,
+      w: 0.54179478,
+      o: -0.25015002,
+    },
+    perturbations: {
+      b: 0.00025899,
+      c: -0.13434469,
+      s: 0.87320147,
+      f: 38.35125,
+    },
+    rotPeriod: 10.7,
+    pole: {
+      ra: 40.589,
+      dec: 83.537,
+      raRate: -0.036,
+      decRate: -0.004,
+      W0: 38.9,
+      Wdot: 810.7939024,
+    },
+    baseColor: 0xc5ab6e,
+    texture: "saturn_smallsize.jpeg",
+    bands: { jets: 8, shear: 0.0015 },
+    rings: [
+      {
+        name: "D",
+        innerKm: 66900,
+        outerKm: 74510,
+        opticalDepth: 0.001,
+        color: 0x8a7a6a,
+        dust: 0.8,
+      },
+      {
+        name: "C",
+        innerKm: 74658,
+        outerKm: 92000,
+        opticalDepth: [0.05, 0.1, 0.08, 0.12, 0.15],
+        color: 0x9c8c78,
+        dust: 0.1,
+        gaps: [
+          { name: "Colombo", innerKm: 77745, outerKm: 77895 },
+          { name: "Maxwell", innerKm: 87342, outerKm: 87612 },
+        ],
+      },
+      {
+        name: "B",
+        innerKm: 92000,
+        outerKm: 117580,
+        opticalDepth: [1.0, 1.6, 2.5, 2.0, 3.0, 2.2, 1.8],
+        color: 0xe3d3b5,
+      },
+      {
+        name: "Cassini Division",
+        innerKm: 117580,
+        outerKm: 122170,
+        opticalDepth: 0.1,
+        color: 0x9f907d,
+        dust: 0.1,
+        gaps: [{ name: "Huygens", innerKm: 117680, outerKm: 118185 }],
+      },
+      {
+        name: "A",
+        innerKm: 122170,
+        outerKm: 136775,
+        opticalDepth: [0.6, 0.5, 0.45, 0.5, 0.3],
+        color: 0xd8c8ad,
+        dust: 0.05,
+        gaps: [
+          { name: "Encke", innerKm: 133423, outerKm: 133745 },
+          { name: "Keeler", innerKm: 136485, outerKm: 136527 },
+        ],
+      },
+      {
+        name: "F",
+        innerKm: 140155,
+        outerKm: 140205,
+        opticalDepth: 0.5,
+        color: 0xcfc0a8,
+        dust: 0.9,
+      },
+    ],
+    magnitude: { H: -8.88, phase: [0.044], ring: [-2.6, 1.25] },
+    satelliteDistanceFactor: 140,
+    satellites: [
+      {
+        name: "Enceladus",
+        radius: 0.0006,
+        radiusKm: 252.1,
+        mu: 7.21,
+        elements: {
+          a: 0.0015936,
+          e: 0.0047,
+          i: 0.009,
+          L: 31.477,
+          w: 194.43,
+          o: 342.507,
+          epoch: J2000,
+        },
+        rotPeriod: 32.9,
+        pole: { ra: 40.66, dec: 83.52, W0: 6.32, Wdot: 262.7318996 },
+        baseColor: 0xf2f6ff,
+      },
+      {
+        name: "Rhea",
+        radius: 0.0016,
+        radiusKm: 763.8,
+        mu: 153.9,
+        elements: {
+          a: 0.0035234,
+          e: 0.001,
+          i: 0.333,
+          L: 224.5,
+          w: 193.15,
+          o: 311.531,
+          epoch: J2000,
+        },
+        rotPeriod: 108.4,
+        pole: { ra: 40.38, dec: 83.55, W0: 235.16, Wdot: 79.6900478 },
+        baseColor: 0xc8c3bb,
+      },
+      {
+        name: "Titan",
+        radius: 0.0053,
+        radiusKm: 2574.7,
+        mu: 8978.1,
+        elements: {
+          a: 0.0081679,
+          e: 0.0288,
+          i: 0.306,
+          L: 11.902,
+          w: 208.592,
+          o: 28.06,
+          epoch: J2000,
+        },
+        rotPeriod: 382.7,
+        pole: { ra: 39.4827, dec: 83.4279, W0: 186.5855, Wdot: 22.5769768 },
+        baseColor: 0xd9a94e,
+        atmosphere: {
+          rayleigh: [0.05, 0.08, 0.15],
+          mie: 1.5,
+          mieG: 0.3,
+          mieColor: [0.95, 0.6, 0.25],
+          height: 0.2,
+          scaleHeight: 0.05,
+        },
+      },
+      {
+        name: "Iapetus",
+        radius: 0.0015,
+        radiusKm: 734.5,
+        mu: 120.5,
+        elements: {
+          a: 0.0238025,
+          e: 0.0286,
+          i: 8.298,
+          L: 194.5,
+          w: 352.711,
+          o: 81.105,
+          epoch: J2000,
+        },
+        rotPeriod: 1903.9,
+        pole: { ra: 318.16, dec: 75.03, W0: 355.2, Wdot: 4.5379572 },
+        baseColor: 0x9e8e78,
+      },
+    ],
+  },
+  {
+    name: "Uranus",
+    radius: 0.02,
+    radiusKm: 25362,
+    mu: 5793951.3,
+    elements: {
+      a: 19.18797948,
+      e: 0.0468574,
+      i: 0.77298127,
+      L: 314.20276625,
+      w: 172.43404441,
+      o: 73.96250215,
+    },
+    rates: {
+      a: -0.00020455,
+      e: -0.0000155,
+      i: -0.00180155,
+      L: 428.49512595,
+      w: 0.09266985,
+      o: 0.05739699,
+    },
+    perturbations: {
+      b: 0.00058331,
+      c: -0.97731848,
+      s: 0.17689245,
+      f: 7.67025,
+    },
+    rotPeriod: -17.2,
+    pole: { ra: 257.311, dec: -15.175, W0: 203.81, Wdot: -501.1600928 },
+    baseColor: 0x4fd0e7,
+    texture: "uranus_smallsize.jpeg",
+    bands: { jets: 4, shear: 0.001 },
+    rings: [
+      {
+        name: "6",
+        innerKm: 41836.1,
+        outerKm: 41837.9,
+        opticalDepth: 0.25,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "5",
+        innerKm: 42232.3,
+        outerKm: 42235.7,
+        opticalDepth: 0.55,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "4",
+        innerKm: 42569.3,
+        outerKm: 42572.7,
+        opticalDepth: 0.3,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "α",
+        innerKm: 44714.3,
+        outerKm: 44721.7,
+        opticalDepth: 0.35,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "β",
+        innerKm: 45656.6,
+        outerKm: 45665.4,
+        opticalDepth: 0.2,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "η",
+        innerKm: 47175.1,
+        outerKm: 47176.9,
+        opticalDepth: 0.2,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "γ",
+        innerKm: 47625.1,
+        outerKm: 47628.9,
+        opticalDepth: 1.5,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "δ",
+        innerKm: 48297.4,
+        outerKm: 48302.6,
+        opticalDepth: 0.45,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "λ",
+        innerKm: 50022.0,
+        outerKm: 50024.0,
+        opticalDepth: 0.15,
+        color: 0x3c3b3a,
+      },
+      {
+        name: "ε",
+        innerKm: 51120.0,
+        outerKm: 51178.0,
+        opticalDepth: 1.5,
+        color: 0x3c3b3a,
+      },
+    ],
+    magnitude: { H: -7.19 },
+    satelliteDistanceFactor: 50,
+    // Uranian moons from JPL's planetary satellite mean elements
+    // (ssd.jpl.nasa.gov/sats/elem, epoch J2000, Laplace plane), which list
+    // the argument of periapsis ω and mean anomaly M: w = ω + o, L = M + w.
+    // Titania (ω 284.400°) and Oberon (ω 104.400°) have ω and o each 180°
+    // apart, so both come to the same w.
+    satellites: [
+      {
+        name: "Titania",
+        radius: 0.0016,
+        radiusKm: 788.9,
+        mu: 228.2,
+        elements: {
+          a: 0.0029165,
+          e: 0.0011,
+          i: 0.079,
+          L: 48.785,
+          w: 24.171,
+          o: 99.771,
+          epoch: J2000,
+        },
+        rotPeriod: 208.9,
+        pole: { ra: 257.43, dec: -15.1, W0: 77.74, Wdot: -41.3514316 },
+        baseColor: 0xb3aca4,
+      },
+      {
+        name: "Oberon",
+        radius: 0.0016,
+        radiusKm: 761.4,
+        mu: 192.4,
+        elements: {
+          a: 0.0039005,
+          e: 0.0014,
+          i: 0.068,
+          L: 307.259,
+          w: 24.171,
+          o: 279.771,
+          epoch: J2000,
+        },
+        rotPeriod: 323.1,
+        pole: { ra: 257.43, dec: -15.1, W0: 6.77, Wdot: -26.7394932 },
+        baseColor: 0x9f958b,
+      },
+    ],
+  },
+  {
+    name: "Neptune",
+    radius: 0.02,
+    radiusKm: 24622,
+    mu: 6835099.5,
+    elements: {
+      a: 30.06952752,
+      e: 0.00895439,
+      i: 1.7700552,
+      L: 304.22289287,
+      w: 46.68158724,
+      o: 131.78635853,
+    },
+    rates: {
+      a: 0.00006447,
+      e: 0.00000818,
+      i: 0.000224,
+      L: 218.46515314,
+      w: 0.01009938,
+      o: -0.00606302,
+    },
+    perturbations: {
+      b: -0.00041348,
+      c: 0.68346318,
+      s: -0.10162547,
+      f: 7.67025,
+    },
+    rotPeriod: 16.1,
+    pole: { ra: 299.36, dec: 43.46, W0: 249.978, Wdot: 541.1397757 },
+    baseColor: 0x2974ff,
+    texture: "neptune_smallsize.jpeg",
+    bands: { jets: 6, shear: 0.002 },
+    rings: [
+      {
+        name: "Galle",
+        innerKm: 40900,
+        outerKm: 42900,
+        opticalDepth: 1e-4,
+        color: 0x5a4a44,
+        dust: 0.5,
+      },
+      {
+        name: "Le Verrier",
+        innerKm: 53143,
+        outerKm: 53257,
+        opticalDepth: 2e-3,
+        color: 0x5a4a44,
+        dust: 0.5,
+      },
+      {
+        name: "Lassell",
+        innerKm: 53257,
+        outerKm: 57150,
+        opticalDepth: 1.5e-4,
+        color: 0x5a4a44,
+        dust: 0.5,
+      },
+      {
+        name: "Arago",
+        innerKm: 57150,
+        outerKm: 57250,
+        opticalDepth: 2e-4,
+        color: 0x5a4a44,
+        dust: 0.5,
+      },
+      {
+        name: "Adams",
+        innerKm: 62915,
+        outerKm: 62950,
+        opticalDepth: 0.011,
+        color: 0x5a4a44,
+        dust: 0.5,
+      },
+    ],
+    magnitude: { H: -6.87 },
+    satelliteDistanceFactor: 50,
+    satellites: [
+      {
+        name: "Triton",
+        radius: 0.0028,
+        radiusKm: 1353.4,
+        mu: 1427.6,
+        elements: {
+          a: 0.0023717,
+          e: 0,
+          i: 156.865,
+          L: 82.383,
+          w: 177.608,
+          o: 177.608,
+          epoch: J2000,
+        },
+        rotPeriod: -141.0,
+        pole: { ra: 299.36, dec: 41.17, W0: 296.53, Wdot: -61.2572637 },
+        baseColor: 0xd8c9c0,
+      },
+    ],
+  },
+  {
+    name: "Pluto",
+    category: "dwarf",
+    radius: 0.0024,
+    radiusKm: 1188.3,
+    mu: 869.6,
+    elements: {
+      a: 39.48686035,
+      e: 0.24885238,
+      i: 17.1410426,
+      L: 238.96535011,
+      w: 224.09702598,
+      o: 110.30167986,
+    },
+    rates: {
+      a: 0.00449751,
+      e: 0.00006016,
+      i: 0.00000501,
+      L: 145.18042903,
+      w: -0.00968827,
+      o: -0.00809981,
+    },
+    perturbations: { b: -0.01262724, c: 0, s: 0, f: 0 },
+    rotPeriod: -153.3,
+    pole: { ra: 132.993, dec: -6.163, W0: 302.695, Wdot: -56.3625225 },
+    baseColor: 0xc8a888,
+    texture: "pluto_smallsize.jpeg",
+    magnitude: { H: -1.0 },
+    satelliteDistanceFactor: 150,
+    satellites: [
+      {
+        name: "Charon",
+        radius: 0.0012,
+        radiusKm: 606,
+        mu: 105.9,
+        elements: {
+          a: 0.000131,
+          e: 0.0002,
+          i: 0.08,
+          L: 304.104,
+          w: 173.034,
+          o: 26.928,
+          epoch: J2000,
+        },
+        rotPeriod: -153.3,
+        pole: { ra: 132.993, dec: -6.163, W0: 122.695, Wdot: -56.3625225 },
+        baseColor: 0x9a9187,
+      },
+    ],
+  },
+  {
+    name: "Ceres",
+    category: "dwarf",
+    radius: 0.001,
+    radiusKm: 469.7,
+    mu: 62.63,
+    elements: {
+      a: 2.7691651,
+      e: 0.07600902,
+      i: 10.59406704,
+      L: 231.2753,
+      w: 153.9032,
+      o: 80.3055316,
+      epoch: 2458600.5,
+    },
+    rotPeriod: 9.07,
+    pole: { ra: 291.418, dec: 66.764, W0: 170.65, Wdot: 952.1532 },
+    baseColor: 0x8c8c8c,
+  },
+  {
+    name: "Eris",
+    category: "dwarf",
+    radius: 0.0024,
+    radiusKm: 1163,
+    mu: 1108.0,
+    elements: {
+      a: 67.864,
+      e: 0.43607,
+      i: 44.04,
+      L: 33.579,
+      w: 187.59,
+      o: 35.951,
+      epoch: 2459000.5,
+    },
+    rotPeriod: 378.9,
+    baseColor: 0xe8e8e8,
+  },
+  {
+    name: "Haumea",
+    category: "dwarf",
+    radius: 0.0021,
+    radiusKm: 780,
+    mu: 267.4,
+    elements: {
+      a: 43.116,
+      e: 0.19642,
+      i: 28.2137,
+      L: 219.413,
+      w: 1.208,
+      o: 122.167,
+      epoch: 2459000.5,
+    },
+    rotPeriod: 3.92,
+    baseColor: 0xdddddd,
+    ellipsoid: [1, 0.51, 0.8],
+  },
+  {
+    name: "Makemake",
+    category: "dwarf",
+    radius: 0.0015,
+    radiusKm: 715,
+    mu: 207.0,
+    elements: {
+      a: 45.43,
+      e: 0.16126,
+      i: 28.9835,
+      L: 179.968,
+      w: 14.454,
+      o: 79.62,
+      epoch: 2458900.5,
+    },
+    rotPeriod: 22.8,
+    baseColor: 0xc87a5a,
+  },
+  {
+    name: "1I/'Oumuamua",
+    category: "interstellar",
+    radius: 0.001,
+    radiusKm: 0.1,
+    mu: 0,
+    elements: {
+      q: 0.25589,
+      e: 1.20113,
+      i: 122.74,
+      w: 266.407,
+      o: 24.597,
+      T: 2458006.0072,
+    },
+    rotPeriod: 7.3,
+    baseColor: 0x9a6b4f,
+  },
+  {
+    name: "2I/Borisov",
+    category: "interstellar",
+    radius: 0.001,
+    radiusKm: 0.5,
+    mu: 0,
+    elements: {
+      q: 2.00652,
+      e: 3.3565,
+      i: 44.053,
+      w: 157.27,
+      o: 308.15,
+      T: 2458826.05,
+    },
+    rotPeriod: 10,
+    baseColor: 0xb8c4d0,
+  },
+  {
+    name: "1P/Halley",
+    category: "comet",
+    radius: 0.001,
+    radiusKm: 5.5,
+    mu: 0,
+    elements: {
+      q: 0.58598,
+      e: 0.96714,
+      i: 162.262,
+      w: 169.752,
+      o: 58.42,
+      T: 2446470.959,
+    },
+    rotPeriod: 52.8,
+    baseColor: 0x4a4540,
+    tail: { ionLength: 0.6, dustLength: 0.3, dustCurvature: 0.5, activity: 1 },
+  },
+  {
+    name: "C/1995 O1 Hale-Bopp",
+    category: "comet",
+    radius: 0.0015,
+    radiusKm: 30,
+    mu: 0,
+    elements: {
+      q: 0.914,
+      e: 0.99508,
+      i: 89.43,
+      w: 53.06,
+      o: 282.47,
+      T: 2450539.63,
+    },
+    rotPeriod: 11.4,
+    baseColor: 0x4f4a44,
+    tail: {
+      ionLength: 1.2,
+      dustLength: 0.6,
+      dustCurvature: 0.6,
+      activity: 2.5,
+    },
+  },
+  {
+    name: "67P/Churyumov-Gerasimenko",
+    category: "comet",
+    radius: 0.0008,
+    radiusKm: 2,
+    mu: 0,
+    elements: {
+      q: 1.2432,
+      e: 0.641,
+      i: 7.04,
+      w: 62.92,
+      o: 50.14,
+      T: 2457247.59,
+    },
+    rotPeriod: 12.4,
+    baseColor: 0x3d3a37,
+    tail: {
+      ionLength: 0.1,
+      dustLength: 0.05,
+      dustCurvature: 0.4,
+      activity: 0.3,
+    },
+  },
+];
@@ -0,0 +1,56 @@
+/**
+ * COMET TAIL SHADERS
+ * Tail particles are laid out entirely on the GPU: each one flows from the
+ * nucleus to the tip along a (possibly curved) axis, so the CPU only updates
+ * a handful of uniforms per frame.
+ */
+
+export const cometTailVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+uniform float uTime;
+uniform vec3 uAntiSun;     // unit vector pointing away from the Sun
+uniform vec3 uLagDir;      // unit vector opposite to the orbital motion
+uniform float uLength;     // tail length in scene units
+uniform float uCurvature;  // 0 = straight ion tail, > 0 bends back along the orbit
+uniform float uWidth;      // half-width at the tip as a fraction of the length
+uniform float uFlowSpeed;
+uniform float uSize;
+uniform float uIntensity;
+
+attribute float aPhase;
+attribute vec3 aSpread;
+
+varying float vAlpha;
+
+void main() {
+  // Position along the tail, 0 at the nucleus and 1 at the tip
+  float t = fract(aPhase + uTime * uFlowSpeed);
+
+  vec3 axis = uAntiSun * t + uLagDir * (uCurvature * t * t);
+  vec3 pos = axis * uLength + aSpread * (uWidth * uLength * (0.05 + t));
+
+  vec4 mvPosition = modelViewMatrix * vec4(pos, 1.0);
+  gl_Position = projectionMatrix * mvPosition;
+  #include <logdepthbuf_vertex>
+  gl_PointSize = clamp(uSize * (1.0 - 0.5 * t) / -mvPosition.z, 1.0, 24.0);
+
+  // Fade towards the tip
+  vAlpha = uIntensity * (1.0 - t) * (1.0 - t);
+}
+`;
+
+export const cometTailFragmentShader = `
+#include <logdepthbuf_pars_fragment>
+uniform vec3 uColor;
+
+varying float vAlpha;
+
+void main() {
+  #include <logdepthbuf_fragment>
+  float d = length(gl_PointCoord - 0.5);
+  if (d > 0.5) discard;
+  float falloff = 1.0 - smoothstep(0.0, 0.5, d);
+  gl_FragColor = vec4(uColor, vAlpha * falloff);
+}
+`;
@@ -0,0 +1,416 @@
+/**
+ * EPHEMERIS
+ * Analytic positions from the orbital elements in CELESTIAL_BODIES, with no
+ * DOM or WebGL so the same code runs in the browser and in Node. Vectors are
+ * [x, y, z] arrays in AU (AU/day for velocities) on the J2000 ecliptic
+ * unless a frame says otherwise; dates are a Date (UTC) or a TDB Julian
+ * date; element angles are degrees.
+ *
+ *   positionOf(name, date, { frame, center })  position of `name`
+ *   velocityOf(name, date, { frame, center })  its velocity
+ *   elementsAt(name, date)                     elements about its parent
+ *   bodies()                                   names, parents, categories
+ *
+ * `frame` is "ecliptic" (default) or "equatorial" (J2000 equator) and
+ * `center` any body name, the Sun by default. The Earth and the Moon are
+ * placed at their own centres rather than the Earth-Moon barycentre the
+ * Earth's elements describe.
+ */
+
+import { CELESTIAL_BODIES, GM_SUN } from "./CelestialBodies.js";
+import { convertTime, dateToJulianDate } from "./TimeScales.js";
+
+export const DEG_TO_RAD = Math.PI / 180;
+export const OBLIQUITY_J2000 = 23.4392911 * DEG_TO_RAD;
+export const J2000 = 2451545.0;
+export const DAYS_PER_CENTURY = 36525;
+export const SECONDS_PER_DAY = 86400;
+export const AU_KM = 149597870.7;
+// |1 - e| below which orbits are solved with universal variables
+const NEAR_PARABOLIC_LIMIT = 0.01;
+// Half-width (days) of the central difference behind velocityOf
+export const VELOCITY_STEP_DAYS = 0.01;
+
+const TMP_CONIC = {};
+const TMP_ELEMENTS = {};
+
+// Dates are UTC; everything that propagates orbits takes its Julian date
+// in TDB
+export function getJulianDate(date) {
+  return convertTime(dateToJulianDate(date), "UTC", "TDB");
+}
+
+const toJulianDate = (date) =>
+  typeof date === "number" ? date : getJulianDate(date);
+
+export function getCenturiesSinceJ2000(jd) {
+  return (jd - J2000) / DAYS_PER_CENTURY;
+}
+
+function solveKepler(e, M) {
+  let E = M;
+  let delta = 1.0;
+  let iter = 0;
+  while (Math.abs(delta) > 1e-6 && iter < 100) {
+    delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E = E - delta;
+    iter++;
+  }
+  return E;
+}
+
+// Hyperbolic Kepler equation M = e sinh(H) - H
+function solveHyperbolicKepler(e, M) {
+  let H = Math.asinh(M / e);
+  let delta = 1.0;
+  let iter = 0;
+  while (Math.abs(delta) > 1e-10 && iter < 100) {
+    delta = (e * Math.sinh(H) - H - M) / (e * Math.cosh(H) - 1);
+    H = H - delta;
+    iter++;
+  }
+  return H;
+}
+
+// Stumpff functions for the universal variable formulation
+function stumpffC(z) {
+  if (z > 1e-4) return (1 - Math.cos(Math.sqrt(z))) / z;
+  if (z < -1e-4) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+  return 1 / 2 - z / 24 + (z * z) / 720;
+}
+
+function stumpffS(z) {
+  if (z > 1e-4) {
+    const s = Math.sqrt(z);
+    return (s - Math.sin(s)) / (s * s * s);
+  }
+  if (z < -1e-4) {
+    const s = Math.sqrt(-z);
+    return (Math.sinh(s) - s) / (s * s * s);
+  }
+  return 1 / 6 - z / 120 + (z * z) / 5040;
+}
+
+/**
+ * Universal Kepler equation e*x^3*S(z) + x = tau with z = (1 - e) x^2, in units
+ * where q = 1 and mu = 1. Solved with the Laguerre-Conway iteration, which
+ * converges from a rough guess on ellipses, parabolas and hyperbolas alike.
+ */
+function solveUniversalKepler(e, tau) {
+  const alpha = 1 - e;
+  let x = Math.abs(tau) > 1 ? Math.cbrt(6 * tau) : tau;
+  for (let iter = 0; iter < 50; iter++) {
+    const z = alpha * x * x;
+    const C = stumpffC(z);
+    const S = stumpffS(z);
+    const F = e * x * x * x * S + x - tau;
+    const dF = e * x * x * C + 1;
+    const ddF = e * x * (1 - z * S);
+    const root = Math.sqrt(Math.abs(16 * dF * dF - 20 * F * ddF));
+    const delta = (5 * F) / (dF + Math.sign(dF) * root);
+    x -= delta;
+    if (Math.abs(delta) < 1e-12 * Math.max(1, Math.abs(x))) break;
+  }
+  return x;
+}
+
+// Rotates in-plane coordinates (perihelion along +X) into the reference
+// plane the elements are given in
+export function orbitalPlaneToEcliptic(elements, X_orb, Y_orb, target = []) {
+  const i_rad = elements.i * DEG_TO_RAD;
+  const o_rad = elements.o * DEG_TO_RAD;
+  const w_rad = (elements.w - elements.o) * DEG_TO_RAD;
+  const cos_o = Math.cos(o_rad);
+  const sin_o = Math.sin(o_rad);
+  const cos_w = Math.cos(w_rad);
+  const sin_w = Math.sin(w_rad);
+  const cos_i = Math.cos(i_rad);
+  const sin_i = Math.sin(i_rad);
+  target[0] =
+    (cos_o * cos_w - sin_o * sin_w * cos_i) * X_orb +
+    (-cos_o * sin_w - sin_o * cos_w * cos_i) * Y_orb;
+  target[1] =
+    (sin_o * cos_w + cos_o * sin_w * cos_i) * X_orb +
+    (-sin_o * sin_w + cos_o * cos_w * cos_i) * Y_orb;
+  target[2] = sin_w * sin_i * X_orb + cos_w * sin_i * Y_orb;
+  return target;
+}
+
+/**
+ * Position for a mean anomaly in degrees. For e > 1 the semi-major axis is
+ * negative and `M_degrees` is the hyperbolic mean anomaly.
+ */
+export function getOrbitPosition(elements, M_degrees, target = []) {
+  const e = elements.e;
+  const a = elements.a;
+  const M = M_degrees * DEG_TO_RAD;
+  let X_orb;
+  let Y_orb;
+  if (e < 1) {
+    const E = solveKepler(e, M);
+    X_orb = a * (Math.cos(E) - e);
+    Y_orb = a * Math.sqrt(1 - e * e) * Math.sin(E);
+  } else {
+    const H = solveHyperbolicKepler(e, M);
+    X_orb = a * (Math.cosh(H) - e);
+    Y_orb = -a * Math.sqrt(e * e - 1) * Math.sinh(H);
+  }
+  return orbitalPlaneToEcliptic(elements, X_orb, Y_orb, target);
+}
+
+export function isPerihelionDefined(elements) {
+  return elements.T !== undefined;
+}
+
+// Semi-major axis form of q/e/T elements (a < 0 for hyperbolas)
+export function getConicElements(elements, target = {}) {
+  target.a = elements.q / (1 - elements.e);
+  target.e = elements.e;
+  target.i = elements.i;
+  target.w = elements.w;
+  target.o = elements.o;
+  return target;
+}
+
+/**
+ * Position on any conic given perihelion distance `q` (AU), eccentricity and
+ * time of perihelion `T` (JD). Orbits within NEAR_PARABOLIC_LIMIT of e = 1
+ * use the universal variable form, which stays well conditioned where the
+ * elliptic and hyperbolic equations break down.
+ */
+export function getPerihelionOrbitPosition(
+  elements,
+  jd,
+  mu = GM_SUN,
+  target = []
+) {
+  const { q, e } = elements;
+  // Time since perihelion scaled so that q = 1 and mu = 1
+  const tau = (jd - elements.T) * getMeanMotion(q, mu) * DEG_TO_RAD;
+
+  if (Math.abs(1 - e) > NEAR_PARABOLIC_LIMIT) {
+    const conic = getConicElements(elements, TMP_CONIC);
+    const M = (tau * Math.pow(Math.abs(1 - e), 1.5)) / DEG_TO_RAD;
+    return getOrbitPosition(conic, M, target);
+  }
+
+  const x = solveUniversalKepler(e, tau);
+  const z = (1 - e) * x * x;
+  const X_orb = q * (1 - x * x * stumpffC(z));
+  const Y_orb = q * Math.sqrt(1 + e) * (tau - x * x * x * stumpffS(z));
+  return orbitalPlaneToEcliptic(elements, X_orb, Y_orb, target);
+}
+
+/**
+ * Two-body mean motion in degrees/day for a semi-major axis `a` (AU) around
+ * a central body with gravitational parameter `mu` (km^3/s^2).
+ */
+export function getMeanMotion(a, mu) {
+  const aKm = Math.abs(a) * AU_KM;
+  return (Math.sqrt(mu / (aKm * aKm * aKm)) * SECONDS_PER_DAY) / DEG_TO_RAD;
+}
+
+export function getMeanAnomaly(elements, jd, mu = GM_SUN) {
+  const n = getMeanMotion(elements.a, mu);
+  const daysSinceEpoch = jd - (elements.epoch ?? J2000);
+  const currentL = elements.L + n * daysSinceEpoch;
+  return currentL - elements.w;
+}
+
+/**
+ * Propagates a body's J2000 elements to the given Julian date using its
+ * secular `rates`, and adds the b/c/s/f mean anomaly terms for the outer
+ * planets. Bodies without rates keep their frozen elements and advance the
+ * mean longitude with the two-body mean motion around `centralMu`.
+ * The result (including the mean anomaly `M`) is written into `target`.
+ */
+export function getElementsAt(data, jd, target = {}, centralMu = GM_SUN) {
+  const { elements, rates, perturbations } = data;
+
+  if (!rates) {
+    Object.assign(target, elements);
+    target.M = getMeanAnomaly(elements, jd, centralMu + (data.mu || 0));
+    return target;
+  }
+
+  const T = getCenturiesSinceJ2000(jd);
+  target.a = elements.a + rates.a * T;
+  target.e = elements.e + rates.e * T;
+  target.i = elements.i + rates.i * T;
+  target.L = elements.L + rates.L * T;
+  target.w = elements.w + rates.w * T;
+  target.o = elements.o + rates.o * T;
+
+  let M = target.L - target.w;
+  if (perturbations) {
+    const fT = perturbations.f * T * DEG_TO_RAD;
+    M +=
+      perturbations.b * T * T +
+      perturbations.c * Math.cos(fT) +
+      perturbations.s * Math.sin(fT);
+  }
+  target.M = M;
+  return target;
+}
+
+/**
+ * Position relative to the central body (gravitational parameter
+ * `centralMu`) in the plane the body's elements are referred to: the
+ * ecliptic for planets, the parent's equator for most moons.
+ */
+export function getOrbitalPosition(data, jd, centralMu = GM_SUN, target = []) {
+  if (isPerihelionDefined(data.elements)) {
+    return getPerihelionOrbitPosition(data.elements, jd, centralMu, target);
+  }
+  const elements = getElementsAt(data, jd, TMP_ELEMENTS, centralMu);
+  return getOrbitPosition(elements, elements.M, target);
+}
+
+const equatorialToEcliptic = ([x, y, z]) => {
+  const cosE = Math.cos(OBLIQUITY_J2000);
+  const sinE = Math.sin(OBLIQUITY_J2000);
+  return [x, y * cosE + z * sinE, -y * sinE + z * cosE];
+};
+
+const eclipticToEquatorial = ([x, y, z]) => {
+  const cosE = Math.cos(OBLIQUITY_J2000);
+  const sinE = Math.sin(OBLIQUITY_J2000);
+  return [x, y * cosE - z * sinE, y * sinE + z * cosE];
+};
+
+/**
+ * Ecliptic axes of a body's equator frame from its IAU `pole`: X towards
+ * the equator's ascending node on the ICRF equator, Z along the pole
+ */
+function getEquatorAxes(pole, jd) {
+  const T = getCenturiesSinceJ2000(jd);
+  const ra = (pole.ra + (pole.raRate || 0) * T) * DEG_TO_RAD;
+  const dec = (pole.dec + (pole.decRate || 0) * T) * DEG_TO_RAD;
+  const z = equatorialToEcliptic([
+    Math.cos(dec) * Math.cos(ra),
+    Math.cos(dec) * Math.sin(ra),
+    Math.sin(dec),
+  ]);
+  const x = equatorialToEcliptic([-Math.sin(ra), Math.cos(ra), 0]);
+  const y = [
+    z[1] * x[2] - z[2] * x[1],
+    z[2] * x[0] - z[0] * x[2],
+    z[0] * x[1] - z[1] * x[0],
+  ];
+  return [x, y, z];
+}
+
+// name -> { data, parent } for every body and moon in the table
+const BODY_INDEX = new Map();
+CELESTIAL_BODIES.forEach((data) => {
+  BODY_INDEX.set(data.name, { data, parent: null });
+  (data.satellites || []).forEach((sat) =>
+    BODY_INDEX.set(sat.name, { data: sat, parent: data })
+  );
+});
+
+function findBody(name) {
+  const body = BODY_INDEX.get(name);
+  if (!body) throw new Error(`Unknown body "${name}"`);
+  return body;
+}
+
+// A moon's position from its parent's centre on the ecliptic
+function getMoonOffset(data, parent, jd) {
+  const local = getOrbitalPosition(data, jd, parent.mu);
+  if (data.elements.frame === "ecliptic" || !parent.pole) return local;
+  const axes = getEquatorAxes(parent.pole, jd);
+  return [0, 1, 2].map((k) =>
+    axes.reduce((sum, axis, n) => sum + axis[k] * local[n], 0)
+  );
+}
+
+function getHeliocentric(name, jd) {
+  const { data, parent } = findBody(name);
+  if (data.isStar) return [0, 0, 0];
+
+  // The Earth's elements describe the Earth-Moon barycentre
+  if (name === "Earth" || name === "Moon") {
+    const earthData = findBody("Earth").data;
+    const moonData = findBody("Moon").data;
+    const barycentre = getOrbitalPosition(earthData, jd);
+    const moon = getMoonOffset(moonData, earthData, jd);
+    const share = moonData.mu / (earthData.mu + moonData.mu);
+    const earth = barycentre.map((c, k) => c - moon[k] * share);
+    return name === "Earth" ? earth : earth.map((c, k) => c + moon[k]);
+  }
+
+  if (!parent) return getOrbitalPosition(data, jd);
+  const offset = getMoonOffset(data, parent, jd);
+  return getHeliocentric(parent.name, jd).map((c, k) => c + offset[k]);
+}
+
+function toFrame(vector, frame) {
+  if (frame === "ecliptic") return vector;
+  if (frame === "equatorial") return eclipticToEquatorial(vector);
+  throw new Error(`Unknown frame "${frame}"`);
+}
+
+export function positionOf(
+  name,
+  date,
+  { frame = "ecliptic", center = "Sun" } = {}
+) {
+  const jd = toJulianDate(date);
+  const position = getHeliocentric(name, jd);
+  const origin = getHeliocentric(center, jd);
+  return toFrame(
+    position.map((c, k) => c - origin[k]),
+    frame
+  );
+}
+
+/**
+ * Rate of change per day of `positionAt(jd)` by a central difference, which
+ * works for every element form
+ */
+export function differentiate(positionAt, jd) {
+  const h = VELOCITY_STEP_DAYS;
+  const ahead = positionAt(jd + h);
+  const behind = positionAt(jd - h);
+  return ahead.map((c, k) => (c - behind[k]) / (2 * h));
+}
+
+export function velocityOf(name, date, options = {}) {
+  const jd = toJulianDate(date);
+  return differentiate((t) => positionOf(name, t, options), jd);
+}
+
+/**
+ * Elements about the body's parent (the Sun for planets) in the plane they
+ * are referred to: a (AU), e, i, L, w, o and the mean anomaly M. Orbits
+ * given by perihelion also keep q and T, and M is hyperbolic when e > 1.
+ * The other orbits have L, w, o and M reduced to 0..360.
+ */
+export function elementsAt(name, date) {
+  const jd = toJulianDate(date);
+  const { data, parent } = findBody(name);
+  if (data.isStar) throw new Error(`"${name}" has no orbit`);
+  const centralMu = parent ? parent.mu : GM_SUN;
+
+  if (isPerihelionDefined(data.elements)) {
+    const elements = { ...data.elements, ...getConicElements(data.elements) };
+    const n = getMeanMotion(elements.a, centralMu);
+    elements.M = Number.isFinite(elements.a) ? n * (jd - elements.T) : 0;
+    return elements;
+  }
+  const elements = getElementsAt(data, jd, {}, centralMu);
+  ["L", "w", "o", "M"].forEach((key) => {
+    elements[key] = ((elements[key] % 360) + 360) % 360;
+  });
+  return elements;
+}
+
+export function bodies() {
+  return [...BODY_INDEX.values()].map(({ data, parent }) => ({
+    name: data.name,
+    parent: parent ? parent.name : null,
+    category:
+      data.category || (data.isStar ? "star" : parent ? "satellite" : "planet"),
+  }));
+}
@@ -0,0 +1,125 @@
+/**
+ * ECLIPSE & ALIGNMENT SEARCH
+ * Generic minimum finding over time plus the shadow geometry used to tell
+ * eclipse types apart. Vectors are [x, y, z] arrays in AU with the Sun at
+ * the origin; radii are in AU too.
+ */
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const norm = (a) => Math.sqrt(dot(a, a));
+
+/** Angle in radians between two direction vectors */
+export function angleBetween(a, b) {
+  const cos = dot(a, b) / (norm(a) * norm(b));
+  return Math.acos(Math.min(1, Math.max(-1, cos)));
+}
+
+// Golden-section search for the minimum of f inside [a, b]
+function refineMinimum(f, a, b, tolerance) {
+  let c = b - GOLDEN * (b - a);
+  let d = a + GOLDEN * (b - a);
+  let fc = f(c);
+  let fd = f(d);
+  while (b - a > tolerance) {
+    if (fc < fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - GOLDEN * (b - a);
+      fc = f(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + GOLDEN * (b - a);
+      fd = f(d);
+    }
+  }
+  const t = (a + b) / 2;
+  return { t, value: f(t) };
+}
+
+/**
+ * Every local minimum of f(t) on [start, end], sampled every `step` and then
+ * refined to `tolerance`. The step must be shorter than half the spacing of
+ * the minima being looked for.
+ */
+export function findMinima(f, start, end, step, tolerance = 1e-5) {
+  const minima = [];
+  let t0 = start;
+  let t1 = start + step;
+  let f0 = f(t0);
+  let f1 = f(t1);
+  for (let t2 = t1 + step; t2 <= end + step; t2 += step) {
+    const f2 = f(t2);
+    if (f1 <= f0 && f1 < f2) {
+      const minimum = refineMinimum(f, t0, t2, tolerance);
+      if (minimum.t >= start && minimum.t <= end) minima.push(minimum);
+    }
+    t0 = t1;
+    t1 = t2;
+    f0 = f1;
+    f1 = f2;
+  }
+  return minima;
+}
+
+/**
+ * Shadow cast by a sphere of radius `radius` at `caster` (lit by the Sun of
+ * radius `sunRadius` at the origin), evaluated at `point`: the distance of
+ * the point from the shadow axis and the umbra/penumbra radii there. A
+ * negative umbra radius means the point lies in the antumbra.
+ */
+export function getShadowAt(caster, radius, sunRadius, point) {
+  const distance = norm(caster);
+  const axis = caster.map((c) => c / distance);
+  const offset = sub(point, caster);
+  const along = dot(offset, axis);
+  const perpendicular = sub(
+    offset,
+    axis.map((c) => c * along)
+  );
+  return {
+    along,
+    offAxis: norm(perpendicular),
+    umbra: radius - ((sunRadius - radius) * along) / distance,
+    penumbra: radius + ((sunRadius + radius) * along) / distance,
+  };
+}
+
+/**
+ * Solar eclipse type from the Moon's shadow on the Earth, or null. Earth
+ * and Moon positions are heliocentric.
+ */
+export function classifySolarEclipse(earth, moon, radii) {
+  const shadow = getShadowAt(moon, radii.moon, radii.sun, earth);
+  if (shadow.along <= 0 || shadow.offAxis > shadow.penumbra + radii.earth) {
+    return null;
+  }
+  if (shadow.offAxis < radii.earth) {
+    // The umbra usually ends between the surface and the centre, so measure
+    // it on the sunward surface
+    const surface = earth.map((c) => c * (1 - radii.earth / norm(earth)));
+    const umbra = getShadowAt(moon, radii.moon, radii.sun, surface).umbra;
+    return umbra > 0 ? "Total" : "Annular";
+  }
+  return "Partial";
+}
+
+/**
+ * Lunar eclipse type from the Earth's shadow on the Moon, or null. The
+ * shadow is widened by 2% for the Earth's atmosphere.
+ */
+export function classifyLunarEclipse(earth, moon, radii) {
+  const shadow = getShadowAt(earth, radii.earth, radii.sun, moon);
+  const umbra = shadow.umbra * 1.02;
+  const penumbra = shadow.penumbra * 1.02;
+  if (shadow.along <= 0) return null;
+  if (shadow.offAxis + radii.moon < umbra) return "Total";
+  if (shadow.offAxis - radii.moon < umbra) return "Partial";
+  if (shadow.offAxis - radii.moon < penumbra) return "Penumbral";
+  return null;
+}
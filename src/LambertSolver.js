@@ -0,0 +1,118 @@
+/**
+ * LAMBERT SOLVER
+ * Two-body transfer geometry with universal variables. Vectors are plain
+ * [x, y, z] arrays in any consistent units (the planner uses AU, days and
+ * AU^3/day^2). "Prograde" means a transfer that circles +z counter-clockwise.
+ */
+
+function stumpffC(z) {
+  if (z > 1e-6) return (1 - Math.cos(Math.sqrt(z))) / z;
+  if (z < -1e-6) return (Math.cosh(Math.sqrt(-z)) - 1) / -z;
+  return 1 / 2 - z / 24 + (z * z) / 720;
+}
+
+function stumpffS(z) {
+  if (z > 1e-6) {
+    const s = Math.sqrt(z);
+    return (s - Math.sin(s)) / (s * s * s);
+  }
+  if (z < -1e-6) {
+    const s = Math.sqrt(-z);
+    return (Math.sinh(s) - s) / (s * s * s);
+  }
+  return 1 / 6 - z / 120 + (z * z) / 5040;
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const norm = (a) => Math.sqrt(dot(a, a));
+
+/**
+ * Single-revolution Lambert problem: the velocities at `r1` and `r2` for a
+ * transfer taking `tof`. Bisects the universal variable (Vallado, Alg. 58),
+ * which is slower than Newton but never diverges. Returns null when the
+ * geometry is degenerate (a 180 degree transfer has no unique plane).
+ */
+export function solveLambert(r1, r2, tof, mu, prograde = true) {
+  const r1n = norm(r1);
+  const r2n = norm(r2);
+  const cosNu = dot(r1, r2) / (r1n * r2n);
+  const crossZ = r1[0] * r2[1] - r1[1] * r2[0];
+  const shortWay = prograde ? crossZ >= 0 : crossZ < 0;
+  const A = (shortWay ? 1 : -1) * Math.sqrt(r1n * r2n * (1 + cosNu));
+  if (Math.abs(A) < 1e-12 || !(tof > 0)) return null;
+
+  let low = -4 * Math.PI * Math.PI;
+  let high = 4 * Math.PI * Math.PI;
+  let psi = 0;
+  let y = 0;
+  const sqrtMu = Math.sqrt(mu);
+
+  for (let iter = 0; iter < 200; iter++) {
+    const C = stumpffC(psi);
+    const S = stumpffS(psi);
+    y = r1n + r2n + (A * (psi * S - 1)) / Math.sqrt(C);
+    if (A > 0 && y < 0) {
+      // Too hyperbolic for this geometry; move the bracket up
+      low = psi;
+      psi = (low + high) / 2;
+      continue;
+    }
+    const chi = Math.sqrt(y / C);
+    const t = (chi * chi * chi * S + A * Math.sqrt(y)) / sqrtMu;
+    if (Math.abs(t - tof) < 1e-10 * tof) break;
+    if (t <= tof) low = psi;
+    else high = psi;
+    psi = (low + high) / 2;
+  }
+
+  const f = 1 - y / r1n;
+  const g = A * Math.sqrt(y / mu);
+  const gDot = 1 - y / r2n;
+  const v1 = [0, 1, 2].map((k) => (r2[k] - f * r1[k]) / g);
+  const v2 = [0, 1, 2].map((k) => (gDot * r2[k] - r1[k]) / g);
+  return { v1, v2 };
+}
+
+/** Position after `dt` on the two-body orbit through (`r0`, `v0`) */
+export function propagateKepler(r0, v0, dt, mu) {
+  const r0n = norm(r0);
+  const vr0 = dot(r0, v0) / r0n;
+  const alpha = 2 / r0n - dot(v0, v0) / mu;
+  const sqrtMu = Math.sqrt(mu);
+
+  // Newton iteration on the universal anomaly
+  let chi = sqrtMu * Math.abs(alpha) * dt;
+  for (let iter = 0; iter < 50; iter++) {
+    const z = alpha * chi * chi;
+    const C = stumpffC(z);
+    const S = stumpffS(z);
+    const F =
+      ((r0n * vr0) / sqrtMu) * chi * chi * C +
+      (1 - alpha * r0n) * chi * chi * chi * S +
+      r0n * chi -
+      sqrtMu * dt;
+    const dF =
+      ((r0n * vr0) / sqrtMu) * chi * (1 - z * S) +
+      (1 - alpha * r0n) * chi * chi * C +
+      r0n;
+    const step = F / dF;
+    chi -= step;
+    if (Math.abs(step) < 1e-12) break;
+  }
+
+  const z = alpha * chi * chi;
+  const f = 1 - ((chi * chi) / r0n) * stumpffC(z);
+  const g = dt - ((chi * chi * chi) / sqrtMu) * stumpffS(z);
+  return [0, 1, 2].map((k) => f * r0[k] + g * v0[k]);
+}
+
+/**
+ * Hohmann transfer between circular coplanar orbits of radius `a1` and `a2`:
+ * the two burns and the half-period time of flight.
+ */
+export function getHohmannTransfer(a1, a2, mu) {
+  const at = (a1 + a2) / 2;
+  const dv1 = Math.abs(Math.sqrt(mu / a1) * (Math.sqrt(a2 / at) - 1));
+  const dv2 = Math.abs(Math.sqrt(mu / a2) * (1 - Math.sqrt(a1 / at)));
+  return { dv1, dv2, tof: Math.PI * Math.sqrt((at * at * at) / mu) };
+}
@@ -0,0 +1,239 @@
+/**
+ * N-BODY INTEGRATOR
+ * Newtonian point masses in AU, days and GM in AU^3/day^2. Bodies with
+ * gm = 0 are test particles: they feel every massive body but pull on none.
+ * Two integrators share the same state layout: a kick-drift-kick leapfrog
+ * (symplectic, fixed step) and an adaptive Dormand-Prince RK45.
+ */
+
+// Dormand-Prince 5(4) tableau; gravity is time-independent so the nodes
+// are not needed
+const DP_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+];
+// 5th order weights are the last row of DP_A; these are 5th minus 4th order
+const DP_E = [
+  71 / 57600,
+  0,
+  -71 / 16695,
+  71 / 1920,
+  -17253 / 339200,
+  22 / 525,
+  -1 / 40,
+];
+
+/**
+ * `bodies` is a list of `{ gm, position: [x, y, z], velocity: [x, y, z] }`.
+ * The returned system owns flat Float64Arrays so stepping never allocates.
+ */
+export function createNBodySystem(bodies) {
+  const n = bodies.length;
+  const system = {
+    n,
+    time: 0,
+    gm: new Float64Array(n),
+    // Positions followed by velocities: [x0, y0, z0, ..., vx0, vy0, vz0, ...]
+    state: new Float64Array(6 * n),
+    acc: new Float64Array(3 * n),
+    accValid: false,
+    // RK45 scratch space and the last accepted step size
+    stages: Array.from({ length: 7 }, () => new Float64Array(6 * n)),
+    trial: new Float64Array(6 * n),
+    rkStep: 0,
+  };
+  bodies.forEach((body, i) => {
+    system.gm[i] = body.gm;
+    system.state.set(body.position, 3 * i);
+    system.state.set(body.velocity, 3 * (n + i));
+  });
+  return system;
+}
+
+export function getPosition(system, index, target) {
+  const s = system.state;
+  const k = 3 * index;
+  target.x = s[k];
+  target.y = s[k + 1];
+  target.z = s[k + 2];
+  return target;
+}
+
+export function setMass(system, index, gm) {
+  system.gm[index] = gm;
+  system.accValid = false;
+}
+
+/** Shifts positions and velocities so the barycentre is at rest at the origin */
+export function moveToBarycentre(system) {
+  const { n, gm, state } = system;
+  let total = 0;
+  const com = [0, 0, 0, 0, 0, 0];
+  for (let i = 0; i < n; i++) {
+    total += gm[i];
+    for (let d = 0; d < 3; d++) {
+      com[d] += gm[i] * state[3 * i + d];
+      com[3 + d] += gm[i] * state[3 * (n + i) + d];
+    }
+  }
+  if (total === 0) return;
+  for (let i = 0; i < n; i++) {
+    for (let d = 0; d < 3; d++) {
+      state[3 * i + d] -= com[d] / total;
+      state[3 * (n + i) + d] -= com[3 + d] / total;
+    }
+  }
+  system.accValid = false;
+}
+
+// Gravitational acceleration for the positions in `state`, written to `out`
+function computeAccelerations(system, state, out, offset = 0) {
+  const { n, gm } = system;
+  out.fill(0, offset, offset + 3 * n);
+  for (let i = 0; i < n; i++) {
+    const xi = state[3 * i];
+    const yi = state[3 * i + 1];
+    const zi = state[3 * i + 2];
+    for (let j = i + 1; j < n; j++) {
+      if (gm[i] === 0 && gm[j] === 0) continue;
+      const dx = state[3 * j] - xi;
+      const dy = state[3 * j + 1] - yi;
+      const dz = state[3 * j + 2] - zi;
+      const r2 = dx * dx + dy * dy + dz * dz;
+      const invR3 = 1 / (r2 * Math.sqrt(r2));
+      const ai = gm[j] * invR3;
+      const aj = gm[i] * invR3;
+      out[offset + 3 * i] += ai * dx;
+      out[offset + 3 * i + 1] += ai * dy;
+      out[offset + 3 * i + 2] += ai * dz;
+      out[offset + 3 * j] -= aj * dx;
+      out[offset + 3 * j + 1] -= aj * dy;
+      out[offset + 3 * j + 2] -= aj * dz;
+    }
+  }
+}
+
+/** Kinetic plus potential energy of the massive bodies (per unit G) */
+export function computeEnergy(system) {
+  const { n, gm, state } = system;
+  let kinetic = 0;
+  let potential = 0;
+  for (let i = 0; i < n; i++) {
+    if (gm[i] === 0) continue;
+    const v = 3 * (n + i);
+    kinetic +=
+      0.5 *
+      gm[i] *
+      (state[v] * state[v] +
+        state[v + 1] * state[v + 1] +
+        state[v + 2] * state[v + 2]);
+    for (let j = i + 1; j < n; j++) {
+      if (gm[j] === 0) continue;
+      const dx = state[3 * j] - state[3 * i];
+      const dy = state[3 * j + 1] - state[3 * i + 1];
+      const dz = state[3 * j + 2] - state[3 * i + 2];
+      potential -= (gm[i] * gm[j]) / Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+  }
+  return kinetic + potential;
+}
+
+/** One kick-drift-kick leapfrog step of `h` days (negative runs backwards) */
+export function stepLeapfrog(system, h) {
+  const { n, state, acc } = system;
+  const v0 = 3 * n;
+  if (!system.accValid) computeAccelerations(system, state, acc);
+
+  for (let k = 0; k < 3 * n; k++) state[v0 + k] += 0.5 * h * acc[k];
+  for (let k = 0; k < 3 * n; k++) state[k] += h * state[v0 + k];
+  computeAccelerations(system, state, acc);
+  for (let k = 0; k < 3 * n; k++) state[v0 + k] += 0.5 * h * acc[k];
+
+  system.accValid = true;
+  system.time += h;
+}
+
+// d(state)/dt: velocities followed by accelerations
+function derivative(system, state, out) {
+  const v0 = 3 * system.n;
+  for (let k = 0; k < v0; k++) out[k] = state[v0 + k];
+  computeAccelerations(system, state, out, v0);
+}
+
+/**
+ * Attempts one Dormand-Prince step of `h` days. Accepts it when the scaled
+ * error is below 1 and returns the error so the caller can resize the step.
+ */
+function tryStepRK45(system, h, tolerance) {
+  const { state, stages, trial } = system;
+  const size = state.length;
+
+  derivative(system, state, stages[0]);
+  for (let s = 1; s < 7; s++) {
+    for (let k = 0; k < size; k++) {
+      let sum = 0;
+      for (let j = 0; j < s; j++) sum += DP_A[s][j] * stages[j][k];
+      trial[k] = state[k] + h * sum;
+    }
+    derivative(system, trial, stages[s]);
+  }
+
+  // `trial` now holds the 5th order solution (FSAL row)
+  let error = 0;
+  for (let k = 0; k < size; k++) {
+    let delta = 0;
+    for (let s = 0; s < 7; s++) delta += DP_E[s] * stages[s][k];
+    const scale =
+      tolerance * (1 + Math.max(Math.abs(state[k]), Math.abs(trial[k])));
+    error = Math.max(error, Math.abs(h * delta) / scale);
+  }
+
+  if (error <= 1) {
+    state.set(trial);
+    system.time += h;
+    system.accValid = false;
+  }
+  return error;
+}
+
+/**
+ * Integrates `dt` days with the adaptive RK45, never stepping further than
+ * `maxStep`. Gives up after `maxSteps` attempts and returns false.
+ */
+export function integrateRK45(
+  system,
+  dt,
+  { tolerance = 1e-10, maxStep = 1, maxSteps = 10000 } = {}
+) {
+  const direction = Math.sign(dt);
+  let remaining = Math.abs(dt);
+  let h = Math.min(system.rkStep || maxStep, maxStep);
+
+  for (let attempt = 0; remaining > 1e-12 && attempt < maxSteps; attempt++) {
+    const step = Math.min(h, remaining);
+    const error = tryStepRK45(system, direction * step, tolerance);
+    if (error <= 1) remaining -= step;
+    // Standard step controller with a 0.9 safety factor
+    const factor = error === 0 ? 5 : 0.9 * Math.pow(error, -0.2);
+    h = Math.min(maxStep, step * Math.min(5, Math.max(0.2, factor)));
+  }
+
+  system.rkStep = h;
+  return remaining <= 1e-12;
+}
+
+/** Integrates `dt` days with leapfrog sub-steps no longer than `maxStep` */
+export function integrateLeapfrog(
+  system,
+  dt,
+  { maxStep = 0.5, maxSteps = 2000 } = {}
+) {
+  const steps = Math.min(maxSteps, Math.ceil(Math.abs(dt) / maxStep));
+  for (let s = 0; s < steps; s++) stepLeapfrog(system, dt / steps);
+  return steps;
+}
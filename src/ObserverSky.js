@@ -0,0 +1,76 @@
+/**
+ * OBSERVER SKY
+ * Sidereal time and the equatorial/horizontal transforms behind the
+ * topocentric view. Vectors are [x, y, z] arrays; ecliptic and equatorial
+ * frames are J2000, angles are radians unless a name says otherwise.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+const OBLIQUITY_J2000 = 23.4392911 * DEG_TO_RAD;
+const TWO_PI = 2 * Math.PI;
+
+const wrap = (angle) => ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+
+/** Greenwich mean sidereal time for a UT Julian date (Meeus, eq. 12.4) */
+export function getGreenwichSiderealTime(jdUT) {
+  const d = jdUT - 2451545.0;
+  const T = d / 36525;
+  const degrees =
+    280.46061837 +
+    360.98564736629 * d +
+    0.000387933 * T * T -
+    (T * T * T) / 38710000;
+  return wrap(degrees * DEG_TO_RAD);
+}
+
+export function eclipticToEquatorial([x, y, z]) {
+  const cosE = Math.cos(OBLIQUITY_J2000);
+  const sinE = Math.sin(OBLIQUITY_J2000);
+  return [x, y * cosE - z * sinE, y * sinE + z * cosE];
+}
+
+/** Right ascension, declination and length of an equatorial vector */
+export function getRaDec([x, y, z]) {
+  const distance = Math.sqrt(x * x + y * y + z * z);
+  return {
+    ra: wrap(Math.atan2(y, x)),
+    dec: Math.asin(z / distance),
+    distance,
+  };
+}
+
+/**
+ * Altitude and azimuth (measured from north through east) of a direction
+ * for an observer at `latitude` with local sidereal time `lst`
+ */
+export function getHorizontal(ra, dec, latitude, lst) {
+  const hourAngle = lst - ra;
+  const sinAlt =
+    Math.sin(latitude) * Math.sin(dec) +
+    Math.cos(latitude) * Math.cos(dec) * Math.cos(hourAngle);
+  const azimuth = Math.atan2(
+    -Math.cos(dec) * Math.sin(hourAngle),
+    Math.cos(latitude) * Math.sin(dec) -
+      Math.sin(latitude) * Math.cos(dec) * Math.cos(hourAngle)
+  );
+  return {
+    altitude: Math.asin(Math.min(1, Math.max(-1, sinAlt))),
+    azimuth: wrap(azimuth),
+  };
+}
+
+/**
+ * Local east, north and zenith unit vectors in the equatorial frame. The
+ * zenith sits at right ascension `lst` and declination `latitude`.
+ */
+export function getHorizonBasis(latitude, lst) {
+  const cosLat = Math.cos(latitude);
+  const sinLat = Math.sin(latitude);
+  const cosLst = Math.cos(lst);
+  const sinLst = Math.sin(lst);
+  return {
+    east: [-sinLst, cosLst, 0],
+    north: [-sinLat * cosLst, -sinLat * sinLst, cosLat],
+    zenith: [cosLat * cosLst, cosLat * sinLst, sinLat],
+  };
+}
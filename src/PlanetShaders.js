@@ -0,0 +1,301 @@
+/**
+ * PLANET SHADERS
+ * Atmosphere shells raymarched for single scattering, with a Rayleigh term
+ * per colour channel and a Henyey-Greenstein Mie lobe for haze and dust,
+ * working in the planet's frame in units of its radius. The other chunks
+ * are patched into the planets' MeshStandardMaterial so lighting and
+ * shadows stay intact: city lights on the night side, shear between a gas
+ * giant's zonal bands, the shadow of its rings and eclipses by its moons
+ * (or by the planet and sibling moons, for a moon). Rings are a thin slab
+ * of particles lit by single scattering, read from a radial profile
+ * texture. The atmosphere and ring shaders go through the renderer's tone
+ * mapping like the lit surfaces under them.
+ */
+
+export const atmosphereVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+uniform float uTop;
+
+varying vec3 vLocal;
+
+void main() {
+  vLocal = normalize(position) * uTop;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  #include <logdepthbuf_vertex>
+}
+`;
+
+export const atmosphereFragmentShader = `
+#include <logdepthbuf_pars_fragment>
+#define PRIMARY_STEPS 12
+#define LIGHT_STEPS 4
+#define PI 3.141592653589793
+
+uniform vec3 uCameraLocal;     // camera in the planet's frame, planet radii
+uniform vec3 uSunDirection;    // unit vector to the Sun, planet's frame
+uniform vec3 uRayleigh;        // zenith optical depth per channel
+uniform float uMie;            // zenith optical depth of haze or dust
+uniform vec3 uMieColor;
+uniform float uMieG;
+uniform float uTop;            // radius of the top of the shell
+uniform float uScaleHeight;
+uniform float uIntensity;
+
+varying vec3 vLocal;
+
+vec2 intersectSphere(vec3 origin, vec3 dir, float r) {
+  float b = dot(origin, dir);
+  float c = dot(origin, origin) - r * r;
+  float h = b * b - c;
+  if (h < 0.0) return vec2(-1.0);
+  h = sqrt(h);
+  return vec2(-b - h, -b + h);
+}
+
+float density(vec3 p) {
+  return exp(-(length(p) - 1.0) / uScaleHeight);
+}
+
+void main() {
+  #include <logdepthbuf_fragment>
+  vec3 origin = uCameraLocal;
+  vec3 dir = normalize(vLocal - uCameraLocal);
+  vec2 shell = intersectSphere(origin, dir, uTop);
+  vec2 ground = intersectSphere(origin, dir, 1.0);
+  float start = max(shell.x, 0.0);
+  float end = ground.x > 0.0 ? ground.x : shell.y;
+  if (end <= start) discard;
+
+  // Extinction at the surface: zenith optical depth over the scale height
+  vec3 betaR = uRayleigh / uScaleHeight;
+  float betaM = uMie / uScaleHeight;
+
+  float dt = (end - start) / float(PRIMARY_STEPS);
+  float viewDepth = 0.0;
+  vec3 scattered = vec3(0.0);
+  for (int i = 0; i < PRIMARY_STEPS; i++) {
+    vec3 p = origin + dir * (start + (float(i) + 0.5) * dt);
+    float local = density(p) * dt;
+    viewDepth += local;
+    // In the planet's shadow nothing is lit
+    if (intersectSphere(p, uSunDirection, 1.0).x > 0.0) continue;
+
+    float lightDt = intersectSphere(p, uSunDirection, uTop).y /
+      float(LIGHT_STEPS);
+    float lightDepth = 0.0;
+    for (int j = 0; j < LIGHT_STEPS; j++) {
+      lightDepth += density(p + uSunDirection * (float(j) + 0.5) * lightDt);
+    }
+    lightDepth *= lightDt;
+    float depth = viewDepth + lightDepth;
+    scattered += local * exp(-(betaR + betaM) * depth);
+  }
+
+  float mu = dot(dir, uSunDirection);
+  float phaseR = 3.0 / (16.0 * PI) * (1.0 + mu * mu);
+  float g = uMieG;
+  float phaseM = (1.0 - g * g) /
+    (4.0 * PI * pow(1.0 + g * g - 2.0 * g * mu, 1.5));
+  vec3 color = scattered * (betaR * phaseR + betaM * uMieColor * phaseM);
+  gl_FragColor = vec4(color * uIntensity, 1.0);
+  #include <tonemapping_fragment>
+}
+`;
+
+// Replaces <emissivemap_fragment>: the night map fades in across the
+// terminator. uSunView is the Sun's position in view space.
+export const nightLightsParsChunk = `
+uniform sampler2D uNightMap;
+uniform vec3 uNightColor;
+uniform float uNightIntensity;
+uniform vec3 uSunView;
+`;
+
+export const nightLightsChunk = `
+#include <emissivemap_fragment>
+vec3 sunDirection = normalize(uSunView + vViewPosition);
+float night = 1.0 - smoothstep(-0.15, 0.1, dot(normal, sunDirection));
+totalEmissiveRadiance += texture2D(uNightMap, vMapUv).rgb * uNightColor *
+  uNightIntensity * night;
+`;
+
+// Offsets the map lookup along each latitude: alternating zonal jets drift
+// at up to uBandShear turns per second, with a little wobble at the edges
+export const bandShearParsChunk = `
+uniform float uTime;
+uniform float uBandJets;
+uniform float uBandShear;
+`;
+
+export const bandShearUvChunk = `
+vec2 shearedUv = vMapUv;
+float bandLatitude = (vMapUv.y - 0.5) * 3.141592653589793;
+shearedUv.x += uBandShear * uTime * sin(bandLatitude * uBandJets);
+shearedUv.x += 0.002 * sin(bandLatitude * uBandJets * 3.0 + uTime * 0.3);
+`;
+
+// Ring plane: y = 0 in the planet's frame. uRingProfile holds colour in rgb
+// and the opacity at normal incidence (1 - e^-tau) in a, from uRingRadii.x
+// to uRingRadii.y; uRingDust holds the dusty fraction in r.
+export const ringVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+varying vec3 vLocal;
+
+void main() {
+  vLocal = position;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  #include <logdepthbuf_vertex>
+}
+`;
+
+export const ringFragmentShader = `
+#include <logdepthbuf_pars_fragment>
+uniform sampler2D uRingProfile;
+uniform sampler2D uRingDust;
+uniform vec2 uRingRadii;
+uniform vec3 uCameraLocal;     // camera in the planet's frame, planet radii
+uniform vec3 uSunDirection;    // unit vector to the Sun, planet's frame
+uniform vec3 uSunColor;
+uniform vec3 uAmbientColor;
+
+varying vec3 vLocal;
+
+// Henyey-Greenstein lobe scaled to a mean of 1 over the sphere
+float phaseHG(float g, float cosTheta) {
+  return (1.0 - g * g) / pow(1.0 + g * g - 2.0 * g * cosTheta, 1.5);
+}
+
+void main() {
+  #include <logdepthbuf_fragment>
+  float u = (length(vLocal.xz) - uRingRadii.x) / (uRingRadii.y - uRingRadii.x);
+  if (u < 0.0 || u > 1.0) discard;
+  vec4 profile = texture2D(uRingProfile, vec2(u, 0.5));
+  if (profile.a <= 0.0) discard;
+  float dust = texture2D(uRingDust, vec2(u, 0.5)).r;
+  float tau = -log(max(1.0 - profile.a, 1e-4));
+
+  vec3 toCamera = normalize(uCameraLocal - vLocal);
+  float mu = max(abs(toCamera.y), 1e-3);
+  float mu0 = max(abs(uSunDirection.y), 1e-3);
+  float opacity = 1.0 - exp(-tau / mu);
+
+  // Icy ring particles scatter back towards the Sun, fine dust forward
+  float cosTheta = -dot(uSunDirection, toCamera);
+  float phase = mix(phaseHG(-0.3, cosTheta), phaseHG(0.7, cosTheta), dust);
+
+  // Single scattering in a slab: light reflected off the lit face, or
+  // diffused through to the far one
+  float scattered;
+  if (toCamera.y * uSunDirection.y > 0.0) {
+    scattered = mu0 / (4.0 * (mu0 + mu)) *
+      (1.0 - exp(-tau * (1.0 / mu0 + 1.0 / mu)));
+  } else if (abs(mu0 - mu) > 1e-3) {
+    scattered = mu0 * (exp(-tau / mu0) - exp(-tau / mu)) / (4.0 * (mu0 - mu));
+  } else {
+    scattered = mu0 * tau / (4.0 * mu * mu) * exp(-tau / mu);
+  }
+
+  // The planet's shadow: the ray towards the Sun passes within one radius
+  float along = -dot(vLocal, uSunDirection);
+  float lit = 1.0;
+  if (along > 0.0) {
+    lit = smoothstep(0.98, 1.02, length(vLocal + uSunDirection * along));
+  }
+
+  vec3 color = profile.rgb * (uSunColor * phase * scattered * lit +
+    uAmbientColor * opacity);
+  gl_FragColor = vec4(color, opacity);
+  #include <tonemapping_fragment>
+}
+`;
+
+// Dims direct light on the planet by the rings between it and the Sun,
+// reading a blurred level of the profile. vRingLocal is the fragment in the
+// planet's frame; the ring uniforms are shared with the ring material.
+export const ringShadowVertexChunk = `
+#include <project_vertex>
+vRingLocal = position;
+`;
+
+export const ringShadowParsChunk = `
+uniform sampler2D uRingProfile;
+uniform vec2 uRingRadii;
+uniform vec3 uRingSun;
+varying vec3 vRingLocal;
+`;
+
+export const ringShadowChunk = `
+#include <lights_fragment_end>
+if (abs(uRingSun.y) > 1e-4) {
+  vec3 ringSurface = normalize(vRingLocal);
+  float ringT = -ringSurface.y / uRingSun.y;
+  float ringU = (length((ringSurface + uRingSun * ringT).xz) - uRingRadii.x) /
+    (uRingRadii.y - uRingRadii.x);
+  if (ringT > 0.0 && ringU >= 0.0 && ringU <= 1.0) {
+    float ringOpacity = textureLod(uRingProfile, vec2(ringU, 0.5), 2.0).a;
+    float ringLight = pow(1.0 - ringOpacity, 1.0 / abs(uRingSun.y));
+    reflectedLight.directDiffuse *= ringLight;
+    reflectedLight.directSpecular *= ringLight;
+  }
+}
+`;
+
+// Eclipses: direct light scaled by the part of the Sun's disc left
+// uncovered by each occluding sphere, as seen from the fragment. Positions
+// and radii are km relative to the receiving body's centre, in true
+// proportions rather than the inflated display ones; uEclipseScale turns
+// the fragment's offset from the centre in scene units into km.
+export const ECLIPSE_MAX_OCCLUDERS = 8;
+
+export const eclipseVertexChunk = `
+#include <project_vertex>
+vEclipseOffset = mat3(modelMatrix) * transformed;
+`;
+
+export const eclipseParsChunk = `
+#define ECLIPSE_MAX_OCCLUDERS ${ECLIPSE_MAX_OCCLUDERS}
+uniform vec4 uEclipseSun;
+uniform vec4 uEclipseOccluders[ECLIPSE_MAX_OCCLUDERS];
+uniform int uEclipseCount;
+uniform float uEclipseScale;
+varying vec3 vEclipseOffset;
+
+// Fraction of a disc of angular radius a covered by one of radius b whose
+// centre is d away
+float eclipseOverlap(float a, float b, float d) {
+  if (d >= a + b) return 0.0;
+  if (d <= abs(a - b)) return min(a, b) * min(a, b) / (a * a);
+  float a2 = a * a;
+  float b2 = b * b;
+  float lens = a2 * acos(clamp((d * d + a2 - b2) / (2.0 * d * a), -1.0, 1.0)) +
+    b2 * acos(clamp((d * d + b2 - a2) / (2.0 * d * b), -1.0, 1.0)) -
+    0.5 * sqrt(max((b + a - d) * (d + a - b) * (d - a + b) * (d + a + b), 0.0));
+  return lens / (PI * a2);
+}
+`;
+
+export const eclipseChunk = `
+#include <lights_fragment_end>
+{
+  vec3 eclipsePoint = vEclipseOffset * uEclipseScale;
+  vec3 toSun = uEclipseSun.xyz - eclipsePoint;
+  float sunDistance = length(toSun);
+  float sunRadius = asin(min(uEclipseSun.w / sunDistance, 1.0));
+  float eclipseLight = 1.0;
+  for (int i = 0; i < ECLIPSE_MAX_OCCLUDERS; i++) {
+    if (i >= uEclipseCount) break;
+    vec3 toOccluder = uEclipseOccluders[i].xyz - eclipsePoint;
+    float occluderDistance = length(toOccluder);
+    float along = dot(toOccluder, toSun);
+    if (along <= 0.0 || occluderDistance >= sunDistance) continue;
+    float occluderRadius =
+      asin(min(uEclipseOccluders[i].w / occluderDistance, 1.0));
+    float separation = atan(length(cross(toOccluder, toSun)), along);
+    eclipseLight *= 1.0 - eclipseOverlap(sunRadius, occluderRadius, separation);
+  }
+  reflectedLight.directDiffuse *= eclipseLight;
+  reflectedLight.directSpecular *= eclipseLight;
+}
+`;
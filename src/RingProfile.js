@@ -0,0 +1,114 @@
+/**
+ * RING PROFILE
+ * Turns a body's `rings` list into radial profiles sampled evenly from the
+ * innermost to the outermost edge: optical depth, colour and the dusty
+ * (forward-scattering) fraction. Each sample averages several radii across
+ * its width, so gaps and ringlets narrower than a sample still count in
+ * proportion to the width they cover. Radii are km; colours are [r, g, b]
+ * in 0..1.
+ */
+
+const SUBSAMPLES = 8;
+
+function hexToRgb(hex) {
+  return [
+    ((hex >> 16) & 255) / 255,
+    ((hex >> 8) & 255) / 255,
+    (hex & 255) / 255,
+  ];
+}
+
+// Empty samples take the colour and dust of the nearest ring, so filtering
+// across a gap edge fades only the opacity
+function fillGaps(opacity, color, dust) {
+  const size = opacity.length;
+  const nearest = new Int32Array(size).fill(-1);
+  let last = -1;
+  for (let i = 0; i < size; i++) {
+    if (opacity[i] > 0) last = i;
+    nearest[i] = last;
+  }
+  last = -1;
+  for (let i = size - 1; i >= 0; i--) {
+    if (opacity[i] > 0) last = i;
+    if (last >= 0 && (nearest[i] < 0 || last - i < i - nearest[i])) {
+      nearest[i] = last;
+    }
+  }
+  for (let i = 0; i < size; i++) {
+    const from = nearest[i];
+    if (opacity[i] > 0 || from < 0) continue;
+    color.copyWithin(i * 3, from * 3, from * 3 + 3);
+    dust[i] = dust[from];
+  }
+}
+
+/** Optical depth of `ring` at `radius`, or 0 outside it and in its gaps */
+export function getRingOpticalDepth(ring, radius) {
+  if (radius < ring.innerKm || radius > ring.outerKm) return 0;
+  const inGap = (ring.gaps || []).some(
+    (gap) => radius >= gap.innerKm && radius <= gap.outerKm
+  );
+  if (inGap) return 0;
+
+  const depth = ring.opticalDepth;
+  if (!Array.isArray(depth)) return depth;
+  if (depth.length === 1) return depth[0];
+  // Profile values spaced evenly from the inner to the outer edge
+  const x =
+    ((radius - ring.innerKm) / (ring.outerKm - ring.innerKm)) *
+    (depth.length - 1);
+  const k = Math.min(Math.floor(x), depth.length - 2);
+  return depth[k] + (depth[k + 1] - depth[k]) * (x - k);
+}
+
+/**
+ * Samples `rings` at `size` radii. Rings fainter than `minOpticalDepth` are
+ * raised to it so tenuous dusty rings still show. Returns the span in km and
+ * per-sample opacity at normal incidence (1 - e^-tau, which averages like
+ * coverage), colour and dust fraction.
+ */
+export function sampleRingProfile(
+  rings,
+  { size = 4096, minOpticalDepth = 0 } = {}
+) {
+  const innerKm = Math.min(...rings.map((ring) => ring.innerKm));
+  const outerKm = Math.max(...rings.map((ring) => ring.outerKm));
+  const colors = rings.map((ring) => hexToRgb(ring.color));
+  const opacity = new Float32Array(size);
+  const color = new Float32Array(size * 3);
+  const dust = new Float32Array(size);
+  const step = (outerKm - innerKm) / size;
+
+  for (let i = 0; i < size; i++) {
+    let covered = 0;
+    let weight = 0;
+    const rgb = [0, 0, 0];
+    let dusty = 0;
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const radius = innerKm + (i + (s + 0.5) / SUBSAMPLES) * step;
+      rings.forEach((ring, r) => {
+        let tau = getRingOpticalDepth(ring, radius);
+        if (tau <= 0) return;
+        tau = Math.max(tau, minOpticalDepth);
+        const a = 1 - Math.exp(-tau);
+        covered += a;
+        weight += a;
+        rgb[0] += colors[r][0] * a;
+        rgb[1] += colors[r][1] * a;
+        rgb[2] += colors[r][2] * a;
+        dusty += (ring.dust || 0) * a;
+      });
+    }
+    opacity[i] = Math.min(1, covered / SUBSAMPLES);
+    if (weight > 0) {
+      color.set(
+        rgb.map((c) => c / weight),
+        i * 3
+      );
+      dust[i] = dusty / weight;
+    }
+  }
+  fillGaps(opacity, color, dust);
+  return { innerKm, outerKm, opacity, color, dust };
+}
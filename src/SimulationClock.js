@@ -0,0 +1,98 @@
+/**
+ * SIMULATION CLOCK
+ * Fixed-timestep simulated time, kept apart from rendering. Wall-clock time
+ * is banked and spent in whole steps of `step` real seconds, so the same
+ * run of steps gives the same states whatever the frame rate, and the clock
+ * can be driven without a renderer. Each step covers `step * speed`
+ * simulated seconds, split into substeps no longer than `maxSubstep` days
+ * for callbacks that integrate state. At most `maxSubsteps` are taken, so
+ * at high speeds substeps run longer than `maxSubstep`. The Julian date is
+ * held as whole days plus a fraction, which keeps microsecond resolution
+ * for any date.
+ */
+
+const SECONDS_PER_DAY = 86400;
+// Banked time this close to a whole step (as a fraction of it) pays for
+// the step, so rounding in the sum of frame times never drops one
+const STEP_TOLERANCE = 1e-9;
+
+export function createSimulationClock(
+  jd,
+  {
+    step = 1 / 120,
+    maxSteps = 60,
+    maxSubstep = Infinity,
+    maxSubsteps = 16,
+  } = {}
+) {
+  const day = Math.floor(jd);
+  return {
+    day,
+    fraction: jd - day,
+    speed: 1,
+    step,
+    maxSteps,
+    maxSubstep,
+    maxSubsteps,
+    accumulator: 0,
+  };
+}
+
+export function getClockJd(clock) {
+  return clock.day + clock.fraction;
+}
+
+export function setClockJd(clock, jd) {
+  clock.day = Math.floor(jd);
+  clock.fraction = jd - clock.day;
+}
+
+function advanceDays(clock, days) {
+  clock.fraction += days;
+  const whole = Math.floor(clock.fraction);
+  clock.day += whole;
+  clock.fraction -= whole;
+}
+
+/**
+ * One fixed step. `onStep(jd, seconds, realSeconds)` runs after every
+ * substep with the new Julian date and the simulated and real seconds the
+ * substep covered.
+ */
+export function stepClock(clock, onStep) {
+  const days = (clock.step * clock.speed) / SECONDS_PER_DAY;
+  const substeps = Math.min(
+    clock.maxSubsteps,
+    Math.max(1, Math.ceil(Math.abs(days) / clock.maxSubstep))
+  );
+  for (let n = 0; n < substeps; n++) {
+    advanceDays(clock, days / substeps);
+    if (onStep) {
+      onStep(
+        getClockJd(clock),
+        (days / substeps) * SECONDS_PER_DAY,
+        clock.step / substeps
+      );
+    }
+  }
+}
+
+/**
+ * Banks `realSeconds` and takes as many whole steps as it pays for. Past
+ * `maxSteps` in one call (a stalled or hidden tab) the backlog is dropped
+ * rather than caught up. Returns the number of steps taken.
+ */
+export function advanceClock(clock, realSeconds, onStep) {
+  clock.accumulator += realSeconds;
+  let steps = 0;
+  while (clock.accumulator >= clock.step * (1 - STEP_TOLERANCE)) {
+    if (steps === clock.maxSteps) {
+      clock.accumulator = 0;
+      break;
+    }
+    stepClock(clock, onStep);
+    clock.accumulator -= clock.step;
+    steps++;
+  }
+  return steps;
+}
@@ -0,0 +1,165 @@
+/**
+ * SMALL BODY ELEMENT PARSERS
+ * Reads MPCORB.DAT (fixed-width) and JPL SBDB CSV exports into element records
+ * using the same convention as CELESTIAL_BODIES: `w` is the longitude of
+ * perihelion, `o` the longitude of the node, `L` the mean longitude at `epoch`
+ * (JD), all in degrees and referred to the J2000 ecliptic.
+ */
+
+const PACKED_DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUV";
+
+export function calendarToJulianDate(year, month, day) {
+  let y = year;
+  let m = month;
+  if (m <= 2) {
+    y -= 1;
+    m += 12;
+  }
+  const A = Math.floor(y / 100);
+  const B = 2 - A + Math.floor(A / 4);
+  return (
+    Math.floor(365.25 * (y + 4716)) +
+    Math.floor(30.6001 * (m + 1)) +
+    day +
+    B -
+    1524.5
+  );
+}
+
+// "K24AH" -> 2024-10-17
+function unpackEpoch(packed) {
+  const century = { I: 1800, J: 1900, K: 2000 }[packed[0]];
+  if (century === undefined) return NaN;
+  const year = century + parseInt(packed.slice(1, 3), 10);
+  const month = PACKED_DIGITS.indexOf(packed[3]);
+  const day = PACKED_DIGITS.indexOf(packed[4]);
+  return calendarToJulianDate(year, month, day);
+}
+
+function toRecord(name, a, e, i, node, argPeri, meanAnomaly, epoch) {
+  const w = node + argPeri;
+  return {
+    name,
+    a,
+    e,
+    i,
+    L: w + meanAnomaly,
+    w,
+    o: node,
+    epoch,
+  };
+}
+
+function isValidRecord(r) {
+  return [r.a, r.e, r.i, r.L, r.w, r.o, r.epoch].every(Number.isFinite);
+}
+
+export function parseMPCORB(text) {
+  const lines = text.split(/\r?\n/);
+  // MPCORB.DAT ships with a header terminated by a row of dashes; extracts
+  // and the one-line "MPCORB-style" exports do not.
+  let start = lines.findIndex((line) => line.startsWith("-----"));
+  start = start === -1 ? 0 : start + 1;
+
+  const records = [];
+  for (let n = start; n < lines.length; n++) {
+    const line = lines[n];
+    if (line.length < 103) continue;
+
+    const field = (from, to) => parseFloat(line.slice(from - 1, to));
+    const readable = line.slice(166, 194).trim();
+    const record = toRecord(
+      readable || line.slice(0, 7).trim(),
+      field(93, 103),
+      field(71, 79),
+      field(60, 68),
+      field(49, 57),
+      field(38, 46),
+      field(27, 35),
+      unpackEpoch(line.slice(20, 25))
+    );
+    if (isValidRecord(record)) records.push(record);
+  }
+  return records;
+}
+
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += c;
+    }
+  }
+  cells.push(cell);
+  return cells.map((c) => c.trim());
+}
+
+/**
+ * SBDB query CSV: needs the `a, e, i, om, w, ma` columns plus `epoch` (JD) or
+ * `epoch_mjd`. The name comes from `full_name`, `name` or `pdes`.
+ */
+export function parseSBDBCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) return [];
+
+  const header = splitCSVLine(lines[0]).map((h) => h.toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const required = ["a", "e", "i", "om", "w", "ma"];
+  const missing = required.filter((name) => col(name) === -1);
+  if (missing.length > 0) {
+    throw new Error(`SBDB CSV is missing columns: ${missing.join(", ")}`);
+  }
+
+  const nameCol = ["full_name", "name", "pdes"].map(col).find((c) => c >= 0);
+  const epochCol = col("epoch");
+  const epochMjdCol = col("epoch_mjd");
+  if (epochCol === -1 && epochMjdCol === -1) {
+    throw new Error("SBDB CSV is missing an epoch or epoch_mjd column");
+  }
+
+  const records = [];
+  for (let n = 1; n < lines.length; n++) {
+    const cells = splitCSVLine(lines[n]);
+    const num = (name) => parseFloat(cells[col(name)]);
+    const epoch =
+      epochCol >= 0
+        ? parseFloat(cells[epochCol])
+        : parseFloat(cells[epochMjdCol]) + 2400000.5;
+    const record = toRecord(
+      nameCol !== undefined ? cells[nameCol] : `#${n}`,
+      num("a"),
+      num("e"),
+      num("i"),
+      num("om"),
+      num("w"),
+      num("ma"),
+      epoch
+    );
+    if (isValidRecord(record)) records.push(record);
+  }
+  return records;
+}
+
+export function parseSmallBodyFile(text, fileName = "") {
+  const firstLine = text.slice(0, text.indexOf("\n")).toLowerCase();
+  const looksLikeCSV =
+    /\.csv$/i.test(fileName) || /(^|,)"?a"?,/.test(firstLine);
+  return looksLikeCSV ? parseSBDBCsv(text) : parseMPCORB(text);
+}
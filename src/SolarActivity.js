@@ -0,0 +1,83 @@
+/**
+ * SOLAR ACTIVITY
+ * The state of the solar cycle as a phase from 0 (minimum) to 1 (the next
+ * minimum), and the sunspot groups the Sun would show at that phase: fewer
+ * near minimum, emerging at high latitudes early in the cycle and closer to
+ * the equator late in it (Spörer's law), with the leading spot of each pair
+ * nearer the equator (Joy's law). Angles are radians, longitudes on the
+ * Sun's own rotating frame.
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+// Minimum that opened solar cycle 25 (2019 December) and the mean length
+// of a cycle
+const CYCLE_25_START = 2458818.5;
+const CYCLE_LENGTH_DAYS = 11.0 * 365.25;
+
+/** Cycle number and phase at a Julian date, extrapolated from cycle 25 */
+export function getSolarCycle(jd) {
+  const cycles = (jd - CYCLE_25_START) / CYCLE_LENGTH_DAYS;
+  const whole = Math.floor(cycles);
+  return { number: 25 + whole, phase: cycles - whole };
+}
+
+/**
+ * Relative activity (0 at minimum, 1 at maximum) at a cycle phase. The rise
+ * is quicker than the decline, with the maximum about 4 years in.
+ */
+export function getSolarActivity(phase) {
+  const s = Math.sin(Math.PI * Math.pow(phase, 0.7));
+  return s * s;
+}
+
+// Deterministic generator so a phase always shows the same spots
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Up to `maxGroups` bipolar groups for a cycle phase. Each group gives a
+ * leading and a following spot as { latitude, longitude, radius }, the
+ * radius being the angular radius of the penumbra.
+ */
+export function getSunspotGroups(phase, { seed = 1, maxGroups = 12 } = {}) {
+  const random = createRandom(seed);
+  const activity = getSolarActivity(phase);
+  const count = Math.round(activity * maxGroups);
+  // Mean emergence latitude drifts from about 28 to 6 degrees
+  const meanLatitude = 28 * Math.exp(-1.47 * phase);
+  const spots = [];
+
+  for (let n = 0; n < count; n++) {
+    const hemisphere = random() < 0.5 ? -1 : 1;
+    const latitude =
+      hemisphere * (meanLatitude + (random() - 0.5) * 12) * DEG_TO_RAD;
+    const longitude = random() * 2 * Math.PI;
+    const size = 0.4 + 0.6 * random() * (0.5 + 0.5 * activity);
+    const separation = (4 + 8 * size) * DEG_TO_RAD;
+    // Joy's law: the pair is tilted by about half the latitude
+    const tilt = Math.abs(latitude) * 0.5;
+    const dLatitude = (Math.sin(tilt) * separation) / 2;
+    const dLongitude = (Math.cos(tilt) * separation) / 2;
+
+    spots.push({
+      latitude: latitude - hemisphere * dLatitude,
+      longitude: longitude + dLongitude,
+      radius: (1 + 1.5 * size) * DEG_TO_RAD,
+    });
+    spots.push({
+      latitude: latitude + hemisphere * dLatitude,
+      longitude: longitude - dLongitude,
+      radius: (0.6 + 1.2 * size * random()) * DEG_TO_RAD,
+    });
+  }
+  return spots;
+}
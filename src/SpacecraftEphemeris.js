@@ -0,0 +1,302 @@
+/**
+ * SPACECRAFT EPHEMERIS TABLES
+ * Reads time-tagged state vectors and evaluates them at any Julian date.
+ * Positions are km and velocities km/s relative to `center`, in the J2000
+ * ecliptic (`frame: "ecliptic"`) or equator (`frame: "equatorial"`).
+ *
+ * Accepted inputs:
+ * - JPL Horizons vector tables (CSV output, rows between $$SOE and $$EOE)
+ * - CSV with a header naming `jd`, `x`, `y`, `z` and optionally `vx`, `vy`,
+ *   `vz`; `#event,<jd or ISO date>,<label>` lines add mission events
+ * - JSON objects (or arrays of them) shaped like simplified SPK segments:
+ *     { name, center, frame, type: 13, states: [[jd, x, y, z, vx, vy, vz]] }
+ *     { name, center, frame, type: 2,
+ *       segments: [{ mid, radius, x: [...], y: [...], z: [...] }] }
+ *   with optional `events: [{ jd | date, label }]` and `color`.
+ * Julian dates are TDB, as Horizons gives them; calendar dates are UTC.
+ * Type 13 tables are interpolated with cubic Hermite splines when velocities
+ * are present and 4-point Lagrange polynomials when they are not. Type 2
+ * segments are Chebyshev series in (jd - mid) / radius.
+ */
+
+import { convertTime, parseDateInput } from "./TimeScales.js";
+
+const SECONDS_PER_DAY = 86400;
+const AU_KM = 149597870.7;
+
+function dateToJulian(value) {
+  if (typeof value === "number") return value;
+  const jdUTC = parseDateInput(String(value).replace(/Z$/i, ""));
+  return convertTime(jdUTC, "UTC", "TDB");
+}
+
+function parseEvents(events = []) {
+  return events
+    .map((event) => ({
+      jd: dateToJulian(event.jd ?? event.date),
+      label: event.label || "Event",
+    }))
+    .filter((event) => Number.isFinite(event.jd))
+    .sort((a, b) => a.jd - b.jd);
+}
+
+// Sorts rows of [jd, x, y, z, vx?, vy?, vz?] into flat arrays
+function fromStateRows(rows, meta) {
+  const sorted = rows
+    .filter((row) => row.slice(0, 4).every(Number.isFinite))
+    .sort((a, b) => a[0] - b[0]);
+  if (sorted.length < 2) {
+    throw new Error(`${meta.name}: need at least two state vectors`);
+  }
+
+  const epochs = new Float64Array(sorted.length);
+  const states = new Float64Array(sorted.length * 6);
+  const hasVelocity = sorted.every((row) =>
+    row.slice(4, 7).every(Number.isFinite)
+  );
+  sorted.forEach((row, n) => {
+    epochs[n] = row[0];
+    for (let k = 0; k < 6; k++) {
+      states[6 * n + k] = hasVelocity || k < 3 ? row[k + 1] : 0;
+    }
+  });
+
+  return {
+    name: meta.name,
+    center: meta.center || "Sun",
+    frame: meta.frame || "ecliptic",
+    color: meta.color,
+    type: 13,
+    epochs,
+    states,
+    hasVelocity,
+    segments: null,
+    events: parseEvents(meta.events),
+    start: epochs[0],
+    end: epochs[epochs.length - 1],
+  };
+}
+
+function fromChebyshevSegments(segments, meta) {
+  const sorted = [...segments].sort((a, b) => a.mid - b.mid);
+  if (sorted.length === 0) throw new Error(`${meta.name}: no segments`);
+  return {
+    name: meta.name,
+    center: meta.center || "Sun",
+    frame: meta.frame || "ecliptic",
+    color: meta.color,
+    type: 2,
+    epochs: null,
+    states: null,
+    hasVelocity: true,
+    segments: sorted,
+    events: parseEvents(meta.events),
+    start: sorted[0].mid - sorted[0].radius,
+    end: sorted[sorted.length - 1].mid + sorted[sorted.length - 1].radius,
+  };
+}
+
+function parseJSON(text, fileName) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : [data];
+  return list.map((entry, n) => {
+    const meta = { ...entry, name: entry.name || `${fileName} #${n + 1}` };
+    if (entry.type === 2 || entry.segments) {
+      return fromChebyshevSegments(entry.segments, meta);
+    }
+    return fromStateRows(entry.states || [], meta);
+  });
+}
+
+function splitRow(line) {
+  return line.split(",").map((cell) => cell.trim());
+}
+
+function parseHorizons(text) {
+  const header = text.slice(0, text.indexOf("$$SOE"));
+  const field = (label) => {
+    const match = header.match(new RegExp(`${label}\\s*:\\s*([^\\n(]+)`));
+    return match ? match[1].trim() : "";
+  };
+  const inAU = /AU-D/i.test(field("Output units"));
+  const plane = field("Reference plane");
+  const scale = inAU ? AU_KM : 1;
+  const velocityScale = inAU ? AU_KM / SECONDS_PER_DAY : 1;
+
+  const body = text.slice(text.indexOf("$$SOE") + 5, text.indexOf("$$EOE"));
+  // JDTDB, Calendar Date (TDB), X, Y, Z, VX, VY, VZ, ...
+  const rows = body
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "")
+    .map((line) => {
+      const cells = splitRow(line);
+      const values = [2, 3, 4, 5, 6, 7].map((c) => parseFloat(cells[c]));
+      return [
+        parseFloat(cells[0]),
+        ...values.slice(0, 3).map((v) => v * scale),
+        ...values.slice(3).map((v) => v * velocityScale),
+      ];
+    });
+
+  return [
+    fromStateRows(rows, {
+      name: field("Target body name") || "Spacecraft",
+      center: field("Center body name") || "Sun",
+      frame:
+        /ECLIPTIC/i.test(plane) || plane === "" ? "ecliptic" : "equatorial",
+    }),
+  ];
+}
+
+function parseCSV(text, fileName) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  const events = lines
+    .filter((line) => line.startsWith("#event"))
+    .map((line) => {
+      const [, when, ...label] = splitRow(line);
+      const jd = Number(when);
+      return {
+        jd: Number.isFinite(jd) ? jd : when,
+        label: label.join(", "),
+      };
+    });
+  const rows = lines.filter((line) => !line.startsWith("#"));
+
+  const header = splitRow(rows[0]).map((h) => h.toLowerCase());
+  const col = (names) =>
+    names.map((n) => header.indexOf(n)).find((c) => c >= 0);
+  const columns = [
+    col(["jd", "jdtdb", "epoch"]),
+    col(["x"]),
+    col(["y"]),
+    col(["z"]),
+    col(["vx"]),
+    col(["vy"]),
+    col(["vz"]),
+  ];
+  if (columns.slice(0, 4).some((c) => c === undefined)) {
+    throw new Error("Ephemeris CSV needs jd, x, y and z columns");
+  }
+
+  const states = rows.slice(1).map((line) => {
+    const cells = splitRow(line);
+    return columns.map((c) => (c === undefined ? NaN : parseFloat(cells[c])));
+  });
+  return [
+    fromStateRows(states, {
+      name: fileName.replace(/^.*\//, "").replace(/\.[^.]*$/, ""),
+      events,
+    }),
+  ];
+}
+
+export function isEphemerisFile(text, fileName = "") {
+  if (/\.json$/i.test(fileName) || text.includes("$$SOE")) return true;
+  const firstLine = text.slice(0, text.indexOf("\n")).toLowerCase();
+  return (
+    /(^|,)\s*(jd|jdtdb)\s*,/.test(firstLine) || firstLine.startsWith("#event")
+  );
+}
+
+/** Returns a list of ephemerides; JSON files may hold several spacecraft */
+export function parseEphemerisFile(text, fileName = "") {
+  if (text.includes("$$SOE")) return parseHorizons(text);
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+    return parseJSON(text, fileName);
+  }
+  return parseCSV(text, fileName);
+}
+
+// Index of the last epoch <= jd
+function findInterval(epochs, jd) {
+  let lo = 0;
+  let hi = epochs.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (epochs[mid] <= jd) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function interpolateHermite(ephemeris, jd, target) {
+  const { epochs, states } = ephemeris;
+  const n = findInterval(epochs, jd);
+  const h = epochs[n + 1] - epochs[n];
+  const t = (jd - epochs[n]) / h;
+  const t2 = t * t;
+  const t3 = t2 * t;
+  const h00 = 2 * t3 - 3 * t2 + 1;
+  const h10 = t3 - 2 * t2 + t;
+  const h01 = -2 * t3 + 3 * t2;
+  const h11 = t3 - t2;
+  // Velocities are km/s; the spline runs in days
+  const dt = h * SECONDS_PER_DAY;
+  const a = 6 * n;
+  const b = 6 * (n + 1);
+  target.x = h00 * states[a] + h10 * dt * states[a + 3];
+  target.x += h01 * states[b] + h11 * dt * states[b + 3];
+  target.y = h00 * states[a + 1] + h10 * dt * states[a + 4];
+  target.y += h01 * states[b + 1] + h11 * dt * states[b + 4];
+  target.z = h00 * states[a + 2] + h10 * dt * states[a + 5];
+  target.z += h01 * states[b + 2] + h11 * dt * states[b + 5];
+  return target;
+}
+
+function interpolateLagrange(ephemeris, jd, target) {
+  const { epochs, states } = ephemeris;
+  const count = epochs.length;
+  const order = Math.min(4, count);
+  const first = Math.max(
+    0,
+    Math.min(count - order, findInterval(epochs, jd) - (order >> 1) + 1)
+  );
+
+  target.x = 0;
+  target.y = 0;
+  target.z = 0;
+  for (let i = first; i < first + order; i++) {
+    let weight = 1;
+    for (let j = first; j < first + order; j++) {
+      if (j !== i) weight *= (jd - epochs[j]) / (epochs[i] - epochs[j]);
+    }
+    target.x += weight * states[6 * i];
+    target.y += weight * states[6 * i + 1];
+    target.z += weight * states[6 * i + 2];
+  }
+  return target;
+}
+
+function evaluateChebyshev(coefficients, s) {
+  // Clenshaw recurrence
+  let b1 = 0;
+  let b2 = 0;
+  for (let k = coefficients.length - 1; k >= 1; k--) {
+    const b0 = 2 * s * b1 - b2 + coefficients[k];
+    b2 = b1;
+    b1 = b0;
+  }
+  return s * b1 - b2 + coefficients[0];
+}
+
+function interpolateChebyshev(ephemeris, jd, target) {
+  const segment =
+    ephemeris.segments.find((seg) => Math.abs(jd - seg.mid) <= seg.radius) ||
+    ephemeris.segments[ephemeris.segments.length - 1];
+  const s = (jd - segment.mid) / segment.radius;
+  target.x = evaluateChebyshev(segment.x, s);
+  target.y = evaluateChebyshev(segment.y, s);
+  target.z = evaluateChebyshev(segment.z, s);
+  return target;
+}
+
+/**
+ * Position (km, relative to the ephemeris center and in its frame) at `jd`,
+ * written to `target`. Returns null outside the covered time span.
+ */
+export function getEphemerisPosition(ephemeris, jd, target) {
+  if (jd < ephemeris.start || jd > ephemeris.end) return null;
+  if (ephemeris.type === 2) return interpolateChebyshev(ephemeris, jd, target);
+  if (ephemeris.hasVelocity) return interpolateHermite(ephemeris, jd, target);
+  return interpolateLagrange(ephemeris, jd, target);
+}
@@ -0,0 +1,144 @@
+/**
+ * STAR CATALOG PARSERS
+ * Reads HYG-style CSV (`ra` in hours, `dec` in degrees, `mag`, `ci` for
+ * B-V and optional `proper`, `bayer`, `con`) and the fixed-width Yale Bright
+ * Star Catalogue (BSC5) into star records with J2000 RA/Dec in radians.
+ * Constellation figures list Bayer codes per IAU abbreviation; a code can
+ * borrow a star from another constellation as "And:Alp".
+ */
+
+const DEG_TO_RAD = Math.PI / 180;
+
+function splitRow(line) {
+  return line.split(",").map((cell) => cell.trim().replace(/^"(.*)"$/, "$1"));
+}
+
+function parseCSV(lines, magnitudeLimit) {
+  const header = splitRow(lines[0]).map((h) => h.toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const columns = {
+    ra: col("ra"),
+    dec: col("dec"),
+    mag: col("mag"),
+    ci: col("ci"),
+    proper: col("proper"),
+    bayer: col("bayer"),
+    con: col("con"),
+  };
+  if (columns.ra < 0 || columns.dec < 0 || columns.mag < 0) {
+    throw new Error("Star catalog CSV needs ra, dec and mag columns");
+  }
+
+  const stars = [];
+  lines.slice(1).forEach((line) => {
+    const cells = splitRow(line);
+    const text = (name) => (columns[name] < 0 ? "" : cells[columns[name]]);
+    const mag = parseFloat(cells[columns.mag]);
+    // HYG lists the Sun as its first row
+    if (!(mag <= magnitudeLimit) || text("proper") === "Sol") return;
+    stars.push({
+      ra: parseFloat(cells[columns.ra]) * 15 * DEG_TO_RAD,
+      dec: parseFloat(cells[columns.dec]) * DEG_TO_RAD,
+      mag,
+      bv: parseFloat(text("ci")) || 0,
+      name: text("proper"),
+      bayer: text("bayer"),
+      con: text("con"),
+    });
+  });
+  return stars;
+}
+
+// Byte ranges follow the BSC5 ReadMe (1-based, inclusive)
+function parseBSC(lines, magnitudeLimit) {
+  const field = (line, from, to) => line.slice(from - 1, to).trim();
+  const stars = [];
+  lines.forEach((line) => {
+    const mag = parseFloat(field(line, 103, 107));
+    const raHours = field(line, 76, 77);
+    // A handful of entries (novae, removed objects) carry no position
+    if (!(mag <= magnitudeLimit) || raHours === "") return;
+    const ra =
+      parseFloat(raHours) +
+      parseFloat(field(line, 78, 79)) / 60 +
+      parseFloat(field(line, 80, 83)) / 3600;
+    const dec =
+      parseFloat(field(line, 85, 86)) +
+      parseFloat(field(line, 87, 88)) / 60 +
+      parseFloat(field(line, 89, 90)) / 3600;
+    stars.push({
+      ra: ra * 15 * DEG_TO_RAD,
+      dec: (field(line, 84, 84) === "-" ? -dec : dec) * DEG_TO_RAD,
+      mag,
+      bv: parseFloat(field(line, 110, 114)) || 0,
+      name: "",
+      bayer: field(line, 8, 10),
+      con: field(line, 12, 14),
+    });
+  });
+  return stars;
+}
+
+/** HYG-style CSV, recognised by its ra/dec/mag header */
+export function isStarCatalogFile(text) {
+  const header = splitRow(text.slice(0, text.indexOf("\n"))).map((h) =>
+    h.toLowerCase()
+  );
+  return ["ra", "dec", "mag"].every((name) => header.includes(name));
+}
+
+/** Stars no fainter than `magnitudeLimit`, brightest first */
+export function parseStarCatalog(text, magnitudeLimit = 6.5) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) throw new Error("Star catalog is empty");
+  const firstRow = splitRow(lines[0]).map((h) => h.toLowerCase());
+  const stars = firstRow.includes("ra")
+    ? parseCSV(lines, magnitudeLimit)
+    : parseBSC(lines, magnitudeLimit);
+  return stars.sort((a, b) => a.mag - b.mag);
+}
+
+/**
+ * Approximate sRGB colour ([r, g, b] in 0..1) of a star from its B-V index:
+ * Ballesteros' temperature fit followed by a blackbody curve fit.
+ */
+export function bvToColor(bv) {
+  const index = Math.min(2, Math.max(-0.4, bv));
+  const T =
+    (4600 * (1 / (0.92 * index + 1.7) + 1 / (0.92 * index + 0.62))) / 100;
+
+  const red = T <= 66 ? 255 : 329.7 * Math.pow(T - 60, -0.1332);
+  const green =
+    T <= 66 ? 99.47 * Math.log(T) - 161.12 : 288.12 * Math.pow(T - 60, -0.0755);
+  let blue = 255;
+  if (T < 66) blue = T <= 19 ? 0 : 138.52 * Math.log(T - 10) - 305.04;
+
+  return [red, green, blue].map((c) => Math.min(255, Math.max(0, c)) / 255);
+}
+
+/**
+ * Turns constellation figures into star index pairs. Figures whose stars
+ * are missing from the catalog lose just the affected segments.
+ */
+export function resolveConstellations(figures, stars) {
+  const index = new Map();
+  stars.forEach((star, n) => {
+    const key = `${star.con}:${star.bayer}`;
+    // Keep the brightest star when components share a Bayer letter
+    if (star.bayer && !index.has(key)) index.set(key, n);
+  });
+
+  return Object.entries(figures).map(([abbreviation, figure]) => {
+    const lookup = (code) =>
+      index.get(code.includes(":") ? code : `${abbreviation}:${code}`);
+    const segments = [];
+    figure.lines.forEach((line) => {
+      for (let k = 1; k < line.length; k++) {
+        const a = lookup(line[k - 1]);
+        const b = lookup(line[k]);
+        if (a !== undefined && b !== undefined) segments.push([a, b]);
+      }
+    });
+    return { abbreviation, name: figure.name, segments };
+  });
+}
@@ -0,0 +1,44 @@
+/**
+ * STAR FIELD SHADERS
+ * Catalog stars as round points whose size and opacity follow their
+ * magnitude and whose colour comes from the B-V index.
+ */
+
+export const starVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+uniform float uPixelRatio;
+uniform float uBrightness;
+
+attribute float aMagnitude;
+attribute vec3 aColor;
+
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  #include <logdepthbuf_vertex>
+
+  // Flux relative to a magnitude 1 star: brighter stars grow, fainter ones
+  // shrink to a minimum point and fade instead
+  float flux = pow(10.0, -0.4 * (aMagnitude - 1.0)) * uBrightness;
+  gl_PointSize = clamp(2.0 * sqrt(flux), 1.5, 8.0) * uPixelRatio;
+  vAlpha = clamp(1.5 * sqrt(flux), 0.1, 1.0);
+  vColor = aColor;
+}
+`;
+
+export const starFragmentShader = `
+#include <logdepthbuf_pars_fragment>
+varying vec3 vColor;
+varying float vAlpha;
+
+void main() {
+  #include <logdepthbuf_fragment>
+  float d = length(gl_PointCoord - 0.5);
+  if (d > 0.5) discard;
+  float falloff = 1.0 - smoothstep(0.15, 0.5, d);
+  gl_FragColor = vec4(vColor, vAlpha * falloff);
+}
+`;
@@ -1,34 +1,18 @@
 /**
- * GLSL SHADER DEFINITIONS
- * Uses Simplex Noise to simulate plasma turbulence and Fresnel calculations for atmospheric glow.
+ * SUN SHADERS
+ * The photosphere is shaded on the Sun's own sphere: wavelength-dependent
+ * limb darkening, cellular granulation and the sunspot groups passed in
+ * from SolarActivity.js. The corona is raymarched through a shell around
+ * it, with streamers whose spread follows the solar cycle, brightness
+ * falling off with height as in the Baumbach electron-density model, and
+ * prominences hugging the limb. Both work in the Sun's rotating frame in
+ * units of its radius and are animated by `uTime`.
  */
 
-export const vertexShader = `
-varying vec2 vUv;
-varying vec3 vNormal;
-varying vec3 vPosition;
-varying vec3 vViewPosition;
-
-void main() {
-  vUv = uv;
-  vNormal = normalize(normalMatrix * normal);
-  vPosition = (modelViewMatrix * vec4(position, 1.0)).xyz;
-  // Vector pointing from vertex to camera
-  vViewPosition = -vPosition; 
-  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-}
-`;
+export const MAX_SUNSPOTS = 24;
 
-export const fragmentShaderCorona = `
-uniform float uTime;
-uniform vec3 uColor;
-uniform float uRimPower;
-
-varying vec2 vUv;
-varying vec3 vNormal;
-varying vec3 vViewPosition;
-
-// --- SIMPLEX NOISE ALGORITHM (Ashima/Webgl-noise) ---
+// Simplex noise (Ashima Arts / webgl-noise)
+const SIMPLEX_NOISE = `
 vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
 vec4 mod289(vec4 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
 vec4 permute(vec4 x) { return mod289(((x*34.0)+1.0)*x); }
@@ -38,34 +22,31 @@ float snoise(vec3 v) {
   const vec2  C = vec2(1.0/6.0, 1.0/3.0) ;
   const vec4  D = vec4(0.0, 0.5, 1.0, 2.0);
 
-  // First corner
   vec3 i  = floor(v + dot(v, C.yyy) );
   vec3 x0 = v - i + dot(i, C.xxx) ;
 
-  // Other corners
   vec3 g = step(x0.yzx, x0.xyz);
   vec3 l = 1.0 - g;
   vec3 i1 = min( g.xyz, l.zxy );
   vec3 i2 = max( g.xyz, l.zxy );
 
   vec3 x1 = x0 - i1 + C.xxx;
-  vec3 x2 = x0 - i2 + C.yyy; // 2.0*C.x = 1/3 = C.y
-  vec3 x3 = x0 - D.yyy;      // -1.0+3.0*C.x = -0.5 = -D.y
+  vec3 x2 = x0 - i2 + C.yyy;
+  vec3 x3 = x0 - D.yyy;
 
-  // Permutations
   i = mod289(i);
   vec4 p = permute( permute( permute(
              i.z + vec4(0.0, i1.z, i2.z, 1.0 ))
            + i.y + vec4(0.0, i1.y, i2.y, 1.0 ))
            + i.x + vec4(0.0, i1.x, i2.x, 1.0 ));
 
-  float n_ = 0.142857142857; // 1.0/7.0
+  float n_ = 0.142857142857;
   vec3  ns = n_ * D.wyz - D.xzx;
 
-  vec4 j = p - 49.0 * floor(p * ns.z * ns.z);  //  mod(p,7*7)
+  vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
 
   vec4 x_ = floor(j * ns.z);
-  vec4 y_ = floor(j - 7.0 * x_ );    // mod(j,N)
+  vec4 y_ = floor(j - 7.0 * x_ );
 
   vec4 x = x_ *ns.x + ns.yyyy;
   vec4 y = y_ *ns.x + ns.yyyy;
@@ -86,36 +67,239 @@ float snoise(vec3 v) {
   vec3 p2 = vec3(a1.xy,h.z);
   vec3 p3 = vec3(a1.zw,h.w);
 
-  //Normalise gradients
   vec4 norm = taylorInvSqrt(vec4(dot(p0,p0), dot(p1,p1), dot(p2, p2), dot(p3,p3)));
   p0 *= norm.x;
   p1 *= norm.y;
   p2 *= norm.z;
   p3 *= norm.w;
 
-  // Mix final noise value
   vec4 m = max(0.6 - vec4(dot(x0,x0), dot(x1,x1), dot(x2,x2), dot(x3,x3)), 0.0);
   m = m * m;
   return 42.0 * dot( m*m, vec4( dot(p0,x0), dot(p1,x1), dot(p2,x2), dot(p3,x3) ) );
 }
+`;
+
+export const photosphereVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+varying vec3 vSurface;
+varying vec3 vNormal;
+varying vec3 vViewPosition;
 
 void main() {
-  vec3 viewDir = normalize(vViewPosition);
+  // Unit sphere in the Sun's rotating frame, Y along its pole
+  vSurface = normalize(position);
+  vNormal = normalize(normalMatrix * normal);
+  vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+  vViewPosition = -viewPosition.xyz;
+  gl_Position = projectionMatrix * viewPosition;
+  #include <logdepthbuf_vertex>
+}
+`;
+
+export const photosphereFragmentShader = `
+#include <logdepthbuf_pars_fragment>
+#define MAX_SUNSPOTS ${MAX_SUNSPOTS}
+
+uniform float uTime;
+uniform vec3 uColor;           // disc-centre colour
+uniform vec3 uLimbDarkening;   // linear limb-darkening coefficient per channel
+uniform float uGranuleScale;   // granules across one solar radius
+uniform vec4 uSpots[MAX_SUNSPOTS]; // xyz = unit direction, w = angular radius
+uniform int uSpotCount;
+
+varying vec3 vSurface;
+varying vec3 vNormal;
+varying vec3 vViewPosition;
+
+${SIMPLEX_NOISE}
+
+vec3 hash33(vec3 p) {
+  p = vec3(
+    dot(p, vec3(127.1, 311.7, 74.7)),
+    dot(p, vec3(269.5, 183.3, 246.1)),
+    dot(p, vec3(113.5, 271.9, 124.6))
+  );
+  return fract(sin(p) * 43758.5453123);
+}
+
+// Distance to the nearest and second-nearest of a set of drifting cell
+// centres; their difference is small along the dark intergranular lanes
+vec2 worley(vec3 p, float time) {
+  vec3 cell = floor(p);
+  vec2 nearest = vec2(8.0);
+  for (int x = -1; x <= 1; x++) {
+    for (int y = -1; y <= 1; y++) {
+      for (int z = -1; z <= 1; z++) {
+        vec3 neighbour = cell + vec3(float(x), float(y), float(z));
+        vec3 h = hash33(neighbour);
+        vec3 centre = neighbour + 0.5 + 0.4 * sin(time + 6.2831 * h);
+        float d = length(p - centre);
+        if (d < nearest.x) {
+          nearest = vec2(d, nearest.x);
+        } else if (d < nearest.y) {
+          nearest.y = d;
+        }
+      }
+    }
+  }
+  return nearest;
+}
+
+void main() {
+  #include <logdepthbuf_fragment>
   vec3 normal = normalize(vNormal);
+  float mu = clamp(dot(normal, normalize(vViewPosition)), 0.0, 1.0);
+
+  // Granulation, faded out where the cells shrink below a pixel
+  vec3 p = vSurface * uGranuleScale;
+  vec2 cells = worley(p, uTime * 0.15);
+  float granule = smoothstep(0.0, 0.35, cells.y - cells.x);
+  float resolved = 1.0 - smoothstep(0.3, 0.8, length(fwidth(p)));
+  float supergranule = snoise(vSurface * 6.0 + uTime * 0.01);
+  float brightness = 1.0 + resolved * 0.18 * (granule - 0.6);
+  brightness += 0.03 * supergranule;
+
+  // Sunspots: a dark umbra inside a filamentary penumbra, ringed by faculae
+  // that only stand out towards the limb
+  vec3 spotTint = vec3(1.0);
+  for (int i = 0; i < MAX_SUNSPOTS; i++) {
+    if (i >= uSpotCount) break;
+    vec4 spot = uSpots[i];
+    float d = acos(clamp(dot(vSurface, spot.xyz), -1.0, 1.0)) / spot.w;
+    // Filaments run radially out of the spot
+    vec3 east = normalize(cross(vec3(0.0, 1.0, 0.0), spot.xyz));
+    vec3 offset = vSurface - spot.xyz;
+    float azimuth = atan(dot(offset, cross(spot.xyz, east)), dot(offset, east));
+    float filaments = snoise(vec3(azimuth * 6.0, d, float(i)));
+    float penumbra = 1.0 - smoothstep(0.85, 1.05 + 0.1 * filaments, d);
+    float umbra = 1.0 - smoothstep(0.3, 0.45, d);
+    spotTint *= mix(vec3(1.0), vec3(0.78, 0.62, 0.48), penumbra);
+    spotTint *= mix(vec3(1.0), vec3(0.32, 0.2, 0.14), umbra);
+    float facula = 1.0 - smoothstep(1.2, 3.5, d);
+    brightness += 0.25 * (1.0 - mu) * facula * (1.0 - penumbra);
+  }
+
+  vec3 limb = 1.0 - uLimbDarkening * (1.0 - mu);
+  gl_FragColor = vec4(uColor * limb * brightness * spotTint, 1.0);
+}
+`;
+
+export const coronaVertexShader = `
+#include <common>
+#include <logdepthbuf_pars_vertex>
+uniform float uExtent;
+
+varying vec3 vLocal;
+
+void main() {
+  vLocal = normalize(position) * uExtent;
+  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  #include <logdepthbuf_vertex>
+}
+`;
+
+export const coronaFragmentShader = `
+#include <logdepthbuf_pars_fragment>
+#define CORONA_STEPS 24
+#define INNER_STEPS 16
+// The steep base of the corona and the prominences live below this radius
+// and get their own finer march
+#define INNER_RADIUS 1.25
+
+uniform float uTime;
+uniform float uExtent;         // outer radius of the shell in solar radii
+uniform vec3 uCameraLocal;     // camera in the Sun's frame, solar radii
+uniform float uActivity;       // 0 at solar minimum, 1 at maximum
+uniform float uIntensity;
+uniform vec3 uCoronaColor;
+uniform vec3 uProminenceColor;
+
+varying vec3 vLocal;
+
+${SIMPLEX_NOISE}
+
+// Baumbach electron density, normalised to 1 at the photosphere
+float baumbach(float r) {
+  return (0.036 * pow(r, -1.5) + 1.55 * pow(r, -6.0) + 2.99 * pow(r, -16.0)) /
+    4.576;
+}
+
+// Near and far distances along the ray to a sphere of radius r at the origin
+vec2 intersectSphere(vec3 origin, vec3 dir, float r) {
+  float b = dot(origin, dir);
+  float c = dot(origin, origin) - r * r;
+  float h = b * b - c;
+  if (h < 0.0) return vec2(-1.0);
+  h = sqrt(h);
+  return vec2(-b - h, -b + h);
+}
+
+// Corona (x) and prominence (y) emission at a point
+vec2 emission(vec3 p) {
+  float r = length(p);
+  vec3 radial = p / r;
+  float latitude = asin(clamp(radial.y, -1.0, 1.0));
+
+  // Streamers gather at the equator near minimum and spread to all
+  // latitudes towards maximum; noise on the direction alone keeps the
+  // structure radial
+  float spread = mix(0.3, 1.4, uActivity);
+  float rays = snoise(radial * 5.0 + vec3(0.0, 0.0, uTime * 0.01));
+  rays += 0.5 * snoise(radial * 14.0 - vec3(uTime * 0.015));
+  float belt = mix(0.25, 1.0, exp(-(latitude / spread) * (latitude / spread)));
+  float streamer = belt * (0.45 + 0.55 * smoothstep(-0.4, 1.0, rays));
+  float fade = 1.0 - smoothstep(0.7 * uExtent, uExtent, r);
+  float corona = baumbach(r) * streamer * fade;
+
+  // Prominences: dense tongues of cool gas up to about 0.15 radii high,
+  // most common in the active belts
+  float prominence = 0.0;
+  float height = r - 1.0;
+  if (height < INNER_RADIUS - 1.0) {
+    float tongue = snoise(radial * 9.0 + vec3(0.0, uTime * 0.02, 0.0));
+    float loops = snoise(p * 22.0 + vec3(uTime * 0.03));
+    float cap = 0.04 + 0.08 * smoothstep(0.3, 1.0, tongue);
+    float active = mix(0.4, 1.0, uActivity) *
+      exp(-pow(abs(latitude) / mix(0.5, 0.9, uActivity), 4.0));
+    prominence = 12.0 * smoothstep(0.35, 0.75, tongue) *
+      smoothstep(-0.2, 0.4, loops) * exp(-height / cap) * active;
+  }
+  return vec2(corona, prominence);
+}
+
+void main() {
+  #include <logdepthbuf_fragment>
+  vec3 origin = uCameraLocal;
+  vec3 dir = normalize(vLocal - uCameraLocal);
+  vec2 shell = intersectSphere(origin, dir, uExtent);
+  vec2 sun = intersectSphere(origin, dir, 1.0);
+  float start = max(shell.x, 0.0);
+  float end = sun.x > 0.0 ? sun.x : shell.y;
+  if (end <= start) discard;
+
+  float jitter = fract(sin(dot(gl_FragCoord.xy, vec2(12.9898, 78.233))) * 43758.5453);
+  vec2 total = vec2(0.0);
 
-  // 1. Fresnel Effect: Calculate rim intensity based on viewing angle
-  float viewDot = dot(viewDir, normal);
-  float rim = pow(1.0 - abs(viewDot), uRimPower); // Higher power = thinner rim
+  // Outer corona in coarse steps, leaving the inner shell to the fine pass
+  float dt = (end - start) / float(CORONA_STEPS);
+  for (int i = 0; i < CORONA_STEPS; i++) {
+    vec3 p = origin + dir * (start + (float(i) + jitter) * dt);
+    if (length(p) > INNER_RADIUS) total += emission(p) * dt;
+  }
 
-  // 2. Noise Turbulence: Simulate moving plasma
-  float noiseVal = snoise(vec3(vNormal * 4.0 + uTime * 0.5)); 
-  
-  // 3. Combine: Brighter at the rim, noisy in the "atmosphere"
-  float alpha = rim * (0.6 + 0.4 * noiseVal);
-  
-  // Color logic: Core is yellowish, rim shifts to reddish-orange
-  vec3 finalColor = uColor * (1.0 + noiseVal * 0.2);
+  vec2 inner = intersectSphere(origin, dir, INNER_RADIUS);
+  float innerStart = max(inner.x, 0.0);
+  float innerEnd = sun.x > 0.0 ? sun.x : inner.y;
+  if (innerEnd > innerStart) {
+    dt = (innerEnd - innerStart) / float(INNER_STEPS);
+    for (int i = 0; i < INNER_STEPS; i++) {
+      vec3 p = origin + dir * (innerStart + (float(i) + jitter) * dt);
+      total += emission(p) * dt;
+    }
+  }
 
-  gl_FragColor = vec4(finalColor, alpha);
+  vec3 color = uCoronaColor * total.x * uIntensity + uProminenceColor * total.y;
+  gl_FragColor = vec4(color, 1.0);
 }
 `;
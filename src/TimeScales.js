@@ -0,0 +1,326 @@
+/**
+ * TIME SCALES
+ * Conversions between UTC, TAI, TT and TDB Julian dates. From 1972 until
+ * LEAP_SECONDS_HOLD_UNTIL UTC is tied to TAI by whole leap seconds; outside
+ * that UTC stands in for UT1 and TT - UT comes from the Espenak-Meeus delta
+ * T polynomials. The ephemerides are evaluated in TDB.
+ * Calendar dates are proleptic Gregorian with astronomical year numbering
+ * (year 0 is 1 BCE), so they reach past the range of Date.
+ */
+
+const J2000 = 2451545.0;
+const UNIX_EPOCH_JD = 2440587.5;
+const SECONDS_PER_DAY = 86400;
+const TT_MINUS_TAI = 32.184;
+const DEG_TO_RAD = Math.PI / 180;
+
+export const TIME_SCALES = ["UTC", "TAI", "TT", "TDB"];
+
+// [UTC Julian date the offset takes effect, TAI - UTC in seconds]. When
+// IERS Bulletin C announces a leap second, append its row here and move
+// LEAP_SECONDS_HOLD_UNTIL past it if need be.
+const LEAP_SECONDS = [
+  [2441317.5, 10], // 1972-01-01
+  [2441499.5, 11], // 1972-07-01
+  [2441683.5, 12], // 1973-01-01
+  [2442048.5, 13], // 1974-01-01
+  [2442413.5, 14], // 1975-01-01
+  [2442778.5, 15], // 1976-01-01
+  [2443144.5, 16], // 1977-01-01
+  [2443509.5, 17], // 1978-01-01
+  [2443874.5, 18], // 1979-01-01
+  [2444239.5, 19], // 1980-01-01
+  [2444786.5, 20], // 1981-07-01
+  [2445151.5, 21], // 1982-07-01
+  [2445516.5, 22], // 1983-07-01
+  [2446247.5, 23], // 1985-07-01
+  [2447161.5, 24], // 1988-01-01
+  [2447892.5, 25], // 1990-01-01
+  [2448257.5, 26], // 1991-01-01
+  [2448804.5, 27], // 1992-07-01
+  [2449169.5, 28], // 1993-07-01
+  [2449534.5, 29], // 1994-07-01
+  [2450083.5, 30], // 1996-01-01
+  [2450630.5, 31], // 1997-07-01
+  [2451179.5, 32], // 1999-01-01
+  [2453736.5, 33], // 2006-01-01
+  [2454832.5, 34], // 2009-01-01
+  [2456109.5, 35], // 2012-07-01
+  [2457204.5, 36], // 2015-07-01
+  [2457754.5, 37], // 2017-01-01
+];
+
+// The last offset holds until this date, and only after it does delta T
+// take over. No leap second has been added since 2017, and the CGPM
+// (Resolution 4, 2022) means to stop adding them by 2035.
+const LEAP_SECONDS_HOLD_UNTIL = 2464328.5; // 2035-01-01
+
+export function dateToJulianDate(date) {
+  return date.getTime() / (SECONDS_PER_DAY * 1000) + UNIX_EPOCH_JD;
+}
+
+export function julianDateToDate(jd) {
+  return new Date((jd - UNIX_EPOCH_JD) * SECONDS_PER_DAY * 1000);
+}
+
+// Days from 1970-01-01 to a proleptic Gregorian date (Hinnant's algorithm)
+function daysFromCivil(year, month, day) {
+  const y = month <= 2 ? year - 1 : year;
+  const era = Math.floor(y / 400);
+  const yearOfEra = y - era * 400;
+  const dayOfYear =
+    Math.floor((153 * (month + (month > 2 ? -3 : 9)) + 2) / 5) + day - 1;
+  const dayOfEra =
+    yearOfEra * 365 +
+    Math.floor(yearOfEra / 4) -
+    Math.floor(yearOfEra / 100) +
+    dayOfYear;
+  return era * 146097 + dayOfEra - 719468;
+}
+
+function civilFromDays(days) {
+  const z = days + 719468;
+  const era = Math.floor(z / 146097);
+  const dayOfEra = z - era * 146097;
+  const yearOfEra = Math.floor(
+    (dayOfEra -
+      Math.floor(dayOfEra / 1460) +
+      Math.floor(dayOfEra / 36524) -
+      Math.floor(dayOfEra / 146096)) /
+      365
+  );
+  const dayOfYear =
+    dayOfEra -
+    (365 * yearOfEra + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100));
+  const mp = Math.floor((5 * dayOfYear + 2) / 153);
+  const month = mp < 10 ? mp + 3 : mp - 9;
+  return {
+    year: yearOfEra + era * 400 + (month <= 2 ? 1 : 0),
+    month,
+    day: dayOfYear - Math.floor((153 * mp + 2) / 5) + 1,
+  };
+}
+
+export function calendarToJulianDate(year, month, day, seconds = 0) {
+  return (
+    daysFromCivil(year, month, day) + seconds / SECONDS_PER_DAY + UNIX_EPOCH_JD
+  );
+}
+
+/** Calendar date and the seconds into that day, rounded to the second */
+export function julianDateToCalendar(jd) {
+  const totalSeconds = Math.round((jd - UNIX_EPOCH_JD) * SECONDS_PER_DAY);
+  const days = Math.floor(totalSeconds / SECONDS_PER_DAY);
+  return {
+    ...civilFromDays(days),
+    seconds: totalSeconds - days * SECONDS_PER_DAY,
+  };
+}
+
+const pad = (value) => String(value).padStart(2, "0");
+
+/** ISO 8601 "2024-01-01T00:01:09", with a signed year outside 0..9999 */
+export function formatIsoDate(jd) {
+  const { year, month, day, seconds } = julianDateToCalendar(jd);
+  const digits = String(Math.abs(year)).padStart(4, "0");
+  const yearText =
+    year >= 0 && year <= 9999 ? digits : `${year < 0 ? "-" : "+"}${digits}`;
+  const time = [
+    Math.floor(seconds / 3600),
+    Math.floor(seconds / 60) % 60,
+    seconds % 60,
+  ];
+  return `${yearText}-${pad(month)}-${pad(day)}T${time.map(pad).join(":")}`;
+}
+
+const DATE_PATTERN =
+  /^([+-]?\d+)-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d*)?))?)?(?:\s*(BCE|BC))?$/i;
+
+/**
+ * Julian date for "JD 2460310.5" or a bare number, or for an ISO-style
+ * "[+-]YYYY-MM-DD[ HH:MM[:SS]]" where a trailing "BCE" counts years
+ * historically ("0044-03-15 BCE" is year -43). NaN when nothing matches.
+ */
+export function parseDateInput(text) {
+  const value = text.trim();
+  const jd = value.match(/^(?:JD\s*)?([+-]?\d+(?:\.\d*)?)$/i);
+  if (jd) return parseFloat(jd[1]);
+
+  const date = value.match(DATE_PATTERN);
+  if (!date) return NaN;
+  const [, yearText, month, day, hours = 0, minutes = 0, seconds = 0, bce] =
+    date;
+  const year = bce ? 1 - parseInt(yearText, 10) : parseInt(yearText, 10);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return NaN;
+  return calendarToJulianDate(
+    year,
+    Number(month),
+    Number(day),
+    hours * 3600 + minutes * 60 + parseFloat(seconds)
+  );
+}
+
+/** TAI - UTC in seconds, or null outside the leap-second era */
+export function getLeapSeconds(jdUTC) {
+  if (jdUTC < LEAP_SECONDS[0][0] || jdUTC >= LEAP_SECONDS_HOLD_UNTIL) {
+    return null;
+  }
+  let offset = LEAP_SECONDS[0][1];
+  for (const [start, seconds] of LEAP_SECONDS) {
+    if (jdUTC < start) break;
+    offset = seconds;
+  }
+  return offset;
+}
+
+const julianYear = (jd) => 2000 + (jd - J2000) / 365.25;
+
+// Morrison & Stephenson long-term parabola
+const longTermDeltaT = (year) => {
+  const u = (year - 1820) / 100;
+  return -20 + 32 * u * u;
+};
+
+const polynomial = (t, coefficients) =>
+  coefficients.reduceRight((sum, c) => sum * t + c, 0);
+
+// TT - UT the table ends on, carried forward until the model takes over
+const lastTableDeltaT = () =>
+  LEAP_SECONDS[LEAP_SECONDS.length - 1][1] + TT_MINUS_TAI;
+
+// Espenak & Meeus segments: [up to year, origin, scale, coefficients], with
+// delta T = c0 + c1 t + c2 t^2 + ... for t = (year - origin) / scale
+const DELTA_T_POLYNOMIALS = [
+  [
+    500,
+    0,
+    100,
+    [
+      10583.6, -1014.41, 33.78311, -5.952053, -0.1798452, 0.022174192,
+      0.0090316521,
+    ],
+  ],
+  [
+    1600,
+    1000,
+    100,
+    [
+      1574.2, -556.01, 71.23472, 0.319781, -0.8503463, -0.005050998,
+      0.0083572073,
+    ],
+  ],
+  [1700, 1600, 1, [120, -0.9808, -0.01532, 1 / 7129]],
+  [1800, 1700, 1, [8.83, 0.1603, -0.0059285, 0.00013336, -1 / 1174000]],
+  [
+    1860,
+    1800,
+    1,
+    [
+      13.72, -0.332447, 0.0068612, 0.0041116, -0.00037436, 0.0000121272,
+      -0.0000001699, 0.000000000875,
+    ],
+  ],
+  [
+    1900,
+    1860,
+    1,
+    [7.62, 0.5737, -0.251754, 0.01680668, -0.0004473624, 1 / 233174],
+  ],
+  [1920, 1900, 1, [-2.79, 1.494119, -0.0598939, 0.0061966, -0.000197]],
+  [1941, 1920, 1, [21.2, 0.84493, -0.0761, 0.0020936]],
+  [1961, 1950, 1, [29.07, 0.407, -1 / 233, 1 / 2547]],
+  [1972, 1975, 1, [45.45, 1.067, -1 / 260, -1 / 718]],
+];
+
+/**
+ * TT - UT in seconds for a decimal year (Espenak & Meeus, NASA Five
+ * Millennium Canon), taken from the leap-second table while it applies.
+ * Past LEAP_SECONDS_HOLD_UNTIL the last tabulated value blends into the
+ * long-term parabola by 2150, so the model has no jump where the table
+ * stops.
+ */
+export function getDeltaT(year) {
+  if (year < -500) return longTermDeltaT(year);
+  const segment = DELTA_T_POLYNOMIALS.find(([until]) => year < until);
+  if (segment) {
+    const [, origin, scale, coefficients] = segment;
+    return polynomial((year - origin) / scale, coefficients);
+  }
+
+  const endYear = julianYear(LEAP_SECONDS_HOLD_UNTIL);
+  if (year < endYear) {
+    return getLeapSeconds(J2000 + (year - 2000) * 365.25) + TT_MINUS_TAI;
+  }
+  if (year < 2150) {
+    const excess = longTermDeltaT(endYear) - lastTableDeltaT();
+    return longTermDeltaT(year) - (excess * (2150 - year)) / (2150 - endYear);
+  }
+  return longTermDeltaT(year);
+}
+
+// TT - UTC in seconds at a UTC Julian date
+function getTTMinusUTC(jdUTC) {
+  const leapSeconds = getLeapSeconds(jdUTC);
+  if (leapSeconds !== null) return leapSeconds + TT_MINUS_TAI;
+  return getDeltaT(julianYear(jdUTC));
+}
+
+/**
+ * TDB - TT in seconds: the periodic term from the Earth's eccentric orbit,
+ * good to about 30 microseconds
+ */
+export function getTDBMinusTT(jdTT) {
+  const g = (357.53 + 0.98560028 * (jdTT - J2000)) * DEG_TO_RAD;
+  return 0.001657 * Math.sin(g) + 0.000014 * Math.sin(2 * g);
+}
+
+function toTT(jd, scale) {
+  switch (scale) {
+    case "UTC":
+      return jd + getTTMinusUTC(jd) / SECONDS_PER_DAY;
+    case "TAI":
+      return jd + TT_MINUS_TAI / SECONDS_PER_DAY;
+    case "TDB":
+      return jd - getTDBMinusTT(jd) / SECONDS_PER_DAY;
+    default:
+      return jd;
+  }
+}
+
+function fromTT(jdTT, scale) {
+  switch (scale) {
+    case "UTC": {
+      // The offset changes slowly, so this settles in a pass or two except
+      // on the extrapolated delta T far from the present
+      let jdUTC = jdTT;
+      for (let n = 0; n < 8; n++) {
+        const next = jdTT - getTTMinusUTC(jdUTC) / SECONDS_PER_DAY;
+        if (Math.abs(next - jdUTC) < 1e-9) return next;
+        jdUTC = next;
+      }
+      return jdUTC;
+    }
+    case "TAI":
+      return jdTT - TT_MINUS_TAI / SECONDS_PER_DAY;
+    case "TDB":
+      return jdTT + getTDBMinusTT(jdTT) / SECONDS_PER_DAY;
+    default:
+      return jdTT;
+  }
+}
+
+/** Re-expresses a Julian date in scale `from` as one in scale `to` */
+export function convertTime(jd, from, to) {
+  if (from === to) return jd;
+  return fromTT(toTT(jd, from), to);
+}
+
+/** The UTC calendar day ("YYYY-MM-DD") a TDB Julian date falls on */
+export function formatUtcDay(jdTDB) {
+  return formatIsoDate(convertTime(jdTDB, "TDB", "UTC")).split("T")[0];
+}
+
+/** TDB Julian date of 0h UTC on a "YYYY-MM-DD" day, or NaN */
+export function parseUtcDay(text) {
+  return convertTime(parseDateInput(text), "UTC", "TDB");
+}
@@ -1,19 +1,265 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
-import { vertexShader, fragmentShaderCorona } from "./SunShaders.js";
+import {
+  MAX_SUNSPOTS,
+  coronaFragmentShader,
+  coronaVertexShader,
+  photosphereFragmentShader,
+  photosphereVertexShader,
+} from "./SunShaders.js";
+import {
+  ECLIPSE_MAX_OCCLUDERS,
+  atmosphereFragmentShader,
+  atmosphereVertexShader,
+  bandShearParsChunk,
+  bandShearUvChunk,
+  eclipseChunk,
+  eclipseParsChunk,
+  eclipseVertexChunk,
+  nightLightsChunk,
+  nightLightsParsChunk,
+  ringFragmentShader,
+  ringShadowChunk,
+  ringShadowParsChunk,
+  ringShadowVertexChunk,
+  ringVertexShader,
+} from "./PlanetShaders.js";
+import { sampleRingProfile } from "./RingProfile.js";
 import { bhVertexShader, bhFragmentShader } from "./BlackHoleShaders.js";
+import {
+  cometTailVertexShader,
+  cometTailFragmentShader,
+} from "./CometShaders.js";
+import {
+  computeEnergy,
+  createNBodySystem,
+  getPosition,
+  integrateLeapfrog,
+  integrateRK45,
+  moveToBarycentre,
+  setMass,
+} from "./NBodyIntegrator.js";
+import {
+  getHohmannTransfer,
+  propagateKepler,
+  solveLambert,
+} from "./LambertSolver.js";
+import { parseSmallBodyFile } from "./SmallBodyCatalog.js";
+import { CELESTIAL_BODIES, GM_SUN } from "./CelestialBodies.js";
+import {
+  getSolarActivity,
+  getSolarCycle,
+  getSunspotGroups,
+} from "./SolarActivity.js";
+import {
+  AU_KM,
+  DAYS_PER_CENTURY,
+  DEG_TO_RAD,
+  J2000,
+  OBLIQUITY_J2000,
+  SECONDS_PER_DAY,
+  differentiate,
+  getCenturiesSinceJ2000,
+  getConicElements,
+  getElementsAt,
+  getJulianDate,
+  getMeanAnomaly,
+  getMeanMotion,
+  getOrbitalPosition,
+  getOrbitPosition,
+  getPerihelionOrbitPosition,
+  isPerihelionDefined,
+  orbitalPlaneToEcliptic,
+  positionOf,
+  velocityOf,
+} from "./Ephemeris.js";
+import {
+  bvToColor,
+  isStarCatalogFile,
+  parseStarCatalog,
+  resolveConstellations,
+} from "./StarCatalog.js";
+import { starVertexShader, starFragmentShader } from "./StarShaders.js";
+import {
+  angleBetween,
+  classifyLunarEclipse,
+  classifySolarEclipse,
+  findMinima,
+} from "./EventSearch.js";
+import {
+  angleAt,
+  applyAberration,
+  correctLightTime,
+  getApparentMagnitude,
+  nutateToDate,
+  precessToDate,
+} from "./ApparentPlace.js";
+import {
+  eclipticToEquatorial,
+  getGreenwichSiderealTime,
+  getHorizonBasis,
+  getHorizontal,
+  getRaDec,
+} from "./ObserverSky.js";
+import {
+  advanceClock,
+  createSimulationClock,
+  getClockJd,
+  setClockJd,
+} from "./SimulationClock.js";
+import {
+  TIME_SCALES,
+  convertTime,
+  formatIsoDate,
+  formatUtcDay,
+  julianDateToDate,
+  parseDateInput,
+  parseUtcDay,
+} from "./TimeScales.js";
+import {
+  getEphemerisPosition,
+  isEphemerisFile,
+  parseEphemerisFile,
+} from "./SpacecraftEphemeris.js";
 
 // TEMP OBJECTS TO AVOID PER-FRAME ALLOCATIONS
 const TMP_VEC3 = new THREE.Vector3();
 const TMP_DUMMY = new THREE.Object3D();
+const TMP_POLE = new THREE.Vector3();
+const TMP_NODE = new THREE.Vector3();
+const TMP_AXIS = new THREE.Vector3();
+const TMP_MAT4 = new THREE.Matrix4();
+const TMP_QUAT = new THREE.Quaternion();
+const TMP_ELEMENTS = {};
+const TMP_ECLIPTIC = [0, 0, 0];
+const TMP_HELIO = new THREE.Vector3();
+const TMP_SUN = new THREE.Vector3();
+const TMP_VELOCITY = new THREE.Vector3();
+const TMP_NORMAL = new THREE.Vector3();
+const TMP_DIFF = new THREE.Vector3();
+const TMP_EAST = new THREE.Vector3();
+const TMP_NORTH = new THREE.Vector3();
+const TMP_ZENITH = new THREE.Vector3();
+const TMP_ORIGIN = new THREE.Vector3();
+const TMP_CENTER = new THREE.Vector3();
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 // SHARED GEOMETRIES
 const PLANET_SPHERE_GEOMETRY = new THREE.SphereGeometry(1, 32, 24);
-const SUN_CORONA_GEOMETRY = new THREE.SphereGeometry(0.5, 32, 24);
-const SATURN_RING_GEOMETRY = new THREE.RingGeometry(1.4, 2.2, 48);
+const SUN_CORONA_GEOMETRY = new THREE.SphereGeometry(1, 48, 32);
+const ATMOSPHERE_GEOMETRY = new THREE.SphereGeometry(1, 48, 32);
 
 const SATELLITE_DIST_FACTOR = 50.0;
 
+// Camera clipping planes in scene units. True scale takes the camera to a
+// few hundred km above a moon, far inside the usual near plane; there the
+// renderer switches to a logarithmic depth buffer to keep depth precision
+// across the whole range.
+// The camera stops this many body radii above the focused body's surface,
+// and zooms faster to cover the decades between the two.
+const CAMERA_NEAR = 0.001;
+const CAMERA_NEAR_TRUE_SCALE = 1e-9;
+const CAMERA_FAR = 2000;
+const TRUE_SCALE_MIN_ALTITUDE = 0.01;
+const TRUE_SCALE_ZOOM_SPEED = 4;
+
+const DWARF_ORBIT_COLOR = "#c99cff";
+
+const MAX_SMALL_BODIES = 50000;
+
+// Star field: radius of the camera-centred celestial sphere (scene units),
+// faintest magnitude kept from a catalog and the bundled data files (see
+// public/catalogs/README.md for their sources)
+const STAR_SPHERE_RADIUS = 1000;
+const STAR_MAGNITUDE_LIMIT = 6.5;
+const STAR_CATALOG_PATH = "catalogs/bright-stars.csv";
+const CONSTELLATIONS_PATH = "catalogs/constellations.json";
+
+// Sun: disc-centre colour, linear limb-darkening coefficients for red,
+// green and blue (the limb reddens as blue darkens fastest), granules
+// across a solar radius and the outer radius of the raymarched corona in
+// solar radii
+const SUN_PHOTOSPHERE_COLOR = 0xffeebb;
+const SUN_LIMB_DARKENING = [0.58, 0.68, 0.8];
+const SUN_GRANULE_SCALE = 60;
+const SUN_CORONA_EXTENT = 4;
+
+// Lighting: the Sun's irradiance (its value at 1 AU once it falls off with
+// distance), the range the auto-exposure works in and the time in seconds
+// it takes to adapt
+const SUN_INTENSITY = 1.4;
+const EXPOSURE_RANGE = [0.05, 10000];
+const EXPOSURE_ADAPTATION_TIME = 0.75;
+
+// Planet effects: brightness of sunlight scattered by atmospheres, height
+// of cloud layers above the surface in body radii and the size of the
+// generated cloud and night-light maps
+const ATMOSPHERE_INTENSITY = 12;
+const CLOUD_LAYER_HEIGHT = 0.012;
+const CLOUD_TEXTURE_SIZE = [512, 256];
+const NIGHT_LIGHTS_MAX_WIDTH = 1024;
+
+// Rings: samples across the radial profile, segments around the ring and
+// the optical depth faint dusty rings are raised to so they show at all
+const RING_PROFILE_SIZE = 4096;
+const RING_SEGMENTS = 128;
+const RING_MIN_OPTICAL_DEPTH = 0.01;
+
+// Heliocentric distance (AU) inside which comets start outgassing
+const COMET_ACTIVITY_LIMIT_AU = 5.0;
+
+// Planets whose Sun-planet Lagrange points are drawn
+const LAGRANGE_SYSTEMS = ["Earth", "Jupiter"];
+
+// Spacecraft: model size (AU before planetVisualScale) and trail length
+const SPACECRAFT_SIZE = 0.004;
+const SPACECRAFT_TRAIL_DAYS = 365;
+const SPACECRAFT_TRAIL_POINTS = 128;
+const SPACECRAFT_COLORS = ["#ffcc66", "#ff7aa8", "#8dff7a", "#7ad7ff"];
+
+// Event finder: planets checked for conjunctions and oppositions, and the
+// widest geocentric separation (degrees) still reported as a conjunction
+const EVENT_PLANETS = ["Mercury", "Venus", "Mars", "Jupiter", "Saturn"];
+const OPPOSITION_PLANETS = ["Mars", "Jupiter", "Saturn", "Uranus", "Neptune"];
+const CONJUNCTION_LIMIT_DEG = 1.5;
+
+// Observer mode: bodies listed in the sky table (less the one underfoot),
+// radius of the horizon and grid overlay (scene units) and the starting
+// field of view (degrees)
+const OBSERVER_BODIES = [
+  "Sun",
+  "Moon",
+  "Mercury",
+  "Venus",
+  "Earth",
+  "Mars",
+  "Jupiter",
+  "Saturn",
+  "Uranus",
+  "Neptune",
+];
+const SKY_OVERLAY_RADIUS = 1;
+const OBSERVER_FOV = 60;
+
+// Simulation clock: fixed step (real seconds), the most substeps per step
+// and how finely the fastest orbit is cut (substeps per revolution). The
+// cap wins at high speeds: at a year per second a step spans about 3 days,
+// so Phobos gets under two substeps per orbit in the N-body integrator
+const SIMULATION_STEP = 1 / 120;
+const SIMULATION_MAX_SUBSTEPS = 16;
+const SUBSTEPS_PER_ORBIT = 16;
+// Meteoroid speeds were tuned as per-frame increments at this frame rate
+const METEOR_TUNING_FPS = 60;
+
+// N-body mode: longest integrator step (days) and sub-step cap per frame
+const NBODY_MAX_STEP_DAYS = 0.5;
+const NBODY_MAX_SUBSTEPS = 2000;
+
+// Mission planner: porkchop cells per axis and transfer arc resolution
+const PORKCHOP_GRID = 48;
+const TRANSFER_ARC_POINTS = 128;
+const TRANSFER_COLOR = 0xff66cc;
+
 const TEXTURES_DIR = "textures/";
 
 const DEFAULTS = {
@@ -26,6 +272,20 @@ const DEFAULTS = {
   meteorSize: 3.0,
   meteorSpeed: 1.0,
   blackHoleVisible: false,
+  moonsVisible: true,
+  dwarfPlanetsVisible: true,
+  smallBodiesVisible: true,
+  trajectoryYears: 5,
+  lagrangePointsVisible: false,
+  hillSpheresVisible: false,
+  shadowConesVisible: false,
+  constellationLinesVisible: false,
+  constellationNamesVisible: false,
+  solarCyclePhase: 0.35,
+  solarCycleFollowsDate: true,
+  atmospheresVisible: true,
+  physicalLighting: false,
+  trueScale: false,
 };
 
 const SETTINGS = {
@@ -38,185 +298,81 @@ const SETTINGS = {
   meteorSize: DEFAULTS.meteorSize,
   meteorSpeed: DEFAULTS.meteorSpeed,
   blackHoleVisible: DEFAULTS.blackHoleVisible,
+  moonVisibility: {}, // keyed by parent body name
+  dwarfPlanetsVisible: DEFAULTS.dwarfPlanetsVisible,
+  smallBodiesVisible: DEFAULTS.smallBodiesVisible,
+  trajectoryYears: DEFAULTS.trajectoryYears,
+  lagrangePointsVisible: DEFAULTS.lagrangePointsVisible,
+  hillSpheresVisible: DEFAULTS.hillSpheresVisible,
+  shadowConesVisible: DEFAULTS.shadowConesVisible,
+  constellationLinesVisible: DEFAULTS.constellationLinesVisible,
+  constellationNamesVisible: DEFAULTS.constellationNamesVisible,
+  // 0 at solar minimum through maximum to the next minimum; taken from the
+  // simulation date while solarCycleFollowsDate is set
+  solarCyclePhase: DEFAULTS.solarCyclePhase,
+  solarCycleFollowsDate: DEFAULTS.solarCycleFollowsDate,
+  atmospheresVisible: DEFAULTS.atmospheresVisible,
+  // Inverse-square sunlight with no ambient term, tone mapped with an
+  // exposure that adapts to the body in view
+  physicalLighting: DEFAULTS.physicalLighting,
+  // Bodies and moon orbits at their real size relative to the AU, ignoring
+  // planetVisualScale and the satellite distance factors
+  trueScale: DEFAULTS.trueScale,
 };
 
-const CELESTIAL_BODIES = [
-  {
-    name: "Sun",
-    radius: 0.05,
-    elements: { a: 0, e: 0, i: 0, L: 0, w: 0, o: 0 },
-    rotPeriod: 600,
-    baseColor: 0xffff00,
-    texture: "sun_smallsize.jpeg",
-    isStar: true,
-  },
-  {
-    name: "Mercury",
-    radius: 0.005,
-    elements: {
-      a: 0.387098,
-      e: 0.20563,
-      i: 7.00487,
-      L: 252.25084,
-      w: 77.45645,
-      o: 48.33167,
-    },
-    rotPeriod: 1407.6,
-    baseColor: 0xaaaaaa,
-    texture: "mercury_smallsize.jpeg",
-  },
-  {
-    name: "Venus",
-    radius: 0.012,
-    elements: {
-      a: 0.723332,
-      e: 0.006773,
-      i: 3.39471,
-      L: 181.97973,
-      w: 131.53298,
-      o: 76.68069,
-    },
-    rotPeriod: -5832.5,
-    baseColor: 0xeecb8b,
-    texture: "venus_smallsize.jpeg",
-  },
-  {
-    name: "Earth",
-    radius: 0.013,
-    elements: {
-      a: 1.0,
-      e: 0.016708,
-      i: 0.00005,
-      L: 100.46435,
-      w: 102.94719,
-      o: 0,
-    },
-    rotPeriod: 23.9,
-    baseColor: 0x2233ff,
-    texture: "earth_smallsize.jpeg",
-    satellites: [
-      {
-        name: "Moon",
-        radius: 0.0035,
-        elements: {
-          a: 0.00257,
-          e: 0.0549,
-          i: 5.145,
-          L: 218.31617,
-          w: 318.15,
-          o: 125.08,
-        },
-        distanceFactor: 50.0,
-        rotPeriod: 655.7,
-        baseColor: 0x888888,
-        texture: "moon_smallsize.jpeg",
-      },
-    ],
-  },
-  {
-    name: "Mars",
-    radius: 0.007,
-    elements: {
-      a: 1.523679,
-      e: 0.0934,
-      i: 1.85,
-      L: -4.55,
-      w: 336.04,
-      o: 49.57854,
-    },
-    rotPeriod: 24.6,
-    baseColor: 0xff3300,
-    texture: "mars_smallsize.jpeg",
-  },
-  {
-    name: "Jupiter",
-    radius: 0.04,
-    elements: {
-      a: 5.204267,
-      e: 0.048498,
-      i: 1.3053,
-      L: 34.40438,
-      w: 14.75385,
-      o: 100.55615,
-    },
-    rotPeriod: 9.9,
-    baseColor: 0xd8ca9d,
-    texture: "jupiter_smallsize.jpeg",
-    satellites: [
-      {
-        name: "Europa",
-        radius: 0.0035,
-        elements: {
-          a: 0.00449,
-          e: 0.009,
-          i: 0.47,
-          L: 200.39,
-          w: 44.0,
-          o: 219.106,
-        },
-        distanceFactor: 100.0,
-        rotPeriod: 85.2,
-        baseColor: 0xccccff,
-        texture: "jupiter-europa-texture.jpeg",
-      },
-    ],
-  },
-  {
-    name: "Saturn",
-    radius: 0.035,
-    elements: {
-      a: 9.582017,
-      e: 0.055546,
-      i: 2.485,
-      L: 49.94432,
-      w: 92.43194,
-      o: 113.71504,
-    },
-    rotPeriod: 10.7,
-    baseColor: 0xc5ab6e,
-    texture: "saturn_smallsize.jpeg",
-    hasRing: true,
-  },
-  {
-    name: "Uranus",
-    radius: 0.02,
-    elements: {
-      a: 19.2184,
-      e: 0.047318,
-      i: 0.773,
-      L: 313.23218,
-      w: 170.96424,
-      o: 74.22988,
-    },
-    rotPeriod: -17.2,
-    baseColor: 0x4fd0e7,
-    texture: "uranus_smallsize.jpeg",
-  },
-  {
-    name: "Neptune",
-    radius: 0.02,
-    elements: {
-      a: 30.0709,
-      e: 0.008606,
-      i: 1.77,
-      L: -55.12,
-      w: 44.97135,
-      o: 131.7806,
-    },
-    rotPeriod: 16.1,
-    baseColor: 0x2974ff,
-    texture: "neptune_smallsize.jpeg",
-  },
-];
-
 const STATE = {
   lastUIUpdate: 0,
   uiUpdateInterval: 0.25, // seconds
-  speedMultiplier: 1,
   activeBodies: [],
   focusedBody: null,
-  sunEffects: { glow: null, flares: [] },
+  lights: { ambient: null, sun: null },
+  // Photosphere material, corona shell and the cycle phase the sunspots
+  // were last drawn for
+  sunEffects: { photosphere: null, corona: null, spotsKey: null },
+  // Bodies with an atmosphere shell, cloud layer, night lights, bands or
+  // rings
+  planetEffects: [],
+  // Planets with moons: the members, which shadow one another, and their
+  // true offsets from the planet in km
+  eclipseSystems: [],
   meteorSystem: { mesh: null, data: [] },
+  smallBodies: { points: null, records: [], lastJd: null, lastScale: null },
+  starField: { group: null, stars: null, figures: null },
+  lagrangePoints: { group: null, markers: [] },
+  spacecraft: [],
+  planner: { transferLine: null, porkchop: null },
+  shadowCones: [],
+
+  // Topocentric view from the Earth's surface; latitude/longitude in degrees
+  // (east positive), view direction as azimuth/altitude in degrees
+  observer: {
+    enabled: false,
+    latitude: 51.48,
+    longitude: 0,
+    azimuth: 180,
+    altitude: 20,
+    sky: null,
+    equatorialGrid: null,
+    savedView: null,
+  },
+
+  // Light-time/aberration corrected places seen from `from`; `precession`
+  // refers them to the true equator of date instead of J2000
+  apparent: { enabled: false, from: "Earth", precession: false },
+
+  // N-body mode; `system` is null while positions are analytic
+  nBody: {
+    system: null,
+    integrator: "leapfrog",
+    epoch: 0,
+    energy0: 0,
+    drift: 0,
+    // Sub-step length (days) of the last frame and how far the integrator
+    // trails the clock once it runs out of sub-steps
+    step: 0,
+    lag: 0,
+    massFactors: {},
+  },
 
   // Black Hole System
   blackHole: {
@@ -234,10 +390,22 @@ const STATE = {
   raycaster: new THREE.Raycaster(),
   mouse: new THREE.Vector2(),
   clock: new THREE.Clock(),
-  simulationDate: new Date(),
+  // Fixed-step clock on a TDB Julian date rather than a Date, so it can run
+  // past the few hundred thousand years a Date covers; its `speed` is
+  // simulated seconds per real second
+  simulationClock: createSimulationClock(getJulianDate(new Date()), {
+    step: SIMULATION_STEP,
+    maxSubsteps: SIMULATION_MAX_SUBSTEPS,
+  }),
+  // Scale and format ("iso" or "jd") the Time Machine reads the clock in
+  timeScale: "UTC",
+  dateFormat: "iso",
+  // Scrubber window of `span` days either side of `anchor`
+  timeline: { anchor: 0, span: 365.25, dragging: false },
 };
 
-const DEG_TO_RAD = Math.PI / 180;
+// Orbit lines are redrawn once the elements drift this far from the last draw
+const ORBIT_REFRESH_CENTURIES = 0.01;
 
 function generateGlowTexture() {
   const canvas = document.createElement("canvas");
@@ -256,83 +424,229 @@ function generateGlowTexture() {
   return new THREE.CanvasTexture(canvas);
 }
 
-function generateNoiseFlareTexture() {
-  const size = 256;
+// Park-Miller generator seeded from a string, so generated maps come out
+// the same on every reload
+function createSeededRandom(text) {
+  let seed = 0;
+  for (let i = 0; i < text.length; i++) {
+    seed = (seed * 31 + text.charCodeAt(i)) % 2147483647;
+  }
+  seed = seed || 1;
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+// Smooth 3D value noise in 0..1 on a 64^3 lattice that wraps. Sampling it
+// on the unit sphere gives maps without a seam.
+function createValueNoise(random) {
+  const size = 64;
+  const lattice = new Float32Array(size * size * size).map(() => random());
+  const at = (x, y, z) =>
+    lattice[(((z & 63) * size + (y & 63)) * size + (x & 63)) | 0];
+  const fade = (t) => t * t * (3 - 2 * t);
+  const mix = (a, b, t) => a + (b - a) * t;
+  return (x, y, z) => {
+    const xi = Math.floor(x);
+    const yi = Math.floor(y);
+    const zi = Math.floor(z);
+    const tx = fade(x - xi);
+    const ty = fade(y - yi);
+    const tz = fade(z - zi);
+    const plane = (k) =>
+      mix(
+        mix(at(xi, yi, k), at(xi + 1, yi, k), tx),
+        mix(at(xi, yi + 1, k), at(xi + 1, yi + 1, k), tx),
+        ty
+      );
+    return mix(plane(zi), plane(zi + 1), tz);
+  };
+}
+
+// Calls `visit(x, y, u, v, w)` for every pixel of an equirectangular map
+// with the unit vector it shows; y points to the north pole
+function forEachMapDirection(width, height, visit) {
+  for (let y = 0; y < height; y++) {
+    const latitude = (0.5 - (y + 0.5) / height) * Math.PI;
+    const c = Math.cos(latitude);
+    for (let x = 0; x < width; x++) {
+      const longitude = ((x + 0.5) / width) * Math.PI * 2;
+      visit(
+        x,
+        y,
+        c * Math.cos(longitude),
+        Math.sin(latitude),
+        c * Math.sin(longitude)
+      );
+    }
+  }
+}
+
+// Fractal sum of octaves of `noise` around 0.5
+function fractalNoise(noise, u, v, w, frequency, octaves) {
+  let total = 0;
+  let amplitude = 0.5;
+  let norm = 0;
+  for (let o = 0; o < octaves; o++) {
+    total += amplitude * noise(u * frequency, v * frequency, w * frequency);
+    norm += amplitude;
+    frequency *= 2;
+    amplitude *= 0.5;
+  }
+  return total / norm;
+}
+
+// Cratered surface for bodies that ship without a texture file. Seeded from
+// the body name so every reload draws the same map.
+function generateProceduralTexture(data) {
+  const width = 256;
+  const height = 128;
   const canvas = document.createElement("canvas");
-  canvas.width = size;
-  canvas.height = size;
+  canvas.width = width;
+  canvas.height = height;
   const ctx = canvas.getContext("2d");
-  const gradient = ctx.createRadialGradient(
-    size / 2,
-    size / 2,
-    0,
-    size / 2,
-    size / 2,
-    size / 2
-  );
-  gradient.addColorStop(0, "rgba(255, 255, 255, 1)");
-  gradient.addColorStop(0.2, "rgba(255, 200, 50, 0.8)");
-  gradient.addColorStop(0.5, "rgba(255, 50, 0, 0.2)");
-  gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, size, size);
-  for (let i = 0; i < 50; i++) {
-    const x = Math.random() * size;
-    const y = Math.random() * size;
-    const r = Math.random() * 20;
-    const opacity = Math.random() * 0.1;
+  const random = createSeededRandom(data.name);
+
+  const base = new THREE.Color(data.baseColor);
+  const shade = (factor, alpha) => {
+    const c = base.clone().multiplyScalar(factor);
+    const r = Math.min(255, Math.round(c.r * 255));
+    const g = Math.min(255, Math.round(c.g * 255));
+    const b = Math.min(255, Math.round(c.b * 255));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  };
+
+  ctx.fillStyle = shade(1.0, 1);
+  ctx.fillRect(0, 0, width, height);
+
+  // Albedo patches
+  for (let i = 0; i < 60; i++) {
+    ctx.beginPath();
+    ctx.ellipse(
+      random() * width,
+      random() * height,
+      5 + random() * 30,
+      3 + random() * 12,
+      random() * Math.PI,
+      0,
+      Math.PI * 2
+    );
+    ctx.fillStyle = shade(0.7 + random() * 0.6, 0.25);
+    ctx.fill();
+  }
+
+  // Craters: dark floor with a bright rim
+  for (let i = 0; i < 120; i++) {
+    const x = random() * width;
+    const y = random() * height;
+    const r = 0.5 + Math.pow(random(), 3) * 8;
     ctx.beginPath();
     ctx.arc(x, y, r, 0, Math.PI * 2);
-    ctx.fillStyle = `rgba(255, 200, 100, ${opacity})`;
+    ctx.fillStyle = shade(0.6, 0.6);
     ctx.fill();
+    ctx.strokeStyle = shade(1.3, 0.5);
+    ctx.lineWidth = Math.max(0.5, r * 0.25);
+    ctx.stroke();
   }
+
   return new THREE.CanvasTexture(canvas);
 }
 
-function getJulianDate(date) {
-  return (
-    date.getTime() / 86400000 - date.getTimezoneOffset() / 1440 + 2440587.5
-  );
+// Inverse of getJulianDate
+function getDateFromJulianDate(jd) {
+  return julianDateToDate(convertTime(jd, "TDB", "UTC"));
+}
+
+// The scene is Y-up with ecliptic north along +Y. Mapping ecliptic (x, y, z)
+// to (x, z, -y) keeps the frame right-handed so prograde orbits and prograde
+// spins turn the same way.
+function eclipticToScene(x, y, z, target = new THREE.Vector3()) {
+  return target.set(x, z, -y);
+}
+
+function eclipticArrayToScene([x, y, z], target = new THREE.Vector3()) {
+  return target.set(x, z, -y);
+}
+
+function equatorialToScene(x, y, z, target = new THREE.Vector3()) {
+  const cosE = Math.cos(OBLIQUITY_J2000);
+  const sinE = Math.sin(OBLIQUITY_J2000);
+  return eclipticToScene(x, y * cosE + z * sinE, -y * sinE + z * cosE, target);
+}
+
+function getOrbitPoints(elements, segments = 128) {
+  // Even steps in eccentric anomaly keep the perihelion end of very
+  // eccentric orbits smooth
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const E = (i / segments) * Math.PI * 2;
+    const M = (E - elements.e * Math.sin(E)) / DEG_TO_RAD;
+    points.push(eclipticArrayToScene(getOrbitPosition(elements, M)));
+  }
+  return points;
+}
+
+// Open orbits are drawn from T - window to T + window, sampled densely
+// around perihelion where the body moves fastest
+function getTrajectoryPoints(elements, windowDays, segments = 256) {
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const u = (i / segments) * 2 - 1;
+    const jd = elements.T + windowDays * u * u * u;
+    points.push(eclipticArrayToScene(getPerihelionOrbitPosition(elements, jd)));
+  }
+  return points;
+}
+
+function isOpenOrbit(elements) {
+  return isPerihelionDefined(elements) && elements.e >= 1;
+}
+
+function getBodyOrbitPoints(data) {
+  const elements = data.elements;
+  if (isOpenOrbit(elements)) {
+    return getTrajectoryPoints(elements, SETTINGS.trajectoryYears * 365.25);
+  }
+  if (isPerihelionDefined(elements)) {
+    return getOrbitPoints(getConicElements(elements));
+  }
+  return getOrbitPoints(elements);
+}
+
+function rebuildOpenOrbitLines() {
+  STATE.activeBodies.forEach((bodyObj) => {
+    if (!bodyObj.orbitLine || !isOpenOrbit(bodyObj.data.elements)) return;
+    setLinePoints(bodyObj.orbitLine, getBodyOrbitPoints(bodyObj.data));
+  });
+}
+
+// Rewrites a line's vertices in place when the point count is unchanged
+function setLinePoints(line, points) {
+  const geometry = line.geometry;
+  const position = geometry.attributes.position;
+  if (position && position.count === points.length) {
+    for (let i = 0; i < points.length; i++) {
+      position.setXYZ(i, points[i].x, points[i].y, points[i].z);
+    }
+    position.needsUpdate = true;
+  } else {
+    geometry.setFromPoints(points);
+  }
+  geometry.computeBoundingSphere();
+  if (line.material.isLineDashedMaterial) line.computeLineDistances();
 }
 
-function getOrbitPosition(elements, M_degrees) {
-  const e = elements.e;
-  const M = M_degrees * DEG_TO_RAD;
-  let E = M;
-  let delta = 1.0;
-  let iter = 0;
-  while (Math.abs(delta) > 1e-6 && iter < 100) {
-    delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
-    E = E - delta;
-    iter++;
-  }
-  const a = elements.a;
-  const X_orb = a * (Math.cos(E) - e);
-  const Y_orb = a * Math.sqrt(1 - e * e) * Math.sin(E);
-  const i_rad = elements.i * DEG_TO_RAD;
-  const o_rad = elements.o * DEG_TO_RAD;
-  const w_rad = (elements.w - elements.o) * DEG_TO_RAD;
-  const cos_o = Math.cos(o_rad);
-  const sin_o = Math.sin(o_rad);
-  const cos_w = Math.cos(w_rad);
-  const sin_w = Math.sin(w_rad);
-  const cos_i = Math.cos(i_rad);
-  const sin_i = Math.sin(i_rad);
-  const x_ecl =
-    (cos_o * cos_w - sin_o * sin_w * cos_i) * X_orb +
-    (-cos_o * sin_w - sin_o * cos_w * cos_i) * Y_orb;
-  const y_ecl =
-    (sin_o * cos_w + cos_o * sin_w * cos_i) * X_orb +
-    (-sin_o * sin_w + cos_o * cos_w * cos_i) * Y_orb;
-  const z_ecl = sin_w * sin_i * X_orb + cos_w * sin_i * Y_orb;
-  return new THREE.Vector3(x_ecl, z_ecl, y_ecl);
-}
-
-function getMeanAnomaly(elements, jd) {
-  const n = 0.9856076686 / Math.pow(elements.a, 1.5);
-  const daysSinceJ2000 = jd - 2451545.0;
-  const currentL = elements.L + n * daysSinceJ2000;
-  return currentL - elements.w;
+function refreshOrbitLine(bodyObj, elements, jd) {
+  const T = getCenturiesSinceJ2000(jd);
+  if (Math.abs(T - bodyObj.orbitEpoch) < ORBIT_REFRESH_CENTURIES) return;
+
+  const position = bodyObj.orbitLine.geometry.attributes.position;
+  setLinePoints(
+    bodyObj.orbitLine,
+    getOrbitPoints(elements, position.count - 1)
+  );
+  bodyObj.orbitEpoch = T;
 }
 
 function initAssetLoader() {
@@ -353,20 +667,12 @@ function initScene() {
   const camera = new THREE.PerspectiveCamera(
     20,
     window.innerWidth / window.innerHeight,
-    0.001,
-    2000
+    CAMERA_NEAR,
+    CAMERA_FAR
   );
   camera.position.set(0, 3, 10);
 
-  const renderer = new THREE.WebGLRenderer({ antialias: true });
-  // Downscale a bit to avoid huge GPU load on HiDPI
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
-  renderer.setSize(window.innerWidth, window.innerHeight);
-
-  // Shadows are expensive; keep them but dial them down
-  renderer.shadowMap.enabled = true;
-  renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-
+  const renderer = createRenderer();
   document.body.appendChild(renderer.domElement);
 
   const controls = new OrbitControls(camera, renderer.domElement);
@@ -381,7 +687,7 @@ function initScene() {
     const aspect = window.innerWidth / window.innerHeight;
     camera.aspect = aspect;
     camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+    STATE.renderer.setSize(window.innerWidth, window.innerHeight);
 
     // Keep black hole shader in sync with aspect
     if (STATE.blackHole.diskUniforms) {
@@ -392,159 +698,1189 @@ function initScene() {
   renderer.domElement.addEventListener("pointerdown", onCanvasClick);
 }
 
+// Log depth only pays for itself in true scale. Without a canvas a new one
+// is made; pass the old canvas and context to keep listeners and controls.
+function createRenderer(canvas, context) {
+  const renderer = new THREE.WebGLRenderer({
+    canvas,
+    context,
+    antialias: true,
+    logarithmicDepthBuffer: SETTINGS.trueScale,
+  });
+  // Downscale a bit to avoid huge GPU load on HiDPI
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1.5));
+  renderer.setSize(window.innerWidth, window.innerHeight);
+  return renderer;
+}
+
+// three fixes log depth when the renderer is built, so switching it takes a
+// new renderer. Everything the old one uploaded is freed first; it uploads
+// again, with the matching shader variants, on the next frame.
+function rebuildRenderer() {
+  const old = STATE.renderer;
+  STATE.scene.traverse((obj) => {
+    if (obj.geometry) obj.geometry.dispose();
+    if (!obj.material) return;
+    const materials = Array.isArray(obj.material)
+      ? obj.material
+      : [obj.material];
+    materials.forEach((material) => {
+      Object.values(material).forEach((value) => {
+        if (value && value.isTexture) value.dispose();
+      });
+      Object.values(material.uniforms || {}).forEach((uniform) => {
+        if (uniform.value && uniform.value.isTexture) uniform.value.dispose();
+      });
+      material.dispose();
+    });
+  });
+  // Hand the context back in its default state, as a new renderer expects
+  old.resetState();
+  old.dispose();
+
+  const renderer = createRenderer(old.domElement, old.getContext());
+  renderer.toneMapping = old.toneMapping;
+  renderer.toneMappingExposure = old.toneMappingExposure;
+  STATE.renderer = renderer;
+}
+
 function onCanvasClick(event) {
   STATE.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
   STATE.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
   STATE.raycaster.setFromCamera(STATE.mouse, STATE.camera);
   const meshes = [];
   function gatherMeshes(body) {
-    if (body.mesh) meshes.push(body.mesh);
-    if (body.satellites) body.satellites.forEach(gatherMeshes);
+    if (!body.anchor.visible) return;
+    meshes.push(body.mesh);
+    body.satellites.forEach(gatherMeshes);
   }
   STATE.activeBodies.forEach(gatherMeshes);
-  const intersects = STATE.raycaster.intersectObjects(meshes);
+  // Not recursive: rings and atmosphere shells are children of the meshes
+  const intersects = STATE.raycaster.intersectObjects(meshes, false);
   if (intersects.length > 0) {
     const selectedMesh = intersects[0].object;
     STATE.focusedBody = selectedMesh;
   }
 }
 
+// Shadows come from the analytic eclipses in the planets' materials rather
+// than a shadow map, which could not cover the system at any useful
+// resolution. Overlays (orbits, labels, markers) are not tone mapped, so
+// the exposure leaves them alone.
 function createLighting(scene) {
   const ambient = new THREE.AmbientLight(0x404040);
   scene.add(ambient);
 
-  const sunLight = new THREE.PointLight(0xffffff, 1.4, 0, 0);
-  sunLight.castShadow = true;
-  sunLight.shadow.mapSize.set(1024, 1024);
-  sunLight.shadow.bias = -0.00005;
+  const sunLight = new THREE.PointLight(0xffffff, SUN_INTENSITY, 0, 0);
   scene.add(sunLight);
+  STATE.lights = { ambient, sun: sunLight };
+}
+
+// Irradiance of the Sun's light at a scene position, with the Sun at the
+// origin and the falloff clamped as the renderer does
+function getSunIrradiance(position) {
+  const sun = STATE.lights.sun;
+  if (sun.decay === 0) return sun.intensity;
+  return sun.intensity / Math.max(position.lengthSq(), 0.01);
+}
+
+/**
+ * Physically based lighting drops the ambient term, lets sunlight fall off
+ * with the square of the distance (SUN_INTENSITY at 1 AU, whatever the
+ * universe scale) and tone maps the result. The exposure then eases towards
+ * the one that shows a surface at the camera's target as bright as it
+ * would look at 1 AU.
+ */
+function updateLighting(delta) {
+  const { ambient, sun } = STATE.lights;
+  const renderer = STATE.renderer;
+  const physical = SETTINGS.physicalLighting;
+  ambient.intensity = physical ? 0 : 1;
+  sun.decay = physical ? 2 : 0;
+  sun.intensity = physical
+    ? SUN_INTENSITY * SETTINGS.universeScale ** 2
+    : SUN_INTENSITY;
+  renderer.toneMapping = physical
+    ? THREE.ACESFilmicToneMapping
+    : THREE.NoToneMapping;
+  if (!physical) return;
+
+  const metered = STATE.observer.enabled
+    ? STATE.camera.position
+    : STATE.controls.target;
+  const target = THREE.MathUtils.clamp(
+    SUN_INTENSITY / getSunIrradiance(metered),
+    ...EXPOSURE_RANGE
+  );
+  const blend = 1 - Math.exp(-delta / EXPOSURE_ADAPTATION_TIME);
+  renderer.toneMappingExposure *= Math.pow(
+    target / renderer.toneMappingExposure,
+    blend
+  );
 }
 
+// STAR FIELD
+// The celestial sphere is centred on the camera every frame, so the stars
+// sit at infinity and never show parallax
 function createStarField(scene) {
-  const geo = new THREE.BufferGeometry();
-  const verts = [];
-  for (let i = 0; i < 5000; i++) {
-    verts.push(
-      (Math.random() - 0.5) * 1000,
-      (Math.random() - 0.5) * 1000,
-      (Math.random() - 0.5) * 1000
+  const group = new THREE.Group();
+  scene.add(group);
+  STATE.starField.group = group;
+
+  new THREE.FileLoader().load(CONSTELLATIONS_PATH, (text) => {
+    STATE.starField.figures = JSON.parse(text);
+    if (STATE.starField.stars) buildStarField();
+  });
+  loadStarCatalogPath(STAR_CATALOG_PATH);
+}
+
+function starToScene(star, target) {
+  return equatorialToScene(
+    Math.cos(star.dec) * Math.cos(star.ra),
+    Math.cos(star.dec) * Math.sin(star.ra),
+    Math.sin(star.dec),
+    target
+  ).multiplyScalar(STAR_SPHERE_RADIUS);
+}
+
+function clearStarField() {
+  const { group } = STATE.starField;
+  group.children.slice().forEach((child) => {
+    group.remove(child);
+    child.geometry?.dispose();
+    child.material.map?.dispose();
+    child.material.dispose();
+  });
+}
+
+function buildStarField() {
+  const { group, stars, figures } = STATE.starField;
+  clearStarField();
+
+  const positions = new Float32Array(stars.length * 3);
+  const colors = new Float32Array(stars.length * 3);
+  const magnitudes = new Float32Array(stars.length);
+  stars.forEach((star, n) => {
+    starToScene(star, TMP_VEC3).toArray(positions, 3 * n);
+    colors.set(bvToColor(star.bv), 3 * n);
+    magnitudes[n] = star.mag;
+  });
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("aColor", new THREE.BufferAttribute(colors, 3));
+  geometry.setAttribute("aMagnitude", new THREE.BufferAttribute(magnitudes, 1));
+  const points = new THREE.Points(
+    geometry,
+    new THREE.ShaderMaterial({
+      uniforms: {
+        uPixelRatio: { value: STATE.renderer.getPixelRatio() },
+        uBrightness: { value: 1.0 },
+      },
+      vertexShader: starVertexShader,
+      fragmentShader: starFragmentShader,
+      transparent: true,
+      depthWrite: false,
+    })
+  );
+  points.renderOrder = -1;
+  group.add(points);
+
+  if (!figures) return;
+  const vertices = [];
+  resolveConstellations(figures, stars).forEach((constellation) => {
+    if (constellation.segments.length === 0) return;
+    const center = new THREE.Vector3();
+    constellation.segments.forEach(([a, b]) => {
+      vertices.push(...starToScene(stars[a], TMP_VEC3).toArray());
+      center.add(TMP_VEC3);
+      vertices.push(...starToScene(stars[b], TMP_VEC3).toArray());
+      center.add(TMP_VEC3);
+    });
+
+    const label = new THREE.Sprite(
+      new THREE.SpriteMaterial({
+        map: generateLabelTexture(constellation.name, {
+          color: "#8fb8ff",
+          marker: false,
+        }),
+        toneMapped: false,
+        transparent: true,
+        depthWrite: false,
+        sizeAttenuation: false,
+      })
     );
+    label.scale.set(0.16, 0.04, 1);
+    label.position.copy(center).setLength(STAR_SPHERE_RADIUS);
+    label.name = "constellationName";
+    label.visible = SETTINGS.constellationNamesVisible;
+    group.add(label);
+  });
+
+  const lineGeometry = new THREE.BufferGeometry();
+  lineGeometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(vertices, 3)
+  );
+  const lines = new THREE.LineSegments(
+    lineGeometry,
+    new THREE.LineBasicMaterial({
+      color: 0x4f6fa8,
+      transparent: true,
+      opacity: 0.5,
+      depthWrite: false,
+      toneMapped: false,
+    })
+  );
+  lines.name = "constellationLines";
+  lines.visible = SETTINGS.constellationLinesVisible;
+  group.add(lines);
+}
+
+function updateConstellationVisibility() {
+  STATE.starField.group.children.forEach((child) => {
+    if (child.name === "constellationLines") {
+      child.visible = SETTINGS.constellationLinesVisible;
+    } else if (child.name === "constellationName") {
+      child.visible = SETTINGS.constellationNamesVisible;
+    }
+  });
+}
+
+function setStarCatalogStatus(text) {
+  document.getElementById("star-catalog-status").innerText = text;
+}
+
+function loadStarCatalogText(text, sourceName) {
+  try {
+    STATE.starField.stars = parseStarCatalog(text, STAR_MAGNITUDE_LIMIT);
+    buildStarField();
+    const count = STATE.starField.stars.length;
+    setStarCatalogStatus(`${count} stars from ${sourceName}`);
+  } catch (err) {
+    setStarCatalogStatus(err.message);
   }
-  geo.setAttribute("position", new THREE.Float32BufferAttribute(verts, 3));
-  const mat = new THREE.PointsMaterial({ color: 0xffffff, size: 0.5 });
-  scene.add(new THREE.Points(geo, mat));
 }
 
-function addSunEffects(sunMesh) {
-  const coronaGeo = SUN_CORONA_GEOMETRY;
+function loadStarCatalogFile(file) {
+  setStarCatalogStatus(`Reading ${file.name}...`);
+  file.text().then((text) => loadStarCatalogText(text, file.name));
+}
+
+function loadStarCatalogPath(path) {
+  setStarCatalogStatus(`Loading ${path}...`);
+  new THREE.FileLoader().load(
+    path,
+    (text) => loadStarCatalogText(text, path),
+    undefined,
+    () => setStarCatalogStatus(`Could not load ${path}`)
+  );
+}
+
+function createPhotosphereMaterial() {
+  const spots = [];
+  for (let i = 0; i < MAX_SUNSPOTS; i++) spots.push(new THREE.Vector4());
+  const material = new THREE.ShaderMaterial({
+    vertexShader: photosphereVertexShader,
+    fragmentShader: photosphereFragmentShader,
+    uniforms: {
+      uTime: { value: 0 },
+      uColor: { value: new THREE.Color(SUN_PHOTOSPHERE_COLOR) },
+      uLimbDarkening: { value: new THREE.Vector3(...SUN_LIMB_DARKENING) },
+      uGranuleScale: { value: SUN_GRANULE_SCALE },
+      uSpots: { value: spots },
+      uSpotCount: { value: 0 },
+    },
+  });
+  STATE.sunEffects.photosphere = material;
+  return material;
+}
+
+function addSunCorona(sunMesh) {
   const coronaMat = new THREE.ShaderMaterial({
-    vertexShader: vertexShader,
-    fragmentShader: fragmentShaderCorona,
+    vertexShader: coronaVertexShader,
+    fragmentShader: coronaFragmentShader,
     uniforms: {
       uTime: { value: 0 },
-      uColor: { value: new THREE.Color(0xffaa00) },
-      uRimPower: { value: 2.5 },
+      uExtent: { value: SUN_CORONA_EXTENT },
+      uCameraLocal: { value: new THREE.Vector3() },
+      uActivity: { value: 0 },
+      uIntensity: { value: 2.5 },
+      uCoronaColor: { value: new THREE.Color(0xfff4e6) },
+      uProminenceColor: { value: new THREE.Color(0xff5566) },
     },
     transparent: true,
+    // Back faces so the shell still draws with the camera inside it
     side: THREE.BackSide,
     blending: THREE.AdditiveBlending,
     depthWrite: false,
   });
 
-  const coronaMesh = new THREE.Mesh(coronaGeo, coronaMat);
-  coronaMesh.scale.set(1.0, 1.0, 1.0);
+  const coronaMesh = new THREE.Mesh(SUN_CORONA_GEOMETRY, coronaMat);
+  coronaMesh.scale.setScalar(SUN_CORONA_EXTENT);
   sunMesh.add(coronaMesh);
-  STATE.sunEffects.glow = coronaMesh;
-
-  const flareTexture = generateNoiseFlareTexture();
-  const flareGroup = new THREE.Group();
-  for (let i = 0; i < 5; i++) {
-    const flareMat = new THREE.SpriteMaterial({
-      map: flareTexture,
-      color: 0xffaf00,
-      transparent: true,
-      opacity: 0.6,
-      blending: THREE.AdditiveBlending,
-      depthWrite: false,
-    });
-    const flare = new THREE.Sprite(flareMat);
-    const scale = 4 + Math.random() * 3;
-    flare.scale.set(scale, scale, 1);
-    flareGroup.add(flare);
-    STATE.sunEffects.flares.push({
-      sprite: flare,
-      speed: (Math.random() - 0.5) * 0.01,
-      baseScale: scale,
-      pulseSpeed: 2 + Math.random() * 3,
-    });
-  }
-  sunMesh.add(flareGroup);
+  STATE.sunEffects.corona = coronaMesh;
 }
 
-function createBlackHole() {
-  const aspect = window.innerWidth / window.innerHeight;
-  const group = new THREE.Group();
-  // Position far in the distance (Adjusted Z for better initial view)
-  group.position.set(150, 20, -150);
-  // Scale: large enough to be seen
-  group.scale.set(50, 50, 50);
+/**
+ * Feeds the solar-cycle phase to the Sun: corona streamer spread and
+ * prominence activity every call, sunspot groups only when the phase has
+ * moved on by a hundredth of a cycle (about 40 days).
+ */
+function updateSolarActivity(jd) {
+  const { photosphere, corona } = STATE.sunEffects;
+  if (!photosphere) return;
 
-  const geometry = new THREE.PlaneGeometry(2, 1, 1, 1);
+  let cycle = 0;
+  if (SETTINGS.solarCycleFollowsDate) {
+    const current = getSolarCycle(jd);
+    cycle = current.number;
+    SETTINGS.solarCyclePhase = current.phase;
+  }
+  const phase = SETTINGS.solarCyclePhase;
+  corona.material.uniforms.uActivity.value = getSolarActivity(phase);
 
-  const diskUniforms = {
-    uTime: { value: 0.0 },
-    uAspect: { value: aspect },
-    uCameraDistance: { value: 5.0 }, // distance from camera to BH center in plane space
-    uMaxDistance: { value: 40.0 },
+  const step = Math.floor(phase * 100);
+  const key = cycle * 100 + step;
+  if (key === STATE.sunEffects.spotsKey) return;
+  STATE.sunEffects.spotsKey = key;
 
-    uBlackHoleRadius: { value: 0.001 },
-    uLensStrength: { value: 0.18 },
+  const groups = getSunspotGroups(phase, {
+    seed: key + 1,
+    maxGroups: MAX_SUNSPOTS / 2,
+  });
+  const uniforms = photosphere.uniforms;
+  groups.forEach((spot, i) => {
+    const c = Math.cos(spot.latitude);
+    uniforms.uSpots.value[i].set(
+      c * Math.cos(spot.longitude),
+      Math.sin(spot.latitude),
+      c * Math.sin(spot.longitude),
+      spot.radius
+    );
+  });
+  uniforms.uSpotCount.value = groups.length;
+  updateSolarCycleDisplay();
+}
 
-    uDiskInnerRadius: { value: 1.4 },
-    uDiskOuterRadius: { value: 5.0 },
-    uDiskThickness: { value: 0.25 },
+function updateSolarCycleDisplay() {
+  const phase = SETTINGS.solarCyclePhase;
+  document.getElementById("input-solar-cycle").value = phase;
+  document.getElementById("disp-solar-cycle").innerText =
+    `${Math.round(phase * 100)}%`;
+}
 
-    uDiskColorInner: { value: new THREE.Color(1.0, 0.95, 0.8) },
-    uDiskColorOuter: { value: new THREE.Color(1.0, 0.4, 0.05) },
-    uDopplerStrength: { value: 0.9 },
+// PLANET EFFECTS
+// White cloud map; the alpha threshold is the noise quantile that leaves
+// `coverage` of the map clouded
+function generateCloudTexture(data) {
+  const [width, height] = CLOUD_TEXTURE_SIZE;
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(width, height);
+  const noise = createValueNoise(createSeededRandom(`${data.name} clouds`));
 
-    uBackgroundColor: { value: new THREE.Color(0.03, 0.04, 0.08) },
-    uGlowStrength: { value: 1.5 },
-  };
+  const values = new Float32Array(width * height);
+  forEachMapDirection(width, height, (x, y, u, v, w) => {
+    values[y * width + x] = fractalNoise(noise, u + 7, v + 7, w + 7, 3, 6);
+  });
+  const sorted = values.slice().sort();
+  const quantile = 1 - data.clouds.coverage;
+  const threshold = sorted[Math.floor(quantile * (sorted.length - 1))];
 
-  const material = new THREE.ShaderMaterial({
-    vertexShader: bhVertexShader,
-    fragmentShader: bhFragmentShader,
-    uniforms: diskUniforms,
-    transparent: true,
-    depthWrite: false,
-    side: THREE.DoubleSide,
-    blending: THREE.NormalBlending,
+  values.forEach((n, k) => {
+    const alpha = Math.min(1, Math.max(0, (n - threshold) / 0.12 + 0.5));
+    image.data[k * 4] = 255;
+    image.data[k * 4 + 1] = 255;
+    image.data[k * 4 + 2] = 255;
+    image.data[k * 4 + 3] = Math.round(alpha * 255);
   });
+  ctx.putImageData(image, 0, 0);
+  return new THREE.CanvasTexture(canvas);
+}
 
-  const mesh = new THREE.Mesh(geometry, material);
-  group.add(mesh);
+// Stand-in city lights for bodies without a night texture: dots scattered
+// over the land of a day map (anything neither blue like the sea nor bright
+// like ice and desert), clustered by noise into populated regions
+function generateNightLights(image, data) {
+  const width = Math.min(image.width, NIGHT_LIGHTS_MAX_WIDTH);
+  const height = Math.round((width * image.height) / image.width);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0, width, height);
+  const day = ctx.getImageData(0, 0, width, height).data;
+  const night = ctx.createImageData(width, height);
+  const random = createSeededRandom(`${data.name} lights`);
+  const noise = createValueNoise(random);
 
-  STATE.scene.add(group);
-  STATE.blackHole = {
-    group: group,
-    diskUniforms: diskUniforms,
-    mesh: mesh,
+  forEachMapDirection(width, height, (x, y, u, v, w) => {
+    const i = (y * width + x) * 4;
+    const [r, g, b] = [day[i], day[i + 1], day[i + 2]];
+    const land = (r + g) / 2 - b > 8 && r + g + b < 420;
+    const region = fractalNoise(noise, u, v, w, 4, 3);
+    const towns = noise(u * 60, v * 60, w * 60);
+    const chance = land ? Math.pow(region, 6) * 4 * towns : 0;
+    const light = random() < chance ? 90 + random() * 165 : 0;
+    night.data[i] = light;
+    night.data[i + 1] = light;
+    night.data[i + 2] = light;
+    night.data[i + 3] = 255;
+  });
+  ctx.putImageData(night, 0, 0);
+  return canvas;
+}
+
+// Lights the dark side from `nightLights.texture`, or from a map made out
+// of the day texture once it has loaded
+function addNightLights(material, data) {
+  const { nightLights } = data;
+  let nightMap;
+  if (nightLights.texture) {
+    nightMap = STATE.textureLoader.load(TEXTURES_DIR + nightLights.texture);
+  } else {
+    nightMap = new THREE.CanvasTexture(document.createElement("canvas"));
+    new THREE.ImageLoader(STATE.textureLoader.manager).load(
+      TEXTURES_DIR + data.texture,
+      (image) => {
+        nightMap.image = generateNightLights(image, data);
+        nightMap.needsUpdate = true;
+      }
+    );
+  }
+
+  const uniforms = {
+    uNightMap: { value: nightMap },
+    uNightColor: { value: new THREE.Color(nightLights.color) },
+    uNightIntensity: { value: nightLights.intensity },
+    uSunView: { value: new THREE.Vector3() },
   };
+  patchMaterial(material, "nightLights", uniforms, (shader) => {
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        `#include <common>\n${nightLightsParsChunk}`
+      )
+      .replace("#include <emissivemap_fragment>", nightLightsChunk);
+  });
+  return uniforms;
+}
 
-  group.visible = SETTINGS.blackHoleVisible;
+// Shears a gas giant's map along its zonal jets
+function addBandShear(material, data) {
+  material.map.wrapS = THREE.RepeatWrapping;
+  const uniforms = {
+    uTime: { value: 0 },
+    uBandJets: { value: data.bands.jets },
+    uBandShear: { value: data.bands.shear },
+  };
+  patchMaterial(material, "bandShear", uniforms, (shader) => {
+    shader.fragmentShader = shader.fragmentShader
+      .replace("#include <common>", `#include <common>\n${bandShearParsChunk}`)
+      .replace(
+        "#include <map_fragment>",
+        bandShearUvChunk +
+          THREE.ShaderChunk.map_fragment.replace("vMapUv", "shearedUv")
+      );
+  });
+  return uniforms;
 }
 
-function createCelestialBody(data, parentObject) {
-  // Reuse shared sphere geometry instead of creating a new one per body
-  const geo = PLANET_SPHERE_GEOMETRY;
-  let mat;
+// Half-float texture of `width` samples with `channels` values each, with
+// its mip chain averaged down on the CPU (float formats cannot be relied on
+// to generate their own)
+function createProfileTexture(values, width, channels, format) {
+  const mipmaps = [];
+  let level = values;
+  for (let w = width; w >= 1; w >>= 1) {
+    mipmaps.push({
+      data: Uint16Array.from(level, THREE.DataUtils.toHalfFloat),
+      width: w,
+      height: 1,
+    });
+    const next = new Float32Array((w >> 1) * channels);
+    for (let i = 0; i < next.length; i++) {
+      const k = Math.floor(i / channels) * 2 * channels + (i % channels);
+      next[i] = (level[k] + level[k + channels]) / 2;
+    }
+    level = next;
+  }
+  const texture = new THREE.DataTexture(
+    mipmaps[0].data,
+    width,
+    1,
+    format,
+    THREE.HalfFloatType
+  );
+  texture.mipmaps = mipmaps;
+  texture.minFilter = THREE.LinearMipmapLinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.generateMipmaps = false;
+  texture.anisotropy = STATE.renderer.capabilities.getMaxAnisotropy();
+  texture.needsUpdate = true;
+  return texture;
+}
 
-  try {
-    const tex = STATE.textureLoader.load(TEXTURES_DIR + data.texture);
+// Ring system from `data.rings`, drawn in the equatorial plane of the
+// planet's frame. The planet's own material is patched to take the rings'
+// shadow, sharing the profile and Sun direction uniforms.
+function addRings(mesh, data) {
+  const profile = sampleRingProfile(data.rings, {
+    size: RING_PROFILE_SIZE,
+    minOpticalDepth: RING_MIN_OPTICAL_DEPTH,
+  });
+  const rgba = new Float32Array(RING_PROFILE_SIZE * 4);
+  for (let i = 0; i < RING_PROFILE_SIZE; i++) {
+    rgba.set(profile.color.subarray(i * 3, i * 3 + 3), i * 4);
+    rgba[i * 4 + 3] = profile.opacity[i];
+  }
+  const inner = profile.innerKm / data.radiusKm;
+  const outer = profile.outerKm / data.radiusKm;
+
+  const uniforms = {
+    uRingProfile: {
+      value: createProfileTexture(rgba, RING_PROFILE_SIZE, 4, THREE.RGBAFormat),
+    },
+    uRingDust: {
+      value: createProfileTexture(
+        profile.dust,
+        RING_PROFILE_SIZE,
+        1,
+        THREE.RedFormat
+      ),
+    },
+    uRingRadii: { value: new THREE.Vector2(inner, outer) },
+    uCameraLocal: { value: new THREE.Vector3() },
+    uSunDirection: { value: new THREE.Vector3(1, 0, 0) },
+    uSunColor: { value: new THREE.Color() },
+    uAmbientColor: { value: new THREE.Color() },
+  };
+  const ring = new THREE.Mesh(
+    new THREE.RingGeometry(inner, outer, RING_SEGMENTS, 1).rotateX(
+      -Math.PI / 2
+    ),
+    new THREE.ShaderMaterial({
+      vertexShader: ringVertexShader,
+      fragmentShader: ringFragmentShader,
+      uniforms,
+      side: THREE.DoubleSide,
+      transparent: true,
+      premultipliedAlpha: true,
+      depthWrite: false,
+    })
+  );
+  mesh.add(ring);
+
+  const shadowUniforms = {
+    uRingProfile: uniforms.uRingProfile,
+    uRingRadii: uniforms.uRingRadii,
+    uRingSun: uniforms.uSunDirection,
+  };
+  patchMaterial(mesh.material, "ringShadow", shadowUniforms, (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        "#include <common>\nvarying vec3 vRingLocal;"
+      )
+      .replace("#include <project_vertex>", ringShadowVertexChunk);
+    shader.fragmentShader = shader.fragmentShader
+      .replace("#include <common>", `#include <common>\n${ringShadowParsChunk}`)
+      .replace("#include <lights_fragment_end>", ringShadowChunk);
+  });
+  return ring;
+}
+
+function addAtmosphere(mesh, data) {
+  const { atmosphere } = data;
+  const top = 1 + atmosphere.height;
+  const material = new THREE.ShaderMaterial({
+    vertexShader: atmosphereVertexShader,
+    fragmentShader: atmosphereFragmentShader,
+    uniforms: {
+      uCameraLocal: { value: new THREE.Vector3() },
+      uSunDirection: { value: new THREE.Vector3(1, 0, 0) },
+      uRayleigh: { value: new THREE.Vector3(...atmosphere.rayleigh) },
+      uMie: { value: atmosphere.mie },
+      uMieColor: {
+        value: new THREE.Vector3(...(atmosphere.mieColor || [1, 1, 1])),
+      },
+      uMieG: { value: atmosphere.mieG },
+      uTop: { value: top },
+      uScaleHeight: { value: atmosphere.scaleHeight },
+      uIntensity: { value: ATMOSPHERE_INTENSITY },
+    },
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+  });
+  const shell = new THREE.Mesh(ATMOSPHERE_GEOMETRY, material);
+  shell.scale.setScalar(top);
+  shell.visible = SETTINGS.atmospheresVisible;
+  mesh.add(shell);
+  return shell;
+}
+
+function addClouds(mesh, data) {
+  const clouds = new THREE.Mesh(
+    PLANET_SPHERE_GEOMETRY,
+    new THREE.MeshStandardMaterial({
+      map: generateCloudTexture(data),
+      transparent: true,
+      opacity: data.clouds.opacity,
+      roughness: 1,
+      metalness: 0,
+      depthWrite: false,
+    })
+  );
+  clouds.scale.setScalar(1 + CLOUD_LAYER_HEIGHT);
+  clouds.visible = SETTINGS.atmospheresVisible;
+  mesh.add(clouds);
+  return clouds;
+}
+
+// Material patches compose: each adds its uniforms and rewrites the shaders
+// in turn, and the program cache key names them all
+function patchMaterial(material, key, uniforms, patch) {
+  if (!material.userData.patches) material.userData.patches = [];
+  const patches = material.userData.patches;
+  patches.push({ key, uniforms, patch });
+  material.onBeforeCompile = (shader) => {
+    patches.forEach((entry) => {
+      Object.assign(shader.uniforms, entry.uniforms);
+      entry.patch(shader);
+    });
+  };
+  material.customProgramCacheKey = () =>
+    patches.map((entry) => entry.key).join();
+}
+
+// Hooks up the atmosphere, clouds, night lights, bands and rings `data` asks
+// for. The night lights and bands need a map to take their UVs from.
+function addPlanetEffects(bodyObject) {
+  const { mesh, data } = bodyObject;
+  const hasMap = Boolean(mesh.material.map);
+  const effects = {
+    bodyObject,
+    atmosphere: data.atmosphere ? addAtmosphere(mesh, data) : null,
+    clouds: data.clouds ? addClouds(mesh, data) : null,
+    nightLights:
+      data.nightLights && hasMap ? addNightLights(mesh.material, data) : null,
+    bands: data.bands && hasMap ? addBandShear(mesh.material, data) : null,
+    rings: data.rings ? addRings(mesh, data) : null,
+  };
+  bodyObject.planetEffects = effects;
+  STATE.planetEffects.push(effects);
+}
+
+/**
+ * Per-frame inputs that follow the camera: camera and Sun direction in each
+ * atmosphere's and ring system's frame (the shell draws its back faces once
+ * the camera is inside it), the sunlight reaching them, the Sun in view
+ * space for the night lights and band time.
+ */
+function updatePlanetEffects() {
+  const sun = findBodyObject("Sun");
+  if (!sun) return;
+  const sunWorld = sun.mesh.getWorldPosition(TMP_SUN);
+  const time = STATE.clock.getElapsedTime();
+  STATE.camera.updateMatrixWorld();
+
+  STATE.planetEffects.forEach((effects) => {
+    const { mesh } = effects.bodyObject;
+    const irradiance = getSunIrradiance(mesh.getWorldPosition(TMP_VEC3));
+    if (effects.atmosphere && effects.atmosphere.visible) {
+      const material = effects.atmosphere.material;
+      const uniforms = material.uniforms;
+      uniforms.uIntensity.value =
+        (ATMOSPHERE_INTENSITY * irradiance) / SUN_INTENSITY;
+      mesh.updateMatrixWorld();
+      const camera = mesh.worldToLocal(
+        uniforms.uCameraLocal.value.copy(STATE.camera.position)
+      );
+      mesh.worldToLocal(uniforms.uSunDirection.value.copy(sunWorld));
+      uniforms.uSunDirection.value.normalize();
+      material.side =
+        camera.length() < uniforms.uTop.value
+          ? THREE.BackSide
+          : THREE.FrontSide;
+    }
+    if (effects.nightLights) {
+      effects.nightLights.uSunView.value
+        .copy(sunWorld)
+        .applyMatrix4(STATE.camera.matrixWorldInverse);
+    }
+    if (effects.bands) effects.bands.uTime.value = time;
+    if (effects.rings) {
+      const uniforms = effects.rings.material.uniforms;
+      const { ambient, sun } = STATE.lights;
+      mesh.updateMatrixWorld();
+      mesh.worldToLocal(
+        uniforms.uCameraLocal.value.copy(STATE.camera.position)
+      );
+      mesh.worldToLocal(uniforms.uSunDirection.value.copy(sunWorld));
+      uniforms.uSunDirection.value.normalize();
+      uniforms.uSunColor.value.copy(sun.color).multiplyScalar(irradiance);
+      uniforms.uAmbientColor.value
+        .copy(ambient.color)
+        .multiplyScalar(ambient.intensity);
+    }
+  });
+}
+
+function updateAtmosphereVisibility() {
+  STATE.planetEffects.forEach((effects) => {
+    if (effects.atmosphere) {
+      effects.atmosphere.visible = SETTINGS.atmospheresVisible;
+    }
+    if (effects.clouds) effects.clouds.visible = SETTINGS.atmospheresVisible;
+  });
+}
+
+// ECLIPSES
+// A planet and its moons shadow one another. Each member's material (and
+// its cloud layer) is patched with the others as occluders.
+function addEclipseShadows(planetObj) {
+  const members = [planetObj, ...planetObj.satellites];
+  members.forEach((member) => {
+    const uniforms = {
+      uEclipseSun: { value: new THREE.Vector4() },
+      uEclipseOccluders: {
+        value: Array.from(
+          { length: ECLIPSE_MAX_OCCLUDERS },
+          () => new THREE.Vector4()
+        ),
+      },
+      uEclipseCount: {
+        value: Math.min(members.length - 1, ECLIPSE_MAX_OCCLUDERS),
+      },
+      uEclipseScale: { value: 1 },
+    };
+    const patch = (shader) => {
+      shader.vertexShader = shader.vertexShader
+        .replace(
+          "#include <common>",
+          "#include <common>\nvarying vec3 vEclipseOffset;"
+        )
+        .replace("#include <project_vertex>", eclipseVertexChunk);
+      shader.fragmentShader = shader.fragmentShader
+        .replace("#include <common>", `#include <common>\n${eclipseParsChunk}`)
+        .replace("#include <lights_fragment_end>", eclipseChunk);
+    };
+    patchMaterial(member.mesh.material, "eclipse", uniforms, patch);
+    const effects = member.planetEffects;
+    if (effects && effects.clouds) {
+      patchMaterial(effects.clouds.material, "eclipse", uniforms, patch);
+    }
+    member.eclipse = uniforms;
+  });
+  STATE.eclipseSystems.push({
+    members,
+    positions: members.map(() => new THREE.Vector3()),
+  });
+}
+
+/**
+ * Sun and occluder positions for each member, in km from its centre. The
+ * moons' offsets from the planet are taken back from the display distance
+ * factor to their true size, so shadows fall when and where the real ones
+ * do.
+ */
+function updateEclipses() {
+  const sun = findBodyObject("Sun");
+  if (!sun) return;
+  const sunRadiusKm = sun.data.radiusKm;
+
+  STATE.eclipseSystems.forEach(({ members, positions }) => {
+    const [planet] = members;
+    const planetWorld = planet.anchor.getWorldPosition(TMP_VEC3);
+    members.forEach((member, m) => {
+      if (m === 0) return;
+      const scale =
+        SETTINGS.universeScale * getDistanceFactor(member.data, planet.data);
+      member.anchor
+        .getWorldPosition(positions[m])
+        .sub(planetWorld)
+        .multiplyScalar(AU_KM / scale);
+    });
+    const sunPosition = sun.anchor
+      .getWorldPosition(TMP_SUN)
+      .sub(planetWorld)
+      .multiplyScalar(AU_KM / SETTINGS.universeScale);
+
+    members.forEach((member, m) => {
+      const uniforms = member.eclipse;
+      const origin = positions[m];
+      uniforms.uEclipseSun.value.set(
+        sunPosition.x - origin.x,
+        sunPosition.y - origin.y,
+        sunPosition.z - origin.z,
+        sunRadiusKm
+      );
+      let n = 0;
+      members.forEach((occluder, o) => {
+        if (o === m || n >= ECLIPSE_MAX_OCCLUDERS) return;
+        const position = positions[o];
+        uniforms.uEclipseOccluders.value[n++].set(
+          position.x - origin.x,
+          position.y - origin.y,
+          position.z - origin.z,
+          occluder.data.radiusKm
+        );
+      });
+      uniforms.uEclipseScale.value =
+        member.data.radiusKm / getDisplayRadius(member.data);
+    });
+  });
+}
+
+// COMET SYSTEM
+function generateComaTexture() {
+  const canvas = document.createElement("canvas");
+  canvas.width = 64;
+  canvas.height = 64;
+  const context = canvas.getContext("2d");
+  const gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+  gradient.addColorStop(0, "rgba(255, 255, 255, 1)");
+  gradient.addColorStop(0.2, "rgba(200, 230, 255, 0.6)");
+  gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, 64, 64);
+  return new THREE.CanvasTexture(canvas);
+}
+
+function createTailParticles(count, color, flowSpeed, width, curvature) {
+  const phases = new Float32Array(count);
+  const spread = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    phases[i] = Math.random();
+    TMP_VEC3.randomDirection()
+      .multiplyScalar(Math.random())
+      .toArray(spread, i * 3);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  // Positions are computed in the shader; the attribute only sets the count
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(new Float32Array(count * 3), 3)
+  );
+  geometry.setAttribute("aPhase", new THREE.BufferAttribute(phases, 1));
+  geometry.setAttribute("aSpread", new THREE.BufferAttribute(spread, 3));
+
+  const material = new THREE.ShaderMaterial({
+    vertexShader: cometTailVertexShader,
+    fragmentShader: cometTailFragmentShader,
+    uniforms: {
+      uTime: { value: 0 },
+      uAntiSun: { value: new THREE.Vector3(1, 0, 0) },
+      uLagDir: { value: new THREE.Vector3(0, 0, 1) },
+      uLength: { value: 0 },
+      uCurvature: { value: curvature },
+      uWidth: { value: width },
+      uFlowSpeed: { value: flowSpeed },
+      uSize: { value: 30.0 },
+      uIntensity: { value: 0 },
+      uColor: { value: new THREE.Color(color) },
+    },
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+  });
+
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false;
+  return points;
+}
+
+function addCometEffects(bodyObj) {
+  const coma = new THREE.Sprite(
+    new THREE.SpriteMaterial({
+      map: generateComaTexture(),
+      color: 0xcfe8ff,
+      transparent: true,
+      toneMapped: false,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false,
+    })
+  );
+  const ionTail = createTailParticles(1500, 0x6fb7ff, 0.25, 0.03, 0);
+  const dustTail = createTailParticles(
+    2500,
+    0xfff0c8,
+    0.08,
+    0.12,
+    bodyObj.data.tail.dustCurvature
+  );
+  bodyObj.anchor.add(coma, ionTail, dustTail);
+  bodyObj.comet = { coma, ionTail, dustTail };
+}
+
+/**
+ * Points the ion tail straight away from the Sun and bends the dust tail back
+ * along the orbit. Length and brightness follow the heliocentric distance
+ * `helioPos` (AU, unscaled).
+ */
+function updateCometEffects(bodyObj, jd, helioPos) {
+  const { comet, data } = bodyObj;
+  const r = helioPos.length();
+
+  // Outgassing switches on inside the activity limit and grows roughly as 1/r^2
+  const fade = THREE.MathUtils.clamp((COMET_ACTIVITY_LIMIT_AU - r) / 2, 0, 1);
+  const activity = data.tail.activity * Math.min(4, 1 / (r * r)) * fade;
+  const intensity = Math.min(1, activity);
+  const lengthScale = SETTINGS.universeScale * Math.min(1.5, 1 / r);
+
+  // The dust tail trails behind the direction of motion
+  const ahead = eclipticArrayToScene(
+    getPerihelionOrbitPosition(data.elements, jd + 1, GM_SUN, TMP_ECLIPTIC),
+    TMP_VELOCITY
+  );
+  const lag = ahead.sub(helioPos).negate().normalize();
+  const antiSun = helioPos.normalize();
+  const time = STATE.clock.elapsedTime;
+
+  const ion = comet.ionTail.material.uniforms;
+  ion.uTime.value = time;
+  ion.uAntiSun.value.copy(antiSun);
+  ion.uLength.value = data.tail.ionLength * lengthScale;
+  ion.uIntensity.value = intensity;
+
+  const dust = comet.dustTail.material.uniforms;
+  dust.uTime.value = time;
+  dust.uAntiSun.value.copy(antiSun);
+  dust.uLagDir.value.copy(lag);
+  dust.uLength.value = data.tail.dustLength * lengthScale;
+  dust.uIntensity.value = intensity * 0.8;
+
+  const comaSize =
+    data.radius * SETTINGS.planetVisualScale * 10 * Math.sqrt(activity);
+  comet.coma.scale.set(comaSize, comaSize, 1);
+  comet.coma.material.opacity = intensity;
+
+  const active = activity > 0.001;
+  comet.coma.visible = active;
+  comet.ionTail.visible = active;
+  comet.dustTail.visible = active;
+}
+
+// LAGRANGE POINTS & HILL SPHERES
+// Text with a marker dot on its left, or centred text without one
+function generateLabelTexture(text, { color = "#ffd36b", marker = true } = {}) {
+  const canvas = document.createElement("canvas");
+  canvas.width = 256;
+  canvas.height = 64;
+  const context = canvas.getContext("2d");
+  context.fillStyle = color;
+  context.font = "bold 28px Courier New";
+  context.textBaseline = "middle";
+  if (marker) {
+    context.beginPath();
+    context.arc(16, 32, 8, 0, Math.PI * 2);
+    context.fill();
+    context.fillText(text, 34, 34);
+  } else {
+    context.textAlign = "center";
+    context.fillText(text, 128, 34);
+  }
+  return new THREE.CanvasTexture(canvas);
+}
+
+function createLagrangePoints(scene) {
+  const group = new THREE.Group();
+  group.visible = SETTINGS.lagrangePointsVisible;
+  const markers = [];
+
+  LAGRANGE_SYSTEMS.forEach((name) => {
+    const body = STATE.activeBodies.find((b) => b.data.name === name);
+    for (let n = 1; n <= 5; n++) {
+      const sprite = new THREE.Sprite(
+        new THREE.SpriteMaterial({
+          map: generateLabelTexture(`${name} L${n}`),
+          transparent: true,
+          toneMapped: false,
+          depthTest: false,
+          sizeAttenuation: false,
+        })
+      );
+      // Anchor the sprite on the dot at the left edge of the label
+      sprite.center.set(1 / 16, 0.5);
+      sprite.scale.set(0.12, 0.03, 1);
+      group.add(sprite);
+      markers.push({ sprite, body, point: n });
+    }
+  });
+
+  scene.add(group);
+  STATE.lagrangePoints = { group, markers };
+}
+
+/**
+ * Solves the circular restricted three-body equilibrium on the Sun-planet
+ * line for mass ratio `mu` = m / (M + m). Distances are in units of the
+ * Sun-planet separation, measured from the Sun.
+ */
+function solveCollinearLagrangePoint(mu, point) {
+  const hill = Math.cbrt(mu / 3);
+  // Rotating frame with the barycentre at 0, Sun at -mu and planet at 1 - mu
+  let x = [0, 1 - mu - hill, 1 - mu + hill, -1 - (5 * mu) / 12][point];
+  for (let iter = 0; iter < 20; iter++) {
+    const r1 = Math.abs(x + mu);
+    const r2 = Math.abs(x - 1 + mu);
+    const f =
+      x -
+      ((1 - mu) * (x + mu)) / (r1 * r1 * r1) -
+      (mu * (x - 1 + mu)) / (r2 * r2 * r2);
+    const df = 1 + (2 * (1 - mu)) / (r1 * r1 * r1) + (2 * mu) / (r2 * r2 * r2);
+    const dx = f / df;
+    x -= dx;
+    if (Math.abs(dx) < 1e-14) break;
+  }
+  return x + mu;
+}
+
+// Lagrange points follow the planets' live scene positions, so they pick up
+// N-body motion and universeScale alike
+function updateLagrangePoints(jd) {
+  const { group, markers } = STATE.lagrangePoints;
+  if (!group || !group.visible) return;
+
+  markers.forEach(({ sprite, body, point }) => {
+    const { data, anchor } = body;
+    const mu = getSystemMu(data) / (GM_SUN + getSystemMu(data));
+    if (point <= 3) {
+      sprite.position
+        .copy(anchor.position)
+        .multiplyScalar(solveCollinearLagrangePoint(mu, point));
+      return;
+    }
+
+    // L4 leads the planet by 60 degrees around its orbit normal, L5 trails
+    const elements = getElementsAt(data, jd, TMP_ELEMENTS);
+    const X = eclipticArrayToScene(
+      orbitalPlaneToEcliptic(elements, 1, 0, TMP_ECLIPTIC),
+      TMP_NORMAL
+    );
+    const Y = eclipticArrayToScene(
+      orbitalPlaneToEcliptic(elements, 0, 1, TMP_ECLIPTIC),
+      TMP_VEC3
+    );
+    const normal = X.cross(Y).normalize();
+    const angle = point === 4 ? Math.PI / 3 : -Math.PI / 3;
+    sprite.position.copy(anchor.position).applyAxisAngle(normal, angle);
+  });
+}
+
+function addHillSphere(bodyObj) {
+  const hillSphere = new THREE.Mesh(
+    PLANET_SPHERE_GEOMETRY,
+    new THREE.MeshBasicMaterial({
+      color: 0x66ccff,
+      wireframe: true,
+      transparent: true,
+      opacity: 0.15,
+      toneMapped: false,
+      depthWrite: false,
+    })
+  );
+  hillSphere.visible = SETTINGS.hillSpheresVisible;
+  bodyObj.anchor.add(hillSphere);
+  bodyObj.hillSphere = hillSphere;
+}
+
+// r_H = r * cbrt(m / 3M) at the current heliocentric distance (scene units)
+function updateHillSphere(bodyObj) {
+  const { hillSphere, anchor, data } = bodyObj;
+  if (!hillSphere.visible) return;
+  const radius =
+    anchor.position.length() * Math.cbrt(getSystemMu(data) / (3 * GM_SUN));
+  hillSphere.scale.set(radius, radius, radius);
+}
+
+function updateOverlayVisibility() {
+  if (STATE.lagrangePoints.group) {
+    STATE.lagrangePoints.group.visible = SETTINGS.lagrangePointsVisible;
+  }
+  STATE.activeBodies.forEach((bodyObj) => {
+    if (bodyObj.hillSphere) {
+      bodyObj.hillSphere.visible = SETTINGS.hillSpheresVisible;
+    }
+  });
+}
+
+function createBlackHole() {
+  const aspect = window.innerWidth / window.innerHeight;
+  const group = new THREE.Group();
+  // Position far in the distance (Adjusted Z for better initial view)
+  group.position.set(150, 20, -150);
+  // Scale: large enough to be seen
+  group.scale.set(50, 50, 50);
+
+  const geometry = new THREE.PlaneGeometry(2, 1, 1, 1);
+
+  const diskUniforms = {
+    uTime: { value: 0.0 },
+    uAspect: { value: aspect },
+    uCameraDistance: { value: 5.0 }, // distance from camera to BH center in plane space
+    uMaxDistance: { value: 40.0 },
+
+    uBlackHoleRadius: { value: 0.001 },
+    uLensStrength: { value: 0.18 },
+
+    uDiskInnerRadius: { value: 1.4 },
+    uDiskOuterRadius: { value: 5.0 },
+    uDiskThickness: { value: 0.25 },
+
+    uDiskColorInner: { value: new THREE.Color(1.0, 0.95, 0.8) },
+    uDiskColorOuter: { value: new THREE.Color(1.0, 0.4, 0.05) },
+    uDopplerStrength: { value: 0.9 },
+
+    uBackgroundColor: { value: new THREE.Color(0.03, 0.04, 0.08) },
+    uGlowStrength: { value: 1.5 },
+  };
+
+  const material = new THREE.ShaderMaterial({
+    vertexShader: bhVertexShader,
+    fragmentShader: bhFragmentShader,
+    uniforms: diskUniforms,
+    transparent: true,
+    depthWrite: false,
+    side: THREE.DoubleSide,
+    blending: THREE.NormalBlending,
+  });
+
+  const mesh = new THREE.Mesh(geometry, material);
+  group.add(mesh);
+
+  STATE.scene.add(group);
+  STATE.blackHole = {
+    group: group,
+    diskUniforms: diskUniforms,
+    mesh: mesh,
+  };
+
+  group.visible = SETTINGS.blackHoleVisible;
+}
+
+function createCelestialBody(data, parentObject) {
+  // The anchor follows the orbit; the mesh under it carries size and spin so
+  // that neither leaks into the satellites, which hang off the equator frame.
+  const anchor = new THREE.Group();
+  const equatorFrame = new THREE.Group();
+  anchor.add(equatorFrame);
+
+  // Reuse shared sphere geometry instead of creating a new one per body
+  const geo = PLANET_SPHERE_GEOMETRY;
+  let mat;
+
+  try {
     if (data.isStar) {
-      mat = new THREE.MeshBasicMaterial({ map: tex, color: data.baseColor });
+      mat = createPhotosphereMaterial();
     } else {
+      const tex = data.texture
+        ? STATE.textureLoader.load(TEXTURES_DIR + data.texture)
+        : generateProceduralTexture(data);
       mat = new THREE.MeshStandardMaterial({
         map: tex,
         color: 0xffffff,
@@ -559,60 +1895,76 @@ function createCelestialBody(data, parentObject) {
   const mesh = new THREE.Mesh(geo, mat);
   mesh.scale.set(data.radius, data.radius, data.radius);
 
-  if (data.isStar) {
-    addSunEffects(mesh);
-  } else {
-    mesh.castShadow = data.radius > 0.01;
-    mesh.receiveShadow = data.radius > 0.01;
-  }
+  if (data.isStar) addSunCorona(mesh);
 
-  parentObject.add(mesh);
+  anchor.add(mesh);
+  parentObject.add(anchor);
 
   let orbitLine = null;
-  if (data.elements.a > 0) {
-    const points = [];
-    const segments = 128;
-    for (let i = 0; i <= segments; i++) {
-      const M = (i / segments) * 360;
-      const pos = getOrbitPosition(data.elements, M);
-      points.push(pos);
-    }
+  if (data.elements.a > 0 || isPerihelionDefined(data.elements)) {
+    const points = getBodyOrbitPoints(data);
     const orbitGeometry = new THREE.BufferGeometry().setFromPoints(points);
-    const orbitMaterial = new THREE.LineBasicMaterial({
-      color: new THREE.Color(SETTINGS.orbitColor),
-      transparent: true,
-      opacity: SETTINGS.orbitOpacity,
-    });
-    orbitLine = new THREE.LineLoop(orbitGeometry, orbitMaterial);
+    const isDwarf = data.category === "dwarf";
+    const orbitMaterial = isDwarf
+      ? new THREE.LineDashedMaterial({
+          color: new THREE.Color(DWARF_ORBIT_COLOR),
+          transparent: true,
+          opacity: SETTINGS.orbitOpacity,
+          dashSize: 0.3,
+          gapSize: 0.2,
+          toneMapped: false,
+        })
+      : new THREE.LineBasicMaterial({
+          color: new THREE.Color(SETTINGS.orbitColor),
+          transparent: true,
+          opacity: SETTINGS.orbitOpacity,
+          toneMapped: false,
+        });
+    orbitLine = isOpenOrbit(data.elements)
+      ? new THREE.Line(orbitGeometry, orbitMaterial)
+      : new THREE.LineLoop(orbitGeometry, orbitMaterial);
+    if (isDwarf) orbitLine.computeLineDistances();
     parentObject.add(orbitLine);
   }
 
-  if (data.hasRing) {
-    const ringTex = STATE.textureLoader.load(TEXTURES_DIR + "saturn-ring.jpg");
-    const ringMat = new THREE.MeshStandardMaterial({
-      map: ringTex,
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.8,
-    });
-    const ring = new THREE.Mesh(SATURN_RING_GEOMETRY, ringMat);
-    ring.rotation.x = Math.PI / 2;
-    ring.receiveShadow = true;
-    mesh.add(ring);
-  }
-
   const bodyObject = {
+    anchor,
+    equatorFrame,
     mesh,
     data,
     orbitLine,
+    orbitEpoch: 0,
+    elements: {},
     satellites: [],
   };
 
+  if (data.category === "comet") {
+    addCometEffects(bodyObject);
+  }
+
+  if (
+    data.atmosphere ||
+    data.clouds ||
+    data.nightLights ||
+    data.bands ||
+    data.rings
+  ) {
+    addPlanetEffects(bodyObject);
+  }
+
+  // Hill spheres only for planets
+  if (parentObject.isScene && !data.isStar && !data.category) {
+    addHillSphere(bodyObject);
+  }
+
   if (data.satellites && data.satellites.length > 0) {
     data.satellites.forEach((satData) => {
-      const satObj = createCelestialBody(satData, mesh);
+      const container =
+        satData.elements.frame === "ecliptic" ? anchor : equatorFrame;
+      const satObj = createCelestialBody(satData, container);
       bodyObject.satellites.push(satObj);
     });
+    addEclipseShadows(bodyObject);
   }
 
   return bodyObject;
@@ -623,6 +1975,7 @@ function createSolarSystem(scene) {
     const bodyObj = createCelestialBody(data, scene);
     STATE.activeBodies.push(bodyObj);
   });
+  STATE.simulationClock.maxSubstep = getShortestPeriod() / SUBSTEPS_PER_ORBIT;
 }
 
 // METEOROID SYSTEM
@@ -692,122 +2045,1745 @@ function createMeteoroids() {
     dummy.updateMatrix();
     instancedMesh.setMatrixAt(i, dummy.matrix);
   }
-  instancedMesh.instanceMatrix.needsUpdate = true;
-  STATE.scene.add(instancedMesh);
-  STATE.meteorSystem.mesh = instancedMesh;
-  STATE.meteorSystem.data = dataArray;
+  instancedMesh.instanceMatrix.needsUpdate = true;
+  STATE.scene.add(instancedMesh);
+  STATE.meteorSystem.mesh = instancedMesh;
+  STATE.meteorSystem.data = dataArray;
+}
+
+// Advances the meteoroids by `seconds` of simulated and `realSeconds` of
+// wall time; they tumble only while time runs forward
+function stepMeteoroids(seconds, realSeconds) {
+  const orbitRate = SETTINGS.meteorSpeed * 0.01 * METEOR_TUNING_FPS;
+  const tumble = seconds > 0 ? realSeconds * METEOR_TUNING_FPS : 0;
+  STATE.meteorSystem.data.forEach((d) => {
+    d.angle += d.speed * orbitRate * seconds;
+    d.currentRotation += d.rotationSpeed * tumble;
+  });
+}
+
+function updateMeteoroids() {
+  if (!STATE.meteorSystem.mesh) return;
+
+  const dummy = TMP_DUMMY;
+  const universeScale = SETTINGS.universeScale;
+
+  for (let i = 0; i < STATE.meteorSystem.data.length; i++) {
+    const d = STATE.meteorSystem.data[i];
+    const r = d.orbitRadius * universeScale;
+    const x = Math.cos(d.angle) * r;
+    const z = Math.sin(d.angle) * r;
+    const y = d.yOffset * universeScale;
+
+    dummy.position.set(x, y, z);
+    dummy.rotation.set(
+      d.currentRotation * d.rotationAxis.x,
+      d.currentRotation * d.rotationAxis.y,
+      d.currentRotation * d.rotationAxis.z
+    );
+    dummy.updateMatrix();
+    STATE.meteorSystem.mesh.setMatrixAt(i, dummy.matrix);
+  }
+
+  STATE.meteorSystem.mesh.instanceMatrix.needsUpdate = true;
+}
+
+/**
+ * Orients a body from its IAU pole (north pole right ascension/declination in
+ * ICRF, optionally drifting per century) and prime meridian angle
+ * W = W0 + Wdot * d. The equator frame gets the pole without the spin so
+ * rings and satellite orbits stay in the equatorial plane.
+ */
+function updateBodyOrientation(bodyObj, jd, hoursPassed) {
+  const { mesh, data, equatorFrame } = bodyObj;
+  const pole = data.pole;
+
+  if (!pole) {
+    mesh.rotation.y = (hoursPassed / data.rotPeriod) * (Math.PI * 2);
+    return;
+  }
+
+  const d = jd - J2000;
+  const T = d / DAYS_PER_CENTURY;
+  const ra = (pole.ra + (pole.raRate || 0) * T) * DEG_TO_RAD;
+  const dec = (pole.dec + (pole.decRate || 0) * T) * DEG_TO_RAD;
+  const W = ((pole.W0 + pole.Wdot * d) % 360) * DEG_TO_RAD;
+
+  // Equator frame axes: X towards the equator's ascending node on the ICRF
+  // equator, Y along the pole, Z completing the right-handed set
+  const north = equatorialToScene(
+    Math.cos(dec) * Math.cos(ra),
+    Math.cos(dec) * Math.sin(ra),
+    Math.sin(dec),
+    TMP_POLE
+  );
+  const node = equatorialToScene(-Math.sin(ra), Math.cos(ra), 0, TMP_NODE);
+  const third = TMP_AXIS.crossVectors(node, north);
+  TMP_MAT4.makeBasis(node, north, third);
+  equatorFrame.quaternion.setFromRotationMatrix(TMP_MAT4);
+
+  mesh.quaternion
+    .copy(equatorFrame.quaternion)
+    .multiply(TMP_QUAT.setFromAxisAngle(Y_AXIS, W));
+}
+
+// SMALL BODY SYSTEM
+function getSmallBodyColor(record, target) {
+  const q = record.a * (1 - record.e);
+  if (record.a > 30) return target.set(0x6fa8ff); // trans-Neptunian
+  if (record.a > 5.05 && record.a < 5.35) return target.set(0xffa040); // Jupiter Trojans
+  if (q < 1.3) return target.set(0xff5050); // near-Earth
+  return target.set(0xb0b0b0);
+}
+
+function clearSmallBodies() {
+  const { points } = STATE.smallBodies;
+  if (points) {
+    STATE.scene.remove(points);
+    points.geometry.dispose();
+    points.material.dispose();
+  }
+  STATE.smallBodies = {
+    points: null,
+    records: [],
+    lastJd: null,
+    lastScale: null,
+  };
+}
+
+function createSmallBodies(records, sourceName) {
+  clearSmallBodies();
+
+  const bound = records.slice(0, MAX_SMALL_BODIES);
+  const positions = new Float32Array(bound.length * 3);
+  const colors = new Float32Array(bound.length * 3);
+  const color = new THREE.Color();
+  bound.forEach((r, n) => getSmallBodyColor(r, color).toArray(colors, n * 3));
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+  const material = new THREE.PointsMaterial({
+    size: 2,
+    sizeAttenuation: false,
+    vertexColors: true,
+    transparent: true,
+    toneMapped: false,
+    opacity: 0.8,
+    depthWrite: false,
+  });
+  const points = new THREE.Points(geometry, material);
+  points.frustumCulled = false;
+  points.visible = SETTINGS.smallBodiesVisible;
+  STATE.scene.add(points);
+
+  STATE.smallBodies = {
+    points,
+    records: bound,
+    lastJd: null,
+    lastScale: null,
+  };
+  setSmallBodyStatus(`${bound.length} bodies from ${sourceName}`);
+}
+
+function updateSmallBodies(jd) {
+  const sb = STATE.smallBodies;
+  if (!sb.points || !sb.points.visible) return;
+  if (sb.lastJd === jd && sb.lastScale === SETTINGS.universeScale) return;
+
+  const position = sb.points.geometry.attributes.position;
+  const pos = TMP_VEC3;
+  for (let n = 0; n < sb.records.length; n++) {
+    const r = sb.records[n];
+    getOrbitPosition(r, getMeanAnomaly(r, jd), TMP_ECLIPTIC);
+    eclipticArrayToScene(TMP_ECLIPTIC, pos);
+    pos.multiplyScalar(SETTINGS.universeScale);
+    position.setXYZ(n, pos.x, pos.y, pos.z);
+  }
+  position.needsUpdate = true;
+
+  sb.lastJd = jd;
+  sb.lastScale = SETTINGS.universeScale;
+}
+
+function setSmallBodyStatus(text) {
+  document.getElementById("small-body-status").innerText = text;
+}
+
+function loadSmallBodyText(text, sourceName) {
+  try {
+    createSmallBodies(parseSmallBodyFile(text, sourceName), sourceName);
+  } catch (err) {
+    setSmallBodyStatus(err.message);
+  }
+}
+
+function loadSmallBodyFile(file) {
+  setSmallBodyStatus(`Reading ${file.name}...`);
+  file.text().then((text) => loadSmallBodyText(text, file.name));
+}
+
+function loadSmallBodyPath(path) {
+  setSmallBodyStatus(`Loading ${path}...`);
+  new THREE.FileLoader().load(
+    path,
+    (text) => loadSmallBodyText(text, path),
+    undefined,
+    () => setSmallBodyStatus(`Could not load ${path}`)
+  );
+}
+
+// SPACECRAFT SYSTEM
+function createSpacecraftModel(color) {
+  const model = new THREE.Group();
+  const hull = new THREE.MeshStandardMaterial({
+    color: 0xb8b8b8,
+    metalness: 0.6,
+    roughness: 0.4,
+  });
+  const accent = new THREE.MeshStandardMaterial({
+    color,
+    emissive: color,
+    emissiveIntensity: 0.4,
+  });
+
+  const bus = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.4, 0.6), hull);
+  // High-gain antenna along +Z so lookAt points it at a target
+  const dish = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.9, 0.15, 0.25, 20, 1, true),
+    accent
+  );
+  dish.material.side = THREE.DoubleSide;
+  dish.rotation.x = Math.PI / 2;
+  dish.position.z = 0.45;
+  const boom = new THREE.Mesh(
+    new THREE.CylinderGeometry(0.03, 0.03, 1.6, 6),
+    hull
+  );
+  boom.rotation.z = Math.PI / 2;
+  boom.position.x = 0.8;
+  model.add(bus, dish, boom);
+  return model;
+}
+
+function createSpacecraftTrail(color) {
+  const count = SPACECRAFT_TRAIL_POINTS;
+  const colors = new Float32Array(count * 4);
+  const rgb = new THREE.Color(color);
+  for (let n = 0; n < count; n++) {
+    // Oldest point first, fading in towards the spacecraft
+    rgb.toArray(colors, n * 4);
+    colors[n * 4 + 3] = n / (count - 1);
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.BufferAttribute(new Float32Array(count * 3), 3)
+  );
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 4));
+  const trail = new THREE.Line(
+    geometry,
+    new THREE.LineBasicMaterial({
+      vertexColors: true,
+      transparent: true,
+      depthWrite: false,
+      toneMapped: false,
+    })
+  );
+  trail.frustumCulled = false;
+  return trail;
+}
+
+// Body an ephemeris is centred on, or null for the Sun. Horizons names
+// centers like "Earth (399)" or "Moon (301)"; unknown centers are rejected
+// rather than drawn around the wrong body.
+function getSpacecraftCenter(ephemeris) {
+  const { center, name } = ephemeris;
+  if (center.startsWith("Sun") || center.startsWith("Solar System")) {
+    return null;
+  }
+  const find = (bodies) => {
+    for (const bodyObj of bodies) {
+      if (center.startsWith(bodyObj.data.name)) return bodyObj;
+      const satellite = find(bodyObj.satellites);
+      if (satellite) return satellite;
+    }
+    return null;
+  };
+  const centerBody = find(STATE.activeBodies);
+  if (!centerBody) throw new Error(`${name}: unknown center body ${center}`);
+  return centerBody;
+}
+
+function addSpacecraft(ephemeris, centerBody) {
+  const color =
+    ephemeris.color ||
+    SPACECRAFT_COLORS[STATE.spacecraft.length % SPACECRAFT_COLORS.length];
+  const craft = {
+    ephemeris,
+    centerBody,
+    model: createSpacecraftModel(color),
+    trail: createSpacecraftTrail(color),
+  };
+  STATE.scene.add(craft.model, craft.trail);
+  STATE.spacecraft.push(craft);
+}
+
+function clearSpacecraft() {
+  STATE.spacecraft.forEach(({ model, trail }) => {
+    STATE.scene.remove(model, trail);
+    model.traverse((child) => {
+      if (child.isMesh) {
+        child.geometry.dispose();
+        child.material.dispose();
+      }
+    });
+    trail.geometry.dispose();
+    trail.material.dispose();
+  });
+  STATE.spacecraft = [];
+  renderMissionTimeline();
+  setSpacecraftStatus("No spacecraft loaded");
+}
+
+// Scene position of a spacecraft at `jd`, or null outside its ephemeris
+function getSpacecraftPosition(craft, jd, target) {
+  const { ephemeris, centerBody } = craft;
+  if (!getEphemerisPosition(ephemeris, jd, target)) return null;
+
+  const km = SETTINGS.universeScale / AU_KM;
+  if (ephemeris.frame === "equatorial") {
+    equatorialToScene(target.x * km, target.y * km, target.z * km, target);
+  } else {
+    eclipticToScene(target.x * km, target.y * km, target.z * km, target);
+  }
+  // Moons hang off their planet, so take the world position
+  if (centerBody) target.add(centerBody.anchor.getWorldPosition(TMP_CENTER));
+  return target;
+}
+
+function updateSpacecraft(jd) {
+  const earth = STATE.activeBodies.find((b) => b.data.name === "Earth");
+
+  STATE.spacecraft.forEach((craft) => {
+    const { ephemeris, model, trail } = craft;
+    const active = getSpacecraftPosition(craft, jd, model.position) !== null;
+    model.visible = active;
+    trail.visible = active;
+    if (!active) return;
+
+    const size = SPACECRAFT_SIZE * SETTINGS.planetVisualScale;
+    model.scale.set(size, size, size);
+    if (earth) model.lookAt(earth.anchor.position);
+
+    const positions = trail.geometry.attributes.position;
+    const last = SPACECRAFT_TRAIL_POINTS - 1;
+    for (let n = 0; n <= last; n++) {
+      const t = Math.max(
+        ephemeris.start,
+        jd - (SPACECRAFT_TRAIL_DAYS * (last - n)) / last
+      );
+      getSpacecraftPosition(craft, t, TMP_VEC3);
+      positions.setXYZ(n, TMP_VEC3.x, TMP_VEC3.y, TMP_VEC3.z);
+    }
+    positions.needsUpdate = true;
+  });
+}
+
+function setSpacecraftStatus(text) {
+  document.getElementById("spacecraft-status").innerText = text;
+}
+
+function loadSpacecraftText(text, sourceName) {
+  try {
+    const ephemerides = parseEphemerisFile(text, sourceName);
+    // Resolve every center first so a bad file adds nothing
+    const centers = ephemerides.map(getSpacecraftCenter);
+    ephemerides.forEach((ephemeris, i) => addSpacecraft(ephemeris, centers[i]));
+    renderMissionTimeline();
+    setSpacecraftStatus(
+      STATE.spacecraft.map((c) => c.ephemeris.name).join(", ")
+    );
+  } catch (err) {
+    setSpacecraftStatus(err.message);
+  }
+}
+
+function loadSpacecraftFile(file) {
+  setSpacecraftStatus(`Reading ${file.name}...`);
+  file.text().then((text) => loadSpacecraftText(text, file.name));
+}
+
+function loadSpacecraftPath(path) {
+  setSpacecraftStatus(`Loading ${path}...`);
+  new THREE.FileLoader().load(
+    path,
+    (text) => loadSpacecraftText(text, path),
+    undefined,
+    () => setSpacecraftStatus(`Could not load ${path}`)
+  );
+}
+
+// Dropped files go to whichever loader understands them
+function loadDroppedFile(file) {
+  file.text().then((text) => {
+    if (isEphemerisFile(text, file.name)) {
+      loadSpacecraftText(text, file.name);
+    } else if (isStarCatalogFile(text)) {
+      loadStarCatalogText(text, file.name);
+    } else {
+      loadSmallBodyText(text, file.name);
+    }
+  });
+}
+
+// One bar per mission spanning its ephemeris, with clickable event ticks
+function renderMissionTimeline() {
+  const container = document.getElementById("mission-timeline");
+  container.innerHTML = "";
+
+  STATE.spacecraft.forEach((craft) => {
+    const { name, start, end, events } = craft.ephemeris;
+    const row = document.createElement("div");
+    row.className = "mission-row";
+    // The name comes from a user file, so it only ever goes in as text
+    const label = document.createElement("span");
+    label.className = "mission-name";
+    label.textContent = name;
+    const bar = document.createElement("div");
+    bar.className = "mission-bar";
+    const cursor = document.createElement("span");
+    cursor.className = "mission-cursor";
+    bar.appendChild(cursor);
+    row.append(label, bar);
+
+    events.forEach((event) => {
+      const tick = document.createElement("span");
+      tick.className = "mission-event";
+      tick.title = `${event.label} (${getDateFromJulianDate(
+        event.jd
+      ).toLocaleDateString()})`;
+      tick.style.left = `${((event.jd - start) / (end - start)) * 100}%`;
+      tick.addEventListener("click", () => setSimulationJd(event.jd));
+      bar.appendChild(tick);
+    });
+
+    craft.cursor = cursor;
+    container.appendChild(row);
+  });
+}
+
+function updateMissionTimeline(jd) {
+  STATE.spacecraft.forEach(({ ephemeris, cursor }) => {
+    const { start, end } = ephemeris;
+    const fraction = THREE.MathUtils.clamp((jd - start) / (end - start), 0, 1);
+    cursor.style.left = `${fraction * 100}%`;
+    cursor.style.display = jd < start || jd > end ? "none" : "block";
+  });
+}
+
+// Gravitational parameter of a body plus all of its moons (km^3/s^2)
+function getSystemMu(data) {
+  return (data.satellites || []).reduce(
+    (sum, sat) => sum + (sat.mu || 0),
+    data.mu || 0
+  );
+}
+
+// N-BODY SYSTEM
+// Heliocentric scene position in AU from the analytic elements
+function getHeliocentricPosition(data, jd, target) {
+  return eclipticArrayToScene(
+    getOrbitalPosition(data, jd, GM_SUN, TMP_ECLIPTIC),
+    target
+  );
+}
+
+// AU/day. The Earth's elements place it at the Earth-Moon barycentre, which is
+// where N-body wants it, so this differentiates those rather than velocityOf.
+function getHeliocentricVelocity(data, jd, target) {
+  return eclipticArrayToScene(
+    differentiate((t) => getOrbitalPosition(data, t), jd),
+    target
+  );
+}
+
+// km^3/s^2 -> AU^3/day^2
+function toAuDayMu(mu) {
+  return (mu * SECONDS_PER_DAY * SECONDS_PER_DAY) / (AU_KM * AU_KM * AU_KM);
+}
+
+// Moons stay analytic and ride along with their planet, so the planet
+// carries the mass of its whole system. Returned in AU^3/day^2.
+function getNBodyMass(data) {
+  const factor = STATE.nBody.massFactors[data.name] ?? 1;
+  return toAuDayMu(getSystemMu(data) * factor);
+}
+
+// Seeds the integrator with state vectors taken from every top-level body's
+// current elements
+function initNBody(jd) {
+  const bodies = STATE.activeBodies.map((bodyObj, index) => {
+    const { data } = bodyObj;
+    bodyObj.nBodyIndex = index;
+    if (data.isStar) {
+      return {
+        gm: getNBodyMass(data),
+        position: [0, 0, 0],
+        velocity: [0, 0, 0],
+      };
+    }
+    const position = getHeliocentricPosition(data, jd, TMP_VEC3).toArray();
+    const velocity = getHeliocentricVelocity(data, jd, TMP_VEC3).toArray();
+    return { gm: getNBodyMass(data), position, velocity };
+  });
+
+  const system = createNBodySystem(bodies);
+  moveToBarycentre(system);
+  STATE.nBody.system = system;
+  STATE.nBody.epoch = jd;
+  STATE.nBody.energy0 = computeEnergy(system);
+  STATE.nBody.drift = 0;
+  STATE.nBody.step = 0;
+  STATE.nBody.lag = 0;
+}
+
+function stopNBody() {
+  STATE.nBody.system = null;
+  STATE.activeBodies.forEach((bodyObj) => delete bodyObj.nBodyIndex);
+}
+
+// Brings the integrator up to `jd`; faster playback means more sub-steps.
+// Past NBODY_MAX_SUBSTEPS leapfrog lengthens its steps and RK45 falls behind
+// the clock, catching up on later frames; the data panel shows either.
+function stepNBody(jd) {
+  const nBody = STATE.nBody;
+  const { system } = nBody;
+  const dt = jd - (nBody.epoch + system.time);
+  if (dt === 0) return;
+
+  if (nBody.integrator === "rk45") {
+    integrateRK45(system, dt, {
+      maxStep: NBODY_MAX_STEP_DAYS,
+      maxSteps: NBODY_MAX_SUBSTEPS,
+    });
+    nBody.step = system.rkStep;
+  } else {
+    const steps = integrateLeapfrog(system, dt, {
+      maxStep: NBODY_MAX_STEP_DAYS,
+      maxSteps: NBODY_MAX_SUBSTEPS,
+    });
+    nBody.step = Math.abs(dt) / steps;
+  }
+  nBody.lag = jd - (nBody.epoch + system.time);
+  nBody.drift =
+    (computeEnergy(system) - nBody.energy0) / Math.abs(nBody.energy0);
+}
+
+// Applies a what-if mass change; energy drift is measured from here on
+function setNBodyMassFactor(bodyName, factor) {
+  STATE.nBody.massFactors[bodyName] = factor;
+  const { system } = STATE.nBody;
+  if (!system) return;
+
+  const bodyObj = STATE.activeBodies.find((b) => b.data.name === bodyName);
+  setMass(system, bodyObj.nBodyIndex, getNBodyMass(bodyObj.data));
+  moveToBarycentre(system);
+  STATE.nBody.energy0 = computeEnergy(system);
+  STATE.nBody.drift = 0;
+}
+
+function getNBodyPosition(index, target) {
+  const { system } = STATE.nBody;
+  getPosition(system, index, target);
+  return target.sub(getPosition(system, 0, TMP_VEC3));
+}
+
+// MISSION PLANNER
+// Lambert works in the ecliptic so that "prograde" means around +z
+function sceneToEclipticArray(v) {
+  return [v.x, -v.z, v.y];
+}
+
+function getPlannerBodyState(data, jd) {
+  return {
+    r: sceneToEclipticArray(getHeliocentricPosition(data, jd, TMP_VEC3)),
+    v: sceneToEclipticArray(getHeliocentricVelocity(data, jd, TMP_VEC3)),
+  };
+}
+
+// Hyperbolic excess speed (km/s) between two velocities in AU/day
+function getExcessSpeed(v, bodyVelocity) {
+  const dv = TMP_DIFF.fromArray(v).sub(TMP_VEC3.fromArray(bodyVelocity));
+  return (dv.length() * AU_KM) / SECONDS_PER_DAY;
+}
+
+function solveTransfer(fromData, toData, departureJd, tof, from, to) {
+  const departure = from || getPlannerBodyState(fromData, departureJd);
+  const arrival = to || getPlannerBodyState(toData, departureJd + tof);
+  const solution = solveLambert(departure.r, arrival.r, tof, toAuDayMu(GM_SUN));
+  if (!solution) return null;
+
+  const departureDv = getExcessSpeed(solution.v1, departure.v);
+  const arrivalDv = getExcessSpeed(solution.v2, arrival.v);
+  return {
+    departureJd,
+    tof,
+    r1: departure.r,
+    v1: solution.v1,
+    departureDv,
+    arrivalDv,
+    totalDv: departureDv + arrivalDv,
+    c3: departureDv * departureDv,
+  };
+}
+
+// Semi-major axis for the Hohmann estimate, or null for open orbits
+function getPlannerSemiMajorAxis(data, jd) {
+  const elements = isPerihelionDefined(data.elements)
+    ? getConicElements(data.elements, TMP_ELEMENTS)
+    : getElementsAt(data, jd, TMP_ELEMENTS);
+  return elements.a > 0 ? elements.a : null;
+}
+
+function getPlannerHohmann(fromData, toData, jd) {
+  const a1 = getPlannerSemiMajorAxis(fromData, jd);
+  const a2 = getPlannerSemiMajorAxis(toData, jd);
+  if (!a1 || !a2) return null;
+  const { dv1, dv2, tof } = getHohmannTransfer(a1, a2, toAuDayMu(GM_SUN));
+  return { totalDv: ((dv1 + dv2) * AU_KM) / SECONDS_PER_DAY, tof };
+}
+
+function drawTransfer(transfer) {
+  const mu = toAuDayMu(GM_SUN);
+  const points = [];
+  for (let n = 0; n < TRANSFER_ARC_POINTS; n++) {
+    const dt = (transfer.tof * n) / (TRANSFER_ARC_POINTS - 1);
+    const [x, y, z] = propagateKepler(transfer.r1, transfer.v1, dt, mu);
+    points.push(eclipticToScene(x, y, z));
+  }
+
+  const { planner } = STATE;
+  if (planner.transferLine) {
+    setLinePoints(planner.transferLine, points);
+  } else {
+    planner.transferLine = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(points),
+      new THREE.LineBasicMaterial({ color: TRANSFER_COLOR, toneMapped: false })
+    );
+    STATE.scene.add(planner.transferLine);
+  }
+  updateTransferLine();
+}
+
+function updateTransferLine() {
+  const line = STATE.planner.transferLine;
+  if (line) line.scale.setScalar(SETTINGS.universeScale);
+}
+
+function getPlannerBody(selectId) {
+  const name = document.getElementById(selectId).value;
+  return CELESTIAL_BODIES.find((body) => body.name === name);
+}
+
+// The date field holds a UTC day; departures are at its 0h
+function getPlannerDepartureJd() {
+  return parseUtcDay(document.getElementById("input-planner-date").value);
+}
+
+function setPlannerDepartureJd(jd) {
+  document.getElementById("input-planner-date").value = formatUtcDay(jd);
+}
+
+function runPlannerTransfer() {
+  const fromData = getPlannerBody("input-planner-from");
+  const toData = getPlannerBody("input-planner-to");
+  const departureJd = getPlannerDepartureJd();
+  const tof = parseFloat(document.getElementById("input-planner-tof").value);
+  const result = document.getElementById("planner-result");
+
+  const transfer =
+    fromData !== toData && tof > 0
+      ? solveTransfer(fromData, toData, departureJd, tof)
+      : null;
+  if (!transfer) {
+    result.innerText = "No transfer for this geometry";
+    return;
+  }
+
+  drawTransfer(transfer);
+  const hohmann = getPlannerHohmann(fromData, toData, departureJd);
+  result.innerText = [
+    `Departure v∞ ${transfer.departureDv.toFixed(2)} km/s`,
+    `C3 ${transfer.c3.toFixed(2)} km²/s²`,
+    `Arrival v∞ ${transfer.arrivalDv.toFixed(2)} km/s`,
+    `Total Δv ${transfer.totalDv.toFixed(2)} km/s`,
+    hohmann
+      ? `Hohmann ${hohmann.totalDv.toFixed(2)} km/s, ${hohmann.tof.toFixed(0)} d`
+      : "",
+  ].join("\n");
+}
+
+/**
+ * Departure date (x, from the planner date over the window) against arrival
+ * date (y, upwards), coloured from blue at the cheapest total Δv to red at
+ * four times that.
+ */
+function renderPorkchop() {
+  const fromData = getPlannerBody("input-planner-from");
+  const toData = getPlannerBody("input-planner-to");
+  if (fromData === toData) return;
+  const tof = parseFloat(document.getElementById("input-planner-tof").value);
+  const windowDays = parseFloat(
+    document.getElementById("input-planner-window").value
+  );
+
+  const n = PORKCHOP_GRID;
+  const departureStart = getPlannerDepartureJd();
+  const departureStep = windowDays / n;
+  const arrivalStart = departureStart + 0.5 * tof;
+  const arrivalStep = (windowDays + tof) / n;
+
+  const departures = [];
+  const arrivals = [];
+  for (let k = 0; k < n; k++) {
+    const departureJd = departureStart + (k + 0.5) * departureStep;
+    const arrivalJd = arrivalStart + (k + 0.5) * arrivalStep;
+    departures.push(getPlannerBodyState(fromData, departureJd));
+    arrivals.push(getPlannerBodyState(toData, arrivalJd));
+  }
+
+  const grid = new Float64Array(n * n).fill(NaN);
+  let best = Infinity;
+  for (let i = 0; i < n; i++) {
+    const departureJd = departureStart + (i + 0.5) * departureStep;
+    for (let j = 0; j < n; j++) {
+      const arrivalJd = arrivalStart + (j + 0.5) * arrivalStep;
+      if (arrivalJd <= departureJd) continue;
+      const transfer = solveTransfer(
+        fromData,
+        toData,
+        departureJd,
+        arrivalJd - departureJd,
+        departures[i],
+        arrivals[j]
+      );
+      if (!transfer || !Number.isFinite(transfer.totalDv)) continue;
+      grid[i * n + j] = transfer.totalDv;
+      best = Math.min(best, transfer.totalDv);
+    }
+  }
+
+  const canvas = document.getElementById("porkchop-canvas");
+  const context = canvas.getContext("2d");
+  const cellW = canvas.width / n;
+  const cellH = canvas.height / n;
+  context.fillStyle = "#111";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const dv = grid[i * n + j];
+      if (Number.isNaN(dv)) continue;
+      const t = THREE.MathUtils.clamp(Math.log(dv / best) / Math.log(4), 0, 1);
+      context.fillStyle = `hsl(${240 * (1 - t)}, 90%, ${55 - 20 * t}%)`;
+      context.fillRect(
+        i * cellW,
+        canvas.height - (j + 1) * cellH,
+        cellW,
+        cellH
+      );
+    }
+  }
+
+  STATE.planner.porkchop = {
+    departureStart,
+    departureStep,
+    arrivalStart,
+    arrivalStep,
+  };
+  document.getElementById("planner-result").innerText = Number.isFinite(best)
+    ? `Best total Δv ${best.toFixed(2)} km/s`
+    : "No transfers in this window";
+}
+
+// Loads the clicked porkchop cell as the current transfer
+function onPorkchopClick(event) {
+  const grid = STATE.planner.porkchop;
+  if (!grid) return;
+  const canvas = event.target;
+  const rect = canvas.getBoundingClientRect();
+  const i = Math.floor(
+    ((event.clientX - rect.left) / rect.width) * PORKCHOP_GRID
+  );
+  const j = Math.floor(
+    (1 - (event.clientY - rect.top) / rect.height) * PORKCHOP_GRID
+  );
+  const departureJd = grid.departureStart + (i + 0.5) * grid.departureStep;
+  const arrivalJd = grid.arrivalStart + (j + 0.5) * grid.arrivalStep;
+  if (arrivalJd <= departureJd) return;
+
+  // The field only holds a day, so take the time of flight from the
+  // departure it reads back as
+  setPlannerDepartureJd(departureJd);
+  const departureDay = getPlannerDepartureJd();
+  document.getElementById("input-planner-tof").value = Math.round(
+    arrivalJd - departureDay
+  );
+  runPlannerTransfer();
+  setSimulationJd(departureDay);
+}
+
+function bindPlannerControls() {
+  const bodies = CELESTIAL_BODIES.filter((body) => !body.isStar);
+  ["input-planner-from", "input-planner-to"].forEach((id) => {
+    const select = document.getElementById(id);
+    bodies.forEach((body) => {
+      const option = document.createElement("option");
+      option.value = body.name;
+      option.innerText = body.name;
+      select.appendChild(option);
+    });
+  });
+  document.getElementById("input-planner-from").value = "Earth";
+  document.getElementById("input-planner-to").value = "Mars";
+  setPlannerDepartureJd(getSimulationJd());
+
+  document
+    .getElementById("btn-planner-solve")
+    .addEventListener("click", runPlannerTransfer);
+  document
+    .getElementById("btn-planner-porkchop")
+    .addEventListener("click", renderPorkchop);
+  document
+    .getElementById("porkchop-canvas")
+    .addEventListener("click", onPorkchopClick);
+  document
+    .getElementById("btn-planner-hohmann")
+    .addEventListener("click", () => {
+      const hohmann = getPlannerHohmann(
+        getPlannerBody("input-planner-from"),
+        getPlannerBody("input-planner-to"),
+        getPlannerDepartureJd()
+      );
+      if (hohmann) {
+        document.getElementById("input-planner-tof").value = Math.round(
+          hohmann.tof
+        );
+      }
+    });
+}
+
+// EVENT FINDER
+function findBodyData(name, bodies = CELESTIAL_BODIES) {
+  for (const body of bodies) {
+    if (body.name === name) return body;
+    const satellite = body.satellites && findBodyData(name, body.satellites);
+    if (satellite) return satellite;
+  }
+  return null;
+}
+
+function findBodyObject(name, bodies = STATE.activeBodies) {
+  for (const bodyObj of bodies) {
+    if (bodyObj.data.name === name) return bodyObj;
+    const satellite = findBodyObject(name, bodyObj.satellites);
+    if (satellite) return satellite;
+  }
+  return null;
+}
+
+// True (unscaled) geometry for the search: scene-frame AU arrays with the
+// Sun at 0 and the Earth and the Moon at their own centres
+function getEventPosition(name, jd) {
+  return eclipticArrayToScene(positionOf(name, jd), TMP_VEC3).toArray();
+}
+
+function getEarthAndMoon(jd) {
+  return {
+    earth: getEventPosition("Earth", jd),
+    moon: getEventPosition("Moon", jd),
+  };
+}
+
+function getEventRadii() {
+  const au = (name) => findBodyData(name).radiusKm / AU_KM;
+  return { sun: au("Sun"), earth: au("Earth"), moon: au("Moon") };
+}
+
+const toGeocentric = (position, earth) => position.map((c, k) => c - earth[k]);
+
+function findEclipses(start, end, events) {
+  const radii = getEventRadii();
+
+  // New moons: the Moon passes closest to the Sun's direction
+  const newMoons = findMinima(
+    (jd) => {
+      const { earth, moon } = getEarthAndMoon(jd);
+      return angleBetween(
+        toGeocentric(moon, earth),
+        earth.map((c) => -c)
+      );
+    },
+    start,
+    end,
+    0.5
+  );
+  newMoons.forEach(({ t }) => {
+    const { earth, moon } = getEarthAndMoon(t);
+    const type = classifySolarEclipse(earth, moon, radii);
+    if (type) {
+      events.push({
+        jd: t,
+        label: `${type} solar eclipse`,
+        bodies: ["Earth", "Moon"],
+      });
+    }
+  });
+
+  // Full moons: the Moon passes closest to the anti-Sun direction
+  const fullMoons = findMinima(
+    (jd) => {
+      const { earth, moon } = getEarthAndMoon(jd);
+      return angleBetween(toGeocentric(moon, earth), earth);
+    },
+    start,
+    end,
+    0.5
+  );
+  fullMoons.forEach(({ t }) => {
+    const { earth, moon } = getEarthAndMoon(t);
+    const type = classifyLunarEclipse(earth, moon, radii);
+    if (type) {
+      events.push({
+        jd: t,
+        label: `${type} lunar eclipse`,
+        bodies: ["Moon", "Earth"],
+      });
+    }
+  });
+}
+
+// Mercury and Venus crossing the solar disc at inferior conjunction
+function findTransits(start, end, events) {
+  const sunRadius = getEventRadii().sun;
+  ["Mercury", "Venus"].forEach((name) => {
+    const planetRadius = findBodyData(name).radiusKm / AU_KM;
+    const separation = (jd) => {
+      const earth = getEventPosition("Earth", jd);
+      const planet = toGeocentric(getEventPosition(name, jd), earth);
+      return angleBetween(
+        planet,
+        earth.map((c) => -c)
+      );
+    };
+
+    findMinima(separation, start, end, 1).forEach(({ t, value }) => {
+      const earth = getEventPosition("Earth", t);
+      const planet = toGeocentric(getEventPosition(name, t), earth);
+      const planetDistance = Math.hypot(...planet);
+      const sunDistance = Math.hypot(...earth);
+      if (planetDistance > sunDistance) return;
+      const limit =
+        Math.asin(sunRadius / sunDistance) +
+        Math.asin(planetRadius / planetDistance);
+      if (value < limit) {
+        events.push({
+          jd: t,
+          label: `Transit of ${name}`,
+          bodies: ["Earth", name],
+        });
+      }
+    });
+  });
+}
+
+function findConjunctions(start, end, events) {
+  const limit = CONJUNCTION_LIMIT_DEG * DEG_TO_RAD;
+  EVENT_PLANETS.forEach((first, n) => {
+    EVENT_PLANETS.slice(n + 1).forEach((second) => {
+      const separation = (jd) => {
+        const earth = getEventPosition("Earth", jd);
+        return angleBetween(
+          toGeocentric(getEventPosition(first, jd), earth),
+          toGeocentric(getEventPosition(second, jd), earth)
+        );
+      };
+      findMinima(separation, start, end, 1).forEach(({ t, value }) => {
+        if (value > limit) return;
+        events.push({
+          jd: t,
+          label: `${first}-${second} conjunction (${(
+            value / DEG_TO_RAD
+          ).toFixed(2)}°)`,
+          bodies: [first, second, "Earth"],
+        });
+      });
+    });
+  });
+}
+
+function findOppositions(start, end, events) {
+  OPPOSITION_PLANETS.forEach((name) => {
+    const elongationFromOpposition = (jd) => {
+      const earth = getEventPosition("Earth", jd);
+      return angleBetween(
+        toGeocentric(getEventPosition(name, jd), earth),
+        earth
+      );
+    };
+    findMinima(elongationFromOpposition, start, end, 1).forEach(({ t }) => {
+      events.push({
+        jd: t,
+        label: `${name} at opposition`,
+        bodies: [name, "Earth"],
+      });
+    });
+  });
+}
+
+/**
+ * Scans `years` forwards (direction 1) or backwards (-1) from `startJd`.
+ * Events are timed with the simulation's own ephemeris, so they inherit its
+ * accuracy: minutes for the planets, up to an hour or two for the Moon.
+ */
+function searchEvents(startJd, direction, years) {
+  const span = years * 365.25;
+  const start = direction > 0 ? startJd : startJd - span;
+  const end = direction > 0 ? startJd + span : startJd;
+
+  const events = [];
+  findEclipses(start, end, events);
+  findTransits(start, end, events);
+  findConjunctions(start, end, events);
+  findOppositions(start, end, events);
+  return events.sort((a, b) => direction * (a.jd - b.jd));
+}
+
+function renderEventList(events) {
+  const list = document.getElementById("event-list");
+  list.innerHTML = "";
+  if (events.length === 0) {
+    list.innerHTML = "<li>No events in this window</li>";
+    return;
+  }
+  events.forEach((event) => {
+    const item = document.createElement("li");
+    item.innerText = `${getDateFromJulianDate(
+      event.jd
+    ).toLocaleString()} ${event.label}`;
+    item.addEventListener("click", () => jumpToEvent(event));
+    list.appendChild(item);
+  });
+}
+
+// Puts the first body in the middle and looks across its line to the Sun,
+// far enough out to take in the others
+function frameBodies(names) {
+  const [focus, ...others] = names.map((name) => findBodyObject(name));
+  STATE.scene.updateMatrixWorld();
+
+  const center = focus.mesh.getWorldPosition(new THREE.Vector3());
+  let extent = focus.mesh.scale.x * 6;
+  others.forEach((bodyObj) => {
+    const distance = bodyObj.mesh.getWorldPosition(TMP_VEC3).distanceTo(center);
+    extent = Math.max(extent, distance * 1.5);
+  });
+
+  const side = TMP_VEC3.copy(center).normalize().cross(Y_AXIS).normalize();
+  STATE.camera.position
+    .copy(center)
+    .addScaledVector(side, extent)
+    .addScaledVector(Y_AXIS, extent * 0.3);
+  STATE.controls.target.copy(center);
+  STATE.focusedBody = focus.mesh;
+}
+
+function jumpToEvent(event) {
+  setSimulationJd(event.jd);
+  setSpeedMultiplier(0);
+  updatePhysics();
+  frameBodies(event.bodies);
+}
+
+// SHADOW CONES
+/**
+ * Umbra and penumbra cones behind the Earth and the Moon. They are drawn at
+ * the scale of the Earth-Moon distance on screen, so the Moon's centre
+ * crosses them when the real one does even though the body meshes are
+ * inflated.
+ */
+function createShadowCones() {
+  const material = (color, opacity) =>
+    new THREE.MeshBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      side: THREE.DoubleSide,
+      depthWrite: false,
+      toneMapped: false,
+    });
+
+  ["Earth", "Moon"].forEach((name) => {
+    const bodyObj = findBodyObject(name);
+    const radius = bodyObj.data.radiusKm;
+    const sunRadius = findBodyData("Sun").radiusKm;
+
+    // Apex cone with its base on the origin, pointing along +Y
+    const umbraGeometry = new THREE.ConeGeometry(1, 1, 32, 1, true);
+    umbraGeometry.rotateX(Math.PI);
+    umbraGeometry.translate(0, 0.5, 0);
+
+    // Penumbra widening at the Sun's angular size seen from 1 AU, out to
+    // 1.5 lunar distances (in body radii)
+    const length = (1.5 * 384400) / radius;
+    const spread = 1 + (length * (sunRadius + radius)) / AU_KM;
+    const penumbraGeometry = new THREE.CylinderGeometry(
+      spread,
+      1,
+      length,
+      32,
+      1,
+      true
+    );
+    penumbraGeometry.translate(0, length / 2, 0);
+
+    const umbra = new THREE.Mesh(umbraGeometry, material(0x000000, 0.5));
+    const penumbra = new THREE.Mesh(penumbraGeometry, material(0x333355, 0.15));
+    umbra.visible = SETTINGS.shadowConesVisible;
+    penumbra.visible = SETTINGS.shadowConesVisible;
+    bodyObj.anchor.add(umbra, penumbra);
+    STATE.shadowCones.push({ bodyObj, umbra, penumbra });
+  });
+}
+
+function updateShadowCones() {
+  if (!SETTINGS.shadowConesVisible) return;
+  const earth = findBodyObject("Earth");
+  const moonData = findBodyData("Moon");
+  // AU to scene units for the Earth-Moon system
+  const scale =
+    SETTINGS.universeScale * getDistanceFactor(moonData, earth.data);
+  const sunRadius = findBodyData("Sun").radiusKm / AU_KM;
+  const distance = earth.anchor.position.length() / SETTINGS.universeScale;
+
+  STATE.shadowCones.forEach(({ bodyObj, umbra, penumbra }) => {
+    const direction = bodyObj.anchor.getWorldPosition(TMP_VEC3).normalize();
+    const radius = bodyObj.data.radiusKm / AU_KM;
+    const umbraLength = (radius * distance) / (sunRadius - radius);
+
+    umbra.quaternion.setFromUnitVectors(Y_AXIS, direction);
+    penumbra.quaternion.copy(umbra.quaternion);
+    umbra.scale.set(radius * scale, umbraLength * scale, radius * scale);
+    penumbra.scale.setScalar(radius * scale);
+  });
+}
+
+function updateShadowConeVisibility() {
+  STATE.shadowCones.forEach(({ umbra, penumbra }) => {
+    umbra.visible = SETTINGS.shadowConesVisible;
+    penumbra.visible = SETTINGS.shadowConesVisible;
+  });
+}
+
+// OBSERVER MODE
+// Point on the sky overlay at altitude/azimuth (radians) in the horizon
+// frame: X east, Y zenith, Z south
+function horizonToLocal(altitude, azimuth) {
+  return [
+    Math.cos(altitude) * Math.sin(azimuth) * SKY_OVERLAY_RADIUS,
+    Math.sin(altitude) * SKY_OVERLAY_RADIUS,
+    -Math.cos(altitude) * Math.cos(azimuth) * SKY_OVERLAY_RADIUS,
+  ];
+}
+
+function equatorialToLocal(ra, dec) {
+  return equatorialToScene(
+    Math.cos(dec) * Math.cos(ra),
+    Math.cos(dec) * Math.sin(ra),
+    Math.sin(dec),
+    TMP_VEC3
+  )
+    .multiplyScalar(SKY_OVERLAY_RADIUS)
+    .toArray();
+}
+
+// Appends a curve sampled along t in [0, 1] as line segment pairs
+function pushSkyCurve(vertices, segments, pointAt) {
+  for (let s = 0; s < segments; s++) {
+    vertices.push(...pointAt(s / segments), ...pointAt((s + 1) / segments));
+  }
+}
+
+function createSkyLines(vertices, color, opacity) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute(
+    "position",
+    new THREE.Float32BufferAttribute(vertices, 3)
+  );
+  const lines = new THREE.LineSegments(
+    geometry,
+    new THREE.LineBasicMaterial({
+      color,
+      transparent: true,
+      opacity,
+      depthTest: false,
+      toneMapped: false,
+      depthWrite: false,
+    })
+  );
+  lines.renderOrder = 11;
+  return lines;
+}
+
+/**
+ * Ground, horizon, cardinal points and the two coordinate grids. Everything
+ * skips the depth test and is drawn after the scene, so the ground hides
+ * whatever is below the horizon however far away it is.
+ */
+function createObserverSky(scene) {
+  const sky = new THREE.Group();
+  const ground = new THREE.Mesh(
+    new THREE.SphereGeometry(
+      SKY_OVERLAY_RADIUS,
+      48,
+      12,
+      0,
+      Math.PI * 2,
+      Math.PI / 2,
+      Math.PI / 2
+    ),
+    new THREE.MeshBasicMaterial({
+      color: 0x0a140c,
+      side: THREE.BackSide,
+      transparent: true,
+      opacity: 0.95,
+      depthTest: false,
+      toneMapped: false,
+      depthWrite: false,
+    })
+  );
+  ground.renderOrder = 10;
+  sky.add(ground);
+
+  const horizon = [];
+  pushSkyCurve(horizon, 96, (t) => horizonToLocal(0, t * Math.PI * 2));
+  sky.add(createSkyLines(horizon, 0x66ff99, 0.8));
+
+  // Altitude circles every 15 degrees and azimuth lines every 30
+  const altAz = [];
+  for (let alt = 15; alt < 90; alt += 15) {
+    pushSkyCurve(altAz, 96, (t) =>
+      horizonToLocal(alt * DEG_TO_RAD, t * Math.PI * 2)
+    );
+  }
+  for (let az = 0; az < 360; az += 30) {
+    pushSkyCurve(altAz, 24, (t) =>
+      horizonToLocal((t * Math.PI) / 2, az * DEG_TO_RAD)
+    );
+  }
+  const altAzGrid = createSkyLines(altAz, 0x66ff99, 0.25);
+  altAzGrid.name = "altAzGrid";
+  sky.add(altAzGrid);
+
+  ["N", "E", "S", "W"].forEach((text, n) => {
+    const sprite = new THREE.Sprite(
+      new THREE.SpriteMaterial({
+        map: generateLabelTexture(text),
+        transparent: true,
+        depthTest: false,
+        toneMapped: false,
+        sizeAttenuation: false,
+      })
+    );
+    sprite.center.set(1 / 16, 0.5);
+    sprite.scale.set(0.12, 0.03, 1);
+    sprite.renderOrder = 12;
+    sprite.position.fromArray(horizonToLocal(0, (n * Math.PI) / 2));
+    sky.add(sprite);
+  });
+
+  // Declination circles every 15 degrees and hour circles every 2 hours,
+  // fixed to the J2000 equator
+  const equatorial = [];
+  for (let dec = -75; dec <= 75; dec += 15) {
+    pushSkyCurve(equatorial, 96, (t) =>
+      equatorialToLocal(t * Math.PI * 2, dec * DEG_TO_RAD)
+    );
+  }
+  for (let hour = 0; hour < 24; hour += 2) {
+    pushSkyCurve(equatorial, 24, (t) =>
+      equatorialToLocal(hour * 15 * DEG_TO_RAD, (t - 0.5) * Math.PI)
+    );
+  }
+  const equatorialGrid = createSkyLines(equatorial, 0x66aaff, 0.25);
+
+  sky.visible = false;
+  equatorialGrid.visible = false;
+  scene.add(sky, equatorialGrid);
+  STATE.observer.sky = sky;
+  STATE.observer.equatorialGrid = equatorialGrid;
 }
 
-function updateMeteoroids() {
-  if (!STATE.meteorSystem.mesh) return;
+/**
+ * Local horizon at the current instant. Sidereal time needs UT, for which
+ * the clock's UTC is close enough; `lst` and `latitude` are radians and the
+ * basis vectors are equatorial.
+ */
+function getObserverSite() {
+  const { latitude, longitude } = STATE.observer;
+  const jdUT = convertTime(getSimulationJd(), "TDB", "UTC");
+  const lst = getGreenwichSiderealTime(jdUT) + longitude * DEG_TO_RAD;
+  const site = { latitude: latitude * DEG_TO_RAD, lst };
+  return { ...site, ...getHorizonBasis(site.latitude, lst) };
+}
 
-  const dummy = TMP_DUMMY;
-  const universeScale = SETTINGS.universeScale;
-  const timeScale = STATE.speedMultiplier;
+/**
+ * Topocentric RA/Dec, distance (AU) and alt/az of the listed bodies from
+ * the analytic ephemeris. The observer stands on a spherical Earth, which
+ * matters for the Moon's parallax and little else.
+ */
+function getObserverSky(jd, site) {
+  const { earth, moon } = getEarthAndMoon(jd);
+  const earthRadius = findBodyData("Earth").radiusKm / AU_KM;
+  const fixed = { Sun: [0, 0, 0], Moon: moon };
 
-  for (let i = 0; i < STATE.meteorSystem.data.length; i++) {
-    const d = STATE.meteorSystem.data[i];
-    const moveSpeed = d.speed * timeScale * SETTINGS.meteorSpeed * 0.01;
+  return OBSERVER_BODIES.filter((name) => name !== "Earth").map((name) => {
+    const position = fixed[name] || getEventPosition(name, jd);
+    const geocentric = TMP_VEC3.fromArray(toGeocentric(position, earth));
+    const topocentric = eclipticToEquatorial(
+      sceneToEclipticArray(geocentric)
+    ).map((c, k) => c - site.zenith[k] * earthRadius);
+    const { ra, dec, distance } = getRaDec(topocentric);
+    return {
+      name,
+      ra,
+      dec,
+      distance,
+      ...getHorizontal(ra, dec, site.latitude, site.lst),
+    };
+  });
+}
 
-    d.angle += moveSpeed;
-    d.currentRotation += d.rotationSpeed * (timeScale > 0 ? 1 : 0);
+function formatRightAscension(ra, withSeconds = false) {
+  const pad = (value) => String(value).padStart(2, "0");
+  const seconds = Math.round((ra / DEG_TO_RAD / 15) * 3600);
+  if (!withSeconds) {
+    const minutes = Math.round(seconds / 60) % 1440;
+    return `${pad(Math.floor(minutes / 60))}h${pad(minutes % 60)}m`;
+  }
+  const total = seconds % 86400;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  return `${pad(hours)}h${pad(minutes)}m${pad(total % 60)}s`;
+}
 
-    const r = d.orbitRadius * universeScale;
-    const x = Math.cos(d.angle) * r;
-    const z = Math.sin(d.angle) * r;
-    const y = d.yOffset * universeScale;
+function formatAngle(angle, digits = 1) {
+  const degrees = angle / DEG_TO_RAD;
+  return `${degrees >= 0 ? "+" : ""}${degrees.toFixed(digits)}°`;
+}
 
-    dummy.position.set(x, y, z);
-    dummy.rotation.set(
-      d.currentRotation * d.rotationAxis.x,
-      d.currentRotation * d.rotationAxis.y,
-      d.currentRotation * d.rotationAxis.z
-    );
-    dummy.updateMatrix();
-    STATE.meteorSystem.mesh.setMatrixAt(i, dummy.matrix);
+function renderObserverRows() {
+  const site = getObserverSite();
+  return getObserverSky(getSimulationJd(), site)
+    .map((body) => {
+      const color = body.altitude < 0 ? "#386" : "#0f0";
+      return `<tr style="color: ${color}">
+      <td>${body.name}</td>
+      <td>${formatRightAscension(body.ra)} ${formatAngle(body.dec)}</td>
+      <td>Alt ${formatAngle(body.altitude)}</td>
+      <td>Az ${Math.round(body.azimuth / DEG_TO_RAD) % 360}°</td>
+    </tr>`;
+    })
+    .join("");
+}
+
+// Puts the camera on the Earth's surface under the observer's zenith, as the
+// topocentric table has it, looking along the chosen azimuth and altitude,
+// with the overlay turned to the local horizon
+function updateObserverView() {
+  const observer = STATE.observer;
+  const site = getObserverSite();
+  const east = equatorialToScene(...site.east, TMP_EAST);
+  const north = equatorialToScene(...site.north, TMP_NORTH);
+  const zenith = equatorialToScene(...site.zenith, TMP_ZENITH);
+  const earth = findBodyObject("Earth");
+  const camera = STATE.camera;
+  const center = camera.position
+    .copy(earth.anchor.position)
+    .addScaledVector(zenith, getDisplayRadius(earth.data));
+
+  const south = TMP_DIFF.copy(north).negate();
+  observer.sky.quaternion.setFromRotationMatrix(
+    TMP_MAT4.makeBasis(east, zenith, south)
+  );
+  observer.sky.position.copy(center);
+  observer.equatorialGrid.position.copy(center);
+
+  const altitude = observer.altitude * DEG_TO_RAD;
+  const azimuth = observer.azimuth * DEG_TO_RAD;
+  const direction = TMP_VEC3.copy(north)
+    .multiplyScalar(Math.cos(altitude) * Math.cos(azimuth))
+    .addScaledVector(east, Math.cos(altitude) * Math.sin(azimuth))
+    .addScaledVector(zenith, Math.sin(altitude));
+
+  camera.up.copy(zenith);
+  camera.lookAt(direction.add(center));
+}
+
+function setObserverEnabled(enabled) {
+  const observer = STATE.observer;
+  const { camera, controls } = STATE;
+  if (observer.enabled === enabled) return;
+  observer.enabled = enabled;
+
+  if (enabled) {
+    observer.savedView = {
+      position: camera.position.clone(),
+      target: controls.target.clone(),
+      fov: camera.fov,
+    };
+    camera.fov = OBSERVER_FOV;
+  } else {
+    camera.position.copy(observer.savedView.position);
+    controls.target.copy(observer.savedView.target);
+    camera.fov = observer.savedView.fov;
+    camera.up.copy(Y_AXIS);
   }
+  camera.updateProjectionMatrix();
 
-  STATE.meteorSystem.mesh.instanceMatrix.needsUpdate = true;
+  // OrbitControls would fight the horizon-locked camera
+  controls.enabled = !enabled;
+  findBodyObject("Earth").mesh.visible = !enabled;
+  observer.sky.visible = enabled;
+  updateObserverGrids();
 }
 
-function updateBodyPhysics(bodyObj, jd, hoursPassed) {
-  const { mesh, data, orbitLine } = bodyObj;
-  const isSatellite = mesh.parent && mesh.parent.isMesh;
+function updateObserverGrids() {
+  const { sky, equatorialGrid, enabled } = STATE.observer;
+  sky.getObjectByName("altAzGrid").visible = document.getElementById(
+    "input-observer-altaz"
+  ).checked;
+  equatorialGrid.visible =
+    enabled && document.getElementById("input-observer-equatorial").checked;
+}
 
-  if (!data.isStar) {
-    const currentM = getMeanAnomaly(data.elements, jd);
-    const pos = getOrbitPosition(data.elements, currentM);
-    pos.multiplyScalar(SETTINGS.universeScale);
+// Dragging pans across the sky and the wheel zooms the field of view
+function bindObserverControls() {
+  const observer = STATE.observer;
+  const latitudeInput = document.getElementById("input-observer-lat");
+  const longitudeInput = document.getElementById("input-observer-lon");
+  latitudeInput.value = observer.latitude;
+  longitudeInput.value = observer.longitude;
 
-    if (isSatellite) {
-      pos.multiplyScalar(data.distanceFactor || SATELLITE_DIST_FACTOR);
-      pos.divide(mesh.parent.scale);
+  const readLocation = () => {
+    const latitude = parseFloat(latitudeInput.value);
+    const longitude = parseFloat(longitudeInput.value);
+    if (Number.isFinite(latitude)) {
+      observer.latitude = Math.min(90, Math.max(-90, latitude));
     }
+    if (Number.isFinite(longitude)) observer.longitude = longitude;
+  };
+  latitudeInput.addEventListener("change", readLocation);
+  longitudeInput.addEventListener("change", readLocation);
 
-    mesh.position.copy(pos);
-  }
+  document
+    .getElementById("btn-observer-locate")
+    .addEventListener("click", () => {
+      if (!navigator.geolocation) return;
+      navigator.geolocation.getCurrentPosition((position) => {
+        latitudeInput.value = position.coords.latitude.toFixed(2);
+        longitudeInput.value = position.coords.longitude.toFixed(2);
+        readLocation();
+      });
+    });
+
+  document
+    .getElementById("input-observer-enabled")
+    .addEventListener("change", (e) => setObserverEnabled(e.target.checked));
+  document
+    .getElementById("input-observer-altaz")
+    .addEventListener("change", updateObserverGrids);
+  document
+    .getElementById("input-observer-equatorial")
+    .addEventListener("change", updateObserverGrids);
 
-  const rotationAngle = (hoursPassed / data.rotPeriod) * (Math.PI * 2);
-  mesh.rotation.y = rotationAngle;
+  const canvas = STATE.renderer.domElement;
+  let drag = null;
+  canvas.addEventListener("pointerdown", (e) => {
+    if (observer.enabled) drag = { x: e.clientX, y: e.clientY };
+  });
+  window.addEventListener("pointerup", () => (drag = null));
+  canvas.addEventListener("pointermove", (e) => {
+    if (!drag || !observer.enabled) return;
+    const degreesPerPixel = STATE.camera.fov / window.innerHeight;
+    observer.azimuth =
+      (observer.azimuth - (e.clientX - drag.x) * degreesPerPixel + 360) % 360;
+    observer.altitude = Math.min(
+      89,
+      Math.max(-89, observer.altitude + (e.clientY - drag.y) * degreesPerPixel)
+    );
+    drag = { x: e.clientX, y: e.clientY };
+  });
+  canvas.addEventListener("wheel", (e) => {
+    if (!observer.enabled) return;
+    const camera = STATE.camera;
+    const zoom = 1 + e.deltaY * 0.001;
+    camera.fov = Math.min(120, Math.max(1, camera.fov * zoom));
+    camera.updateProjectionMatrix();
+  });
+}
 
-  const globalScale = data.radius * SETTINGS.planetVisualScale;
-  if (isSatellite) {
-    const parentScale = mesh.parent.scale.x;
-    const relativeScale = globalScale / parentScale;
-    mesh.scale.set(relativeScale, relativeScale, relativeScale);
+// APPARENT POSITIONS
+/**
+ * Apparent places of the observer-mode bodies as seen from the body picked
+ * in STATE.apparent, from the analytic ephemeris. Distances are AU, light
+ * time days, angles radians and `magnitude` null for bodies without a
+ * magnitude model.
+ */
+function getApparentSky(jd) {
+  const { from, precession } = STATE.apparent;
+  const sun = [0, 0, 0];
+  const observer = getEventPosition(from, jd);
+  const velocity = eclipticArrayToScene(velocityOf(from, jd)).toArray();
 
-    if (orbitLine) {
-      const desiredOrbitScale =
-        SETTINGS.universeScale * (data.distanceFactor || SATELLITE_DIST_FACTOR);
-      const relativeOrbitScale = desiredOrbitScale / parentScale;
-      orbitLine.scale.set(
-        relativeOrbitScale,
-        relativeOrbitScale,
-        relativeOrbitScale
-      );
+  return OBSERVER_BODIES.filter((name) => name !== from).map((name) => {
+    const data = findBodyData(name);
+    const { relative, target, lightTime } = correctLightTime(
+      (t) => getEventPosition(name, t),
+      observer,
+      jd
+    );
+    const apparent = TMP_VEC3.fromArray(applyAberration(relative, velocity));
+    let equatorial = eclipticToEquatorial(sceneToEclipticArray(apparent));
+    if (precession) {
+      equatorial = nutateToDate(precessToDate(equatorial, jd), jd);
     }
-  } else {
-    mesh.scale.set(globalScale, globalScale, globalScale);
-    if (orbitLine) {
-      orbitLine.scale.set(
-        SETTINGS.universeScale,
-        SETTINGS.universeScale,
-        SETTINGS.universeScale
+    const { ra, dec, distance } = getRaDec(equatorial);
+
+    const phaseAngle = data.isStar ? 0 : angleAt(target, sun, observer);
+    let magnitude = null;
+    if (data.magnitude) {
+      const r = data.isStar ? 1 : TMP_DIFF.fromArray(target).length();
+      let ringTilt = 0;
+      if (data.magnitude.ring) {
+        const poleRa = data.pole.ra * DEG_TO_RAD;
+        const poleDec = data.pole.dec * DEG_TO_RAD;
+        const pole = equatorialToScene(
+          Math.cos(poleDec) * Math.cos(poleRa),
+          Math.cos(poleDec) * Math.sin(poleRa),
+          Math.sin(poleDec),
+          TMP_NORMAL
+        );
+        ringTilt = Math.asin(pole.dot(apparent.normalize()));
+      }
+      magnitude = getApparentMagnitude(
+        data.magnitude,
+        r,
+        distance,
+        phaseAngle,
+        ringTilt
       );
     }
+
+    return {
+      name,
+      ra,
+      dec,
+      distance,
+      lightTime,
+      elongation: data.isStar ? 0 : angleAt(observer, sun, target),
+      phaseAngle,
+      magnitude,
+    };
+  });
+}
+
+function renderApparentRows() {
+  const jd = getSimulationJd();
+  const degrees = (angle) => (angle / DEG_TO_RAD).toFixed(1);
+  let html = `<tr>
+      <td>Body</td><td>RA</td><td>Dec</td><td>AU</td><td>lt-min</td>
+      <td>Elong</td><td>Phase</td><td>Mag</td>
+    </tr>`;
+  getApparentSky(jd).forEach((body) => {
+    const magnitude = body.magnitude === null ? "-" : body.magnitude.toFixed(2);
+    html += `<tr>
+      <td>${body.name}</td>
+      <td>${formatRightAscension(body.ra, true)}</td>
+      <td>${formatAngle(body.dec, 2)}</td>
+      <td>${body.distance.toFixed(4)}</td>
+      <td>${(body.lightTime * 1440).toFixed(2)}</td>
+      <td>${degrees(body.elongation)}</td>
+      <td>${degrees(body.phaseAngle)}</td>
+      <td>${magnitude}</td>
+    </tr>`;
+  });
+  return html;
+}
+
+function bindApparentControls() {
+  const apparent = STATE.apparent;
+  const fromSelect = document.getElementById("input-apparent-from");
+  CELESTIAL_BODIES.filter((body) => !body.isStar && !body.category).forEach(
+    (body) => {
+      const option = document.createElement("option");
+      option.value = body.name;
+      option.innerText = body.name;
+      fromSelect.appendChild(option);
+    }
+  );
+  fromSelect.value = apparent.from;
+  fromSelect.addEventListener("change", (e) => {
+    apparent.from = e.target.value;
+  });
+
+  document
+    .getElementById("input-apparent-enabled")
+    .addEventListener("change", (e) => {
+      apparent.enabled = e.target.checked;
+      // Eight columns do not fit the default panel width
+      document
+        .getElementById("data-panel")
+        .classList.toggle("wide", apparent.enabled);
+    });
+  document
+    .getElementById("input-apparent-precession")
+    .addEventListener("change", (e) => {
+      apparent.precession = e.target.checked;
+    });
+}
+
+function getDistanceFactor(data, parentData) {
+  if (SETTINGS.trueScale) return 1;
+  return (
+    data.distanceFactor ||
+    (parentData && parentData.satelliteDistanceFactor) ||
+    SATELLITE_DIST_FACTOR
+  );
+}
+
+// Radius of a body's mesh in scene units: the display radius inflated by
+// planetVisualScale, or the true radius in AU times the universe scale
+function getDisplayRadius(data) {
+  return SETTINGS.trueScale
+    ? (data.radiusKm / AU_KM) * SETTINGS.universeScale
+    : data.radius * SETTINGS.planetVisualScale;
+}
+
+function updateBodyPhysics(bodyObj, jd, hoursPassed, parentData = null) {
+  const { anchor, mesh, data, orbitLine } = bodyObj;
+  const isSatellite = parentData !== null;
+  const orbitScale = isSatellite
+    ? SETTINGS.universeScale * getDistanceFactor(data, parentData)
+    : SETTINGS.universeScale;
+
+  if (!data.isStar) {
+    const centralMu = parentData ? parentData.mu : GM_SUN;
+    if (STATE.nBody.system && bodyObj.nBodyIndex !== undefined) {
+      getNBodyPosition(bodyObj.nBodyIndex, anchor.position);
+    } else if (isPerihelionDefined(data.elements)) {
+      getPerihelionOrbitPosition(data.elements, jd, centralMu, TMP_ECLIPTIC);
+      eclipticArrayToScene(TMP_ECLIPTIC, anchor.position);
+    } else {
+      const elements = getElementsAt(data, jd, bodyObj.elements, centralMu);
+      getOrbitPosition(elements, elements.M, TMP_ECLIPTIC);
+      eclipticArrayToScene(TMP_ECLIPTIC, anchor.position);
+      if (orbitLine && data.rates) refreshOrbitLine(bodyObj, elements, jd);
+    }
+    if (bodyObj.comet) {
+      updateCometEffects(bodyObj, jd, TMP_HELIO.copy(anchor.position));
+    }
+    anchor.position.multiplyScalar(orbitScale);
+  }
+
+  updateBodyOrientation(bodyObj, jd, hoursPassed);
+  const effects = bodyObj.planetEffects;
+  if (effects && effects.clouds) {
+    effects.clouds.rotation.y =
+      (hoursPassed / data.clouds.driftPeriod) * (Math.PI * 2);
+  }
+
+  const globalScale = getDisplayRadius(data);
+  mesh.scale.set(globalScale, globalScale, globalScale);
+  if (data.ellipsoid) {
+    mesh.scale.multiply(TMP_VEC3.fromArray(data.ellipsoid));
+  }
+
+  if (orbitLine) {
+    orbitLine.scale.set(orbitScale, orbitScale, orbitScale);
   }
 
+  if (bodyObj.hillSphere) updateHillSphere(bodyObj);
+
   if (bodyObj.satellites) {
     bodyObj.satellites.forEach((sat) =>
-      updateBodyPhysics(sat, jd, hoursPassed)
+      updateBodyPhysics(sat, jd, hoursPassed, data)
     );
   }
 }
 
+function getSimulationJd() {
+  return getClockJd(STATE.simulationClock);
+}
+
+// Everything that carries state from one step to the next; positions that
+// come straight from the ephemeris are evaluated once per frame instead.
+// Those are exact at the frame's date, but a moon that goes round more than
+// about half an orbit between frames still strobes: substeps do not help
+// anything that is only drawn once per frame
+function stepSimulation(jd, seconds, realSeconds) {
+  if (STATE.nBody.system) stepNBody(jd);
+  stepMeteoroids(seconds, realSeconds);
+}
+
+// Period in days of the fastest orbit in the system (a Martian moon), which
+// sets how short the clock's substeps get
+function getShortestPeriod() {
+  let shortest = Infinity;
+  const visit = (data, centralMu) => {
+    const { elements, rates } = data;
+    if (!isPerihelionDefined(elements) && elements.a > 0) {
+      const n = rates
+        ? rates.L / DAYS_PER_CENTURY
+        : getMeanMotion(elements.a, centralMu);
+      shortest = Math.min(shortest, 360 / Math.abs(n));
+    }
+    (data.satellites || []).forEach((sat) => visit(sat, data.mu));
+  };
+  CELESTIAL_BODIES.forEach((data) => visit(data, GM_SUN));
+  return shortest;
+}
+
 function updatePhysics() {
-  const jd = getJulianDate(STATE.simulationDate);
-  const hoursPassed = STATE.simulationDate.getTime() / 3600000;
+  const jd = getSimulationJd();
+  const hoursPassed = (jd - 2440587.5) * 24;
 
   STATE.activeBodies.forEach((body) =>
     updateBodyPhysics(body, jd, hoursPassed)
   );
+  updateLagrangePoints(jd);
+  updateSpacecraft(jd);
+  updateTransferLine();
+  updateShadowCones();
   updateMeteoroids();
+  updateSmallBodies(jd);
 }
 
 function animateSun() {
   const time = STATE.clock.getElapsedTime();
-  if (STATE.sunEffects.glow) {
-    STATE.sunEffects.glow.material.uniforms.uTime.value = time;
-    const pulse = 1.0 + Math.sin(time * 0.5) * 0.02;
-    STATE.sunEffects.glow.scale.set(pulse, pulse, pulse);
-    STATE.sunEffects.glow.lookAt(STATE.camera.position);
+  const { photosphere, corona } = STATE.sunEffects;
+  if (photosphere) {
+    photosphere.uniforms.uTime.value = time;
+    const uniforms = corona.material.uniforms;
+    uniforms.uTime.value = time;
+    // The raymarch runs in the Sun's frame, in solar radii
+    corona.parent.updateMatrixWorld();
+    corona.parent.worldToLocal(
+      uniforms.uCameraLocal.value.copy(STATE.camera.position)
+    );
+    updateSolarActivity(getSimulationJd());
   }
-  STATE.sunEffects.flares.forEach((f) => {
-    f.sprite.material.rotation += f.speed;
-    const s = f.baseScale + Math.sin(time * f.pulseSpeed) * 0.2;
-    f.sprite.scale.set(s, s, s);
-    f.sprite.material.opacity = 0.4 + Math.sin(time * 5) * 0.1;
-  });
 
   // Animate Black Hole
   if (STATE.blackHole.group && STATE.blackHole.group.visible) {
@@ -823,16 +3799,23 @@ function animate() {
   const delta = STATE.clock.getDelta();
   const elapsed = STATE.clock.elapsedTime;
 
-  const timeStep = delta * STATE.speedMultiplier * 1000;
-  STATE.simulationDate = new Date(STATE.simulationDate.getTime() + timeStep);
-
+  advanceClock(STATE.simulationClock, delta, stepSimulation);
   updatePhysics();
   animateSun();
 
-  if (STATE.focusedBody) {
-    const targetPos = TMP_VEC3;
-    STATE.focusedBody.getWorldPosition(targetPos);
-    STATE.controls.target.lerp(targetPos, 0.1);
+  if (STATE.observer.enabled) {
+    updateObserverView();
+  } else {
+    if (STATE.focusedBody) {
+      const targetPos = TMP_VEC3;
+      STATE.focusedBody.getWorldPosition(targetPos);
+      STATE.controls.target.lerp(targetPos, 0.1);
+    }
+    STATE.controls.minDistance =
+      SETTINGS.trueScale && STATE.focusedBody
+        ? STATE.focusedBody.scale.x * (1 + TRUE_SCALE_MIN_ALTITUDE)
+        : 0;
+    STATE.controls.update();
   }
 
   if (elapsed - STATE.lastUIUpdate > STATE.uiUpdateInterval) {
@@ -840,8 +3823,49 @@ function animate() {
     STATE.lastUIUpdate = elapsed;
   }
 
-  STATE.controls.update();
-  STATE.renderer.render(STATE.scene, STATE.camera);
+  STATE.starField.group.position.copy(STATE.camera.position);
+  updateLighting(delta);
+  updatePlanetEffects();
+  updateEclipses();
+  renderScene();
+}
+
+/**
+ * In true scale the scene is drawn from a floating origin: shifted so that
+ * the camera sits at the origin, which keeps everything near the camera at
+ * small coordinates once it reaches the GPU in single precision. Positions
+ * stay in double precision, unshifted, everywhere else.
+ */
+function renderScene() {
+  const { scene, camera, renderer } = STATE;
+  if (!SETTINGS.trueScale) {
+    renderer.render(scene, camera);
+    return;
+  }
+  TMP_ORIGIN.copy(camera.position);
+  scene.position.copy(TMP_ORIGIN).negate();
+  camera.position.set(0, 0, 0);
+  renderer.render(scene, camera);
+
+  camera.position.copy(TMP_ORIGIN);
+  scene.position.set(0, 0, 0);
+  camera.updateMatrixWorld();
+  scene.updateMatrixWorld();
+}
+
+// The depth buffer, near plane and zoom speed follow the scale mode; in true
+// scale the planet size slider has nothing to do
+function updateTrueScale() {
+  if (
+    STATE.renderer.capabilities.logarithmicDepthBuffer !== SETTINGS.trueScale
+  ) {
+    rebuildRenderer();
+  }
+  const camera = STATE.camera;
+  camera.near = SETTINGS.trueScale ? CAMERA_NEAR_TRUE_SCALE : CAMERA_NEAR;
+  camera.updateProjectionMatrix();
+  STATE.controls.zoomSpeed = SETTINGS.trueScale ? TRUE_SCALE_ZOOM_SPEED : 1;
+  document.getElementById("input-planet-scale").disabled = SETTINGS.trueScale;
 }
 
 function updateUI() {
@@ -849,20 +3873,68 @@ function updateUI() {
   const worldPos = TMP_VEC3;
 
   let html = "";
-  for (let i = 0; i < STATE.activeBodies.length; i++) {
-    const p = STATE.activeBodies[i];
-    p.mesh.getWorldPosition(worldPos);
-    html += `<tr>
+  if (STATE.apparent.enabled) {
+    html = renderApparentRows();
+  } else if (STATE.observer.enabled) {
+    html = renderObserverRows();
+  } else {
+    for (let i = 0; i < STATE.activeBodies.length; i++) {
+      const p = STATE.activeBodies[i];
+      p.mesh.getWorldPosition(worldPos);
+      html += `<tr>
       <td>${p.data.name}</td>
       <td>${worldPos.x.toFixed(2)}, ${worldPos.z.toFixed(2)}</td>
     </tr>`;
+    }
+  }
+
+  if (STATE.nBody.system) {
+    html += `<tr>
+      <td>N-body &Delta;E/E</td>
+      <td>${STATE.nBody.drift.toExponential(2)}</td>
+    </tr>`;
+    const { step, lag } = STATE.nBody;
+    if (step > NBODY_MAX_STEP_DAYS) {
+      html += `<tr>
+      <td>N-body step</td>
+      <td>${step.toFixed(2)} d, over the ${NBODY_MAX_STEP_DAYS} d limit</td>
+    </tr>`;
+    }
+    if (Math.abs(lag) > 1e-6) {
+      html += `<tr>
+      <td>N-body lag</td>
+      <td>${Math.abs(lag).toFixed(2)} d behind the clock</td>
+    </tr>`;
+    }
   }
 
   tbody.innerHTML = html;
 
-  document.getElementById(
-    "datetime-display"
-  ).innerText = `Date: ${STATE.simulationDate.toLocaleString()}`;
+  updateMissionTimeline(getSimulationJd());
+
+  document.getElementById("datetime-display").innerText = formatClock();
+  updateTimeline();
+}
+
+// "2024-01-01 00:01:09 TT" or "JD 2460310.50080 TT" in the chosen scale
+function formatClock() {
+  const scale = STATE.timeScale;
+  const jd = convertTime(getSimulationJd(), "TDB", scale);
+  if (STATE.dateFormat === "jd") return `JD ${jd.toFixed(5)} ${scale}`;
+  return `${formatIsoDate(jd).replace("T", " ")} ${scale}`;
+}
+
+// Keeps the scrubber on the clock, re-centring it once the clock runs out
+// of the window
+function updateTimeline() {
+  const timeline = STATE.timeline;
+  if (timeline.dragging) return;
+  let offset = (getSimulationJd() - timeline.anchor) / timeline.span;
+  if (Math.abs(offset) > 1) {
+    timeline.anchor = getSimulationJd();
+    offset = 0;
+  }
+  document.getElementById("input-timeline").value = offset;
 }
 
 function updateUIOpacity(val) {
@@ -872,10 +3944,32 @@ function updateUIOpacity(val) {
   });
 }
 
+function updateMoonVisibility() {
+  STATE.activeBodies.forEach((bodyObj) => {
+    const visible = SETTINGS.moonVisibility[bodyObj.data.name] !== false;
+    bodyObj.satellites.forEach((sat) => {
+      sat.anchor.visible = visible;
+      if (sat.orbitLine) sat.orbitLine.visible = visible;
+    });
+  });
+}
+
+function updateDwarfPlanetVisibility() {
+  STATE.activeBodies.forEach((bodyObj) => {
+    if (bodyObj.data.category !== "dwarf") return;
+    bodyObj.anchor.visible = SETTINGS.dwarfPlanetsVisible;
+    if (bodyObj.orbitLine) {
+      bodyObj.orbitLine.visible = SETTINGS.dwarfPlanetsVisible;
+    }
+  });
+}
+
 function updateVisualsRecursive(bodyObj) {
   if (bodyObj.orbitLine) {
     bodyObj.orbitLine.material.opacity = SETTINGS.orbitOpacity;
-    bodyObj.orbitLine.material.color.set(SETTINGS.orbitColor);
+    if (bodyObj.data.category !== "dwarf") {
+      bodyObj.orbitLine.material.color.set(SETTINGS.orbitColor);
+    }
   }
   if (bodyObj.satellites) {
     bodyObj.satellites.forEach((sat) => updateVisualsRecursive(sat));
@@ -900,6 +3994,13 @@ function initUISettings() {
     createMeteoroids();
   });
 
+  const trueScaleCheck = document.getElementById("input-true-scale");
+  trueScaleCheck.checked = DEFAULTS.trueScale;
+  trueScaleCheck.addEventListener("change", (e) => {
+    SETTINGS.trueScale = e.target.checked;
+    updateTrueScale();
+  });
+
   // Black Hole Toggle
   const bhCheck = document.getElementById("input-bh-visible");
   bhCheck.checked = DEFAULTS.blackHoleVisible;
@@ -910,6 +4011,102 @@ function initUISettings() {
     }
   });
 
+  // SOLAR CYCLE SETTINGS: dragging the phase takes it off the date
+  const cycleDateCheck = document.getElementById("input-solar-cycle-date");
+  cycleDateCheck.checked = DEFAULTS.solarCycleFollowsDate;
+  cycleDateCheck.addEventListener("change", (e) => {
+    SETTINGS.solarCycleFollowsDate = e.target.checked;
+    updateSolarActivity(getSimulationJd());
+  });
+  const cycleInput = document.getElementById("input-solar-cycle");
+  cycleInput.addEventListener("input", (e) => {
+    SETTINGS.solarCyclePhase = parseFloat(e.target.value);
+    SETTINGS.solarCycleFollowsDate = false;
+    cycleDateCheck.checked = false;
+    updateSolarActivity(getSimulationJd());
+  });
+  updateSolarCycleDisplay();
+
+  const atmosphereCheck = document.getElementById("input-atmospheres-visible");
+  atmosphereCheck.checked = DEFAULTS.atmospheresVisible;
+  atmosphereCheck.addEventListener("change", (e) => {
+    SETTINGS.atmospheresVisible = e.target.checked;
+    updateAtmosphereVisibility();
+  });
+
+  const lightingCheck = document.getElementById("input-physical-lighting");
+  lightingCheck.checked = DEFAULTS.physicalLighting;
+  lightingCheck.addEventListener("change", (e) => {
+    SETTINGS.physicalLighting = e.target.checked;
+  });
+
+  const dwarfCheck = document.getElementById("input-dwarf-visible");
+  dwarfCheck.checked = DEFAULTS.dwarfPlanetsVisible;
+  dwarfCheck.addEventListener("change", (e) => {
+    SETTINGS.dwarfPlanetsVisible = e.target.checked;
+    updateDwarfPlanetVisibility();
+  });
+
+  const lagrangeCheck = document.getElementById("input-lagrange-visible");
+  lagrangeCheck.checked = DEFAULTS.lagrangePointsVisible;
+  lagrangeCheck.addEventListener("change", (e) => {
+    SETTINGS.lagrangePointsVisible = e.target.checked;
+    updateOverlayVisibility();
+  });
+
+  const shadowCheck = document.getElementById("input-shadow-visible");
+  shadowCheck.checked = DEFAULTS.shadowConesVisible;
+  shadowCheck.addEventListener("change", (e) => {
+    SETTINGS.shadowConesVisible = e.target.checked;
+    updateShadowConeVisibility();
+  });
+
+  const linesCheck = document.getElementById("input-constellation-lines");
+  linesCheck.checked = DEFAULTS.constellationLinesVisible;
+  linesCheck.addEventListener("change", (e) => {
+    SETTINGS.constellationLinesVisible = e.target.checked;
+    updateConstellationVisibility();
+  });
+
+  const namesCheck = document.getElementById("input-constellation-names");
+  namesCheck.checked = DEFAULTS.constellationNamesVisible;
+  namesCheck.addEventListener("change", (e) => {
+    SETTINGS.constellationNamesVisible = e.target.checked;
+    updateConstellationVisibility();
+  });
+
+  const hillCheck = document.getElementById("input-hill-visible");
+  hillCheck.checked = DEFAULTS.hillSpheresVisible;
+  hillCheck.addEventListener("change", (e) => {
+    SETTINGS.hillSpheresVisible = e.target.checked;
+    updateOverlayVisibility();
+  });
+
+  // Per-planet moon toggles
+  const moonList = document.getElementById("moon-visibility-list");
+  CELESTIAL_BODIES.filter((body) => body.satellites).forEach((body) => {
+    SETTINGS.moonVisibility[body.name] = DEFAULTS.moonsVisible;
+    const row = document.createElement("div");
+    row.className = "checkbox-row";
+    row.innerHTML = `<label>${body.name}</label><input type="checkbox" />`;
+    const moonCheck = row.querySelector("input");
+    moonCheck.checked = DEFAULTS.moonsVisible;
+    moonCheck.addEventListener("change", (e) => {
+      SETTINGS.moonVisibility[body.name] = e.target.checked;
+      updateMoonVisibility();
+    });
+    moonList.appendChild(row);
+  });
+
+  const trajectoryInput = document.getElementById("input-trajectory-years");
+  trajectoryInput.value = DEFAULTS.trajectoryYears;
+  trajectoryInput.addEventListener("change", (e) => {
+    SETTINGS.trajectoryYears = parseFloat(e.target.value);
+    document.getElementById("disp-trajectory-years").innerText =
+      SETTINGS.trajectoryYears;
+    rebuildOpenOrbitLines();
+  });
+
   const opacityInput = document.getElementById("input-orbit-opacity");
   opacityInput.value = DEFAULTS.orbitOpacity;
   opacityInput.addEventListener("input", (e) => {
@@ -935,6 +4132,54 @@ function initUISettings() {
     updateUIOpacity(val);
   });
 
+  // SMALL BODY SETTINGS
+  document
+    .getElementById("input-small-body-file")
+    .addEventListener("change", (e) => {
+      if (e.target.files.length > 0) loadSmallBodyFile(e.target.files[0]);
+    });
+  document
+    .getElementById("btn-load-small-bodies")
+    .addEventListener("click", () => {
+      const path = document.getElementById("input-small-body-path").value;
+      if (path.trim()) loadSmallBodyPath(path.trim());
+    });
+  document
+    .getElementById("btn-clear-small-bodies")
+    .addEventListener("click", () => {
+      clearSmallBodies();
+      setSmallBodyStatus("No catalog loaded");
+    });
+  const sbCheck = document.getElementById("input-small-bodies-visible");
+  sbCheck.checked = DEFAULTS.smallBodiesVisible;
+  sbCheck.addEventListener("change", (e) => {
+    SETTINGS.smallBodiesVisible = e.target.checked;
+    if (STATE.smallBodies.points) {
+      STATE.smallBodies.points.visible = SETTINGS.smallBodiesVisible;
+    }
+  });
+
+  // STAR CATALOG SETTINGS
+  document.getElementById("input-star-file").addEventListener("change", (e) => {
+    if (e.target.files.length > 0) loadStarCatalogFile(e.target.files[0]);
+  });
+
+  // SPACECRAFT SETTINGS
+  document
+    .getElementById("input-spacecraft-file")
+    .addEventListener("change", (e) => {
+      if (e.target.files.length > 0) loadSpacecraftFile(e.target.files[0]);
+    });
+  document
+    .getElementById("btn-load-spacecraft")
+    .addEventListener("click", () => {
+      const path = document.getElementById("input-spacecraft-path").value;
+      if (path.trim()) loadSpacecraftPath(path.trim());
+    });
+  document
+    .getElementById("btn-clear-spacecraft")
+    .addEventListener("click", clearSpacecraft);
+
   // METEOR SETTINGS
   const mCountDisplay = document.getElementById("disp-meteor-count");
   mCountDisplay.innerText = SETTINGS.meteorCount;
@@ -978,6 +4223,22 @@ function resetVisuals() {
   SETTINGS.meteorSize = DEFAULTS.meteorSize;
   SETTINGS.meteorSpeed = DEFAULTS.meteorSpeed;
   SETTINGS.blackHoleVisible = DEFAULTS.blackHoleVisible;
+  SETTINGS.dwarfPlanetsVisible = DEFAULTS.dwarfPlanetsVisible;
+  SETTINGS.smallBodiesVisible = DEFAULTS.smallBodiesVisible;
+  SETTINGS.trajectoryYears = DEFAULTS.trajectoryYears;
+  SETTINGS.lagrangePointsVisible = DEFAULTS.lagrangePointsVisible;
+  SETTINGS.hillSpheresVisible = DEFAULTS.hillSpheresVisible;
+  SETTINGS.shadowConesVisible = DEFAULTS.shadowConesVisible;
+  SETTINGS.constellationLinesVisible = DEFAULTS.constellationLinesVisible;
+  SETTINGS.constellationNamesVisible = DEFAULTS.constellationNamesVisible;
+  SETTINGS.solarCyclePhase = DEFAULTS.solarCyclePhase;
+  SETTINGS.solarCycleFollowsDate = DEFAULTS.solarCycleFollowsDate;
+  SETTINGS.atmospheresVisible = DEFAULTS.atmospheresVisible;
+  SETTINGS.physicalLighting = DEFAULTS.physicalLighting;
+  SETTINGS.trueScale = DEFAULTS.trueScale;
+  Object.keys(SETTINGS.moonVisibility).forEach((name) => {
+    SETTINGS.moonVisibility[name] = DEFAULTS.moonsVisible;
+  });
 
   STATE.focusedBody = null;
   STATE.camera.position.set(0, 3, 10);
@@ -997,6 +4258,10 @@ function resetVisuals() {
   document.getElementById("disp-orbit-opacity").innerText =
     DEFAULTS.orbitOpacity;
   document.getElementById("input-orbit-color").value = DEFAULTS.orbitColor;
+  document.getElementById("input-trajectory-years").value =
+    DEFAULTS.trajectoryYears;
+  document.getElementById("disp-trajectory-years").innerText =
+    DEFAULTS.trajectoryYears;
   document.getElementById("input-ui-opacity").value = DEFAULTS.uiOpacity;
   document.getElementById("disp-ui-opacity").innerText = DEFAULTS.uiOpacity;
   document.getElementById("input-meteor-count").value = DEFAULTS.meteorCount;
@@ -1007,41 +4272,222 @@ function resetVisuals() {
   document.getElementById("disp-meteor-speed").innerText = DEFAULTS.meteorSpeed;
   document.getElementById("input-bh-visible").checked =
     DEFAULTS.blackHoleVisible;
+  document.getElementById("input-dwarf-visible").checked =
+    DEFAULTS.dwarfPlanetsVisible;
+  document.getElementById("input-small-bodies-visible").checked =
+    DEFAULTS.smallBodiesVisible;
+  document.getElementById("input-lagrange-visible").checked =
+    DEFAULTS.lagrangePointsVisible;
+  document.getElementById("input-hill-visible").checked =
+    DEFAULTS.hillSpheresVisible;
+  document.getElementById("input-shadow-visible").checked =
+    DEFAULTS.shadowConesVisible;
+  document.getElementById("input-constellation-lines").checked =
+    DEFAULTS.constellationLinesVisible;
+  document.getElementById("input-constellation-names").checked =
+    DEFAULTS.constellationNamesVisible;
+  document.getElementById("input-solar-cycle-date").checked =
+    DEFAULTS.solarCycleFollowsDate;
+  document.getElementById("input-atmospheres-visible").checked =
+    DEFAULTS.atmospheresVisible;
+  document.getElementById("input-physical-lighting").checked =
+    DEFAULTS.physicalLighting;
+  document.getElementById("input-true-scale").checked = DEFAULTS.trueScale;
+  document
+    .querySelectorAll("#moon-visibility-list input")
+    .forEach((input) => (input.checked = DEFAULTS.moonsVisible));
 
   STATE.activeBodies.forEach((b) => updateVisualsRecursive(b));
+  updateMoonVisibility();
+  updateDwarfPlanetVisibility();
+  updateOverlayVisibility();
+  updateShadowConeVisibility();
+  updateConstellationVisibility();
+  updateAtmosphereVisibility();
+  updateTrueScale();
+  rebuildOpenOrbitLines();
+  updateSolarActivity(getSimulationJd());
+  updateSolarCycleDisplay();
   updateUIOpacity(DEFAULTS.uiOpacity);
   createMeteoroids();
 
   if (STATE.blackHole.group) {
     STATE.blackHole.group.visible = DEFAULTS.blackHoleVisible;
   }
+  if (STATE.smallBodies.points) {
+    STATE.smallBodies.points.visible = DEFAULTS.smallBodiesVisible;
+  }
 }
 
-function resetTime() {
-  STATE.simulationDate = new Date();
-  STATE.speedMultiplier = 1;
-  document.getElementById("speed-display").innerText = "Real Time";
+// Jumps the clock; the N-body state cannot be stepped across a jump
+function setSimulationJd(jd) {
+  setClockJd(STATE.simulationClock, jd);
+  if (STATE.nBody.system) initNBody(jd);
+}
+
+// The speed slider is log10 of the rate plus one, signed, so 1 is real time
+// and 11 is 10^10 s/s (about three centuries a second); inside +-1 it pauses
+function speedFromSlider(value) {
+  if (Math.abs(value) < 1) return 0;
+  return Math.sign(value) * Math.pow(10, Math.abs(value) - 1);
+}
+
+function sliderFromSpeed(speed) {
+  if (speed === 0) return 0;
+  return Math.sign(speed) * (Math.log10(Math.abs(speed)) + 1);
+}
+
+const SPEED_UNITS = [
+  ["centuries", 3155760000],
+  ["years", 31557600],
+  ["days", 86400],
+  ["h", 3600],
+  ["min", 60],
+  ["s", 1],
+];
+
+function formatSpeed(val) {
+  if (val === 0) return "Paused";
+  if (val === 1) return "Real Time";
+  const rate = Math.abs(val);
+  const [unit, seconds] =
+    SPEED_UNITS.find(([, seconds]) => rate >= seconds) || SPEED_UNITS[5];
+  const amount = rate / seconds;
+  const sign = val < 0 ? "-" : "";
+  return `${sign}${amount.toFixed(amount < 10 ? 1 : 0)} ${unit}/s`;
+}
+
+function setSpeedMultiplier(val) {
+  STATE.simulationClock.speed = val;
+  document.getElementById("speed-display").innerText = formatSpeed(val);
+  document.getElementById("input-speed").value = sliderFromSpeed(val);
   document
     .querySelectorAll(".speed-btn")
-    .forEach((b) => b.classList.remove("active"));
-  document.getElementById("btn-real").classList.add("active");
+    .forEach((b) =>
+      b.classList.toggle("active", parseInt(b.dataset.speed) === val)
+    );
+}
+
+function resetTime() {
+  setSimulationJd(getJulianDate(new Date()));
+  setSpeedMultiplier(1);
+}
+
+// Dates are typed in the time scale the readout is set to
+function goToDate() {
+  const input = document.getElementById("input-date");
+  const status = document.getElementById("date-input-status");
+  const jd = parseDateInput(input.value);
+  if (!Number.isFinite(jd)) {
+    status.innerText = `Unrecognised date "${input.value}"`;
+    return;
+  }
+  status.innerText = "";
+  setSimulationJd(convertTime(jd, STATE.timeScale, "TDB"));
+  updateUI();
+}
+
+function bindTimeControls() {
+  const speedInput = document.getElementById("input-speed");
+  speedInput.addEventListener("input", () =>
+    setSpeedMultiplier(speedFromSlider(parseFloat(speedInput.value)))
+  );
+
+  const dateInput = document.getElementById("input-date");
+  dateInput.value = formatIsoDate(
+    convertTime(getSimulationJd(), "TDB", STATE.timeScale)
+  );
+  dateInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") goToDate();
+  });
+  document.getElementById("btn-goto-date").addEventListener("click", goToDate);
+
+  const timeline = document.getElementById("input-timeline");
+  const spanSelect = document.getElementById("input-timeline-span");
+  STATE.timeline.anchor = getSimulationJd();
+  spanSelect.value = STATE.timeline.span;
+  timeline.addEventListener("pointerdown", () => {
+    STATE.timeline.dragging = true;
+  });
+  timeline.addEventListener("pointerup", () => {
+    STATE.timeline.dragging = false;
+  });
+  timeline.addEventListener("input", () => {
+    const { anchor, span } = STATE.timeline;
+    setSimulationJd(anchor + parseFloat(timeline.value) * span);
+    updateUI();
+  });
+  spanSelect.addEventListener("change", () => {
+    STATE.timeline.anchor = getSimulationJd();
+    STATE.timeline.span = parseFloat(spanSelect.value);
+    updateTimeline();
+  });
+
+  const scaleSelect = document.getElementById("input-time-scale");
+  TIME_SCALES.forEach((scale) => {
+    const option = document.createElement("option");
+    option.value = scale;
+    option.innerText = scale;
+    scaleSelect.appendChild(option);
+  });
+  scaleSelect.value = STATE.timeScale;
+  scaleSelect.addEventListener("change", (e) => {
+    STATE.timeScale = e.target.value;
+    updateUI();
+  });
+  document
+    .getElementById("input-date-format")
+    .addEventListener("change", (e) => {
+      STATE.dateFormat = e.target.value;
+      updateUI();
+    });
+}
+
+function bindNBodyControls() {
+  document
+    .getElementById("input-nbody-enabled")
+    .addEventListener("change", (e) => {
+      if (e.target.checked) {
+        initNBody(getSimulationJd());
+      } else {
+        stopNBody();
+      }
+    });
+
+  document
+    .getElementById("input-nbody-integrator")
+    .addEventListener("change", (e) => {
+      STATE.nBody.integrator = e.target.value;
+    });
+
+  const bodySelect = document.getElementById("input-nbody-body");
+  const massInput = document.getElementById("input-nbody-mass");
+  const massDisplay = document.getElementById("disp-nbody-mass");
+  CELESTIAL_BODIES.filter((body) => body.mu > 0).forEach((body) => {
+    const option = document.createElement("option");
+    option.value = body.name;
+    option.innerText = body.name;
+    bodySelect.appendChild(option);
+  });
+  bodySelect.value = "Jupiter";
+
+  const showMassFactor = () => {
+    const factor = STATE.nBody.massFactors[bodySelect.value] ?? 1;
+    massInput.value = factor;
+    massDisplay.innerText = `${factor.toFixed(1)}x`;
+  };
+  bodySelect.addEventListener("change", showMassFactor);
+  massInput.addEventListener("input", (e) => {
+    setNBodyMassFactor(bodySelect.value, parseFloat(e.target.value));
+    showMassFactor();
+  });
+  showMassFactor();
 }
 
 function bindEvents() {
   document.querySelectorAll(".speed-btn").forEach((btn) => {
     btn.addEventListener("click", (e) => {
-      const val = parseInt(e.target.dataset.speed);
-      STATE.speedMultiplier = val;
-      let text = "";
-      if (val === 0) text = "Paused";
-      else if (val === 1) text = "Real Time";
-      else if (val >= 86400) text = "Fast Forward";
-      else if (val <= -86400) text = "Rewind";
-      document.getElementById("speed-display").innerText = text;
-      document
-        .querySelectorAll(".speed-btn")
-        .forEach((b) => b.classList.remove("active"));
-      e.target.classList.add("active");
+      setSpeedMultiplier(parseInt(e.target.dataset.speed));
     });
   });
   document
@@ -1050,6 +4496,27 @@ function bindEvents() {
   document
     .getElementById("btn-reset-visuals")
     .addEventListener("click", resetVisuals);
+  bindTimeControls();
+  bindNBodyControls();
+  bindPlannerControls();
+  bindObserverControls();
+  bindApparentControls();
+
+  document.getElementById("btn-find-events").addEventListener("click", () => {
+    const direction = parseInt(
+      document.getElementById("input-event-direction").value
+    );
+    const years = parseFloat(document.getElementById("input-event-span").value);
+    renderEventList(searchEvents(getSimulationJd(), direction, years));
+  });
+
+  // Element files can be dropped anywhere on the page
+  window.addEventListener("dragover", (e) => e.preventDefault());
+  window.addEventListener("drop", (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    if (file) loadDroppedFile(file);
+  });
 }
 
 function init() {
@@ -1062,6 +4529,9 @@ function init() {
   createLighting(STATE.scene);
   createStarField(STATE.scene);
   createSolarSystem(STATE.scene);
+  createLagrangePoints(STATE.scene);
+  createShadowCones();
+  createObserverSky(STATE.scene);
   createMeteoroids();
   createBlackHole();
 
@@ -0,0 +1,151 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  bodies,
+  elementsAt,
+  positionOf,
+  velocityOf,
+} from "../src/Ephemeris.js";
+
+const DEG_TO_RAD = Math.PI / 180;
+const AU_KM = 149597870.7;
+const SECONDS_PER_DAY = 86400;
+const OBLIQUITY_J2000 = 23.4392911 * DEG_TO_RAD;
+
+const REFERENCE = JSON.parse(
+  readFileSync(new URL("./fixtures/reference-positions.json", import.meta.url))
+);
+
+const length = ([x, y, z]) => Math.hypot(x, y, z);
+const difference = (a, b) => a.map((c, k) => c - b[k]);
+
+function toSpherical(position) {
+  const [x, y, z] = position;
+  const distance = length(position);
+  return {
+    longitude: (((Math.atan2(y, x) / DEG_TO_RAD) % 360) + 360) % 360,
+    latitude: Math.asin(z / distance) / DEG_TO_RAD,
+    distance,
+  };
+}
+
+function fromSpherical({ longitude, latitude, distance }) {
+  const l = longitude * DEG_TO_RAD;
+  const b = latitude * DEG_TO_RAD;
+  return [
+    distance * Math.cos(b) * Math.cos(l),
+    distance * Math.cos(b) * Math.sin(l),
+    distance * Math.sin(b),
+  ];
+}
+
+// Angle in degrees between two directions
+function separation(a, b) {
+  const cos =
+    (a[0] * b[0] + a[1] * b[1] + a[2] * b[2]) / (length(a) * length(b));
+  return Math.acos(Math.min(1, Math.max(-1, cos))) / DEG_TO_RAD;
+}
+
+for (const reference of REFERENCE.positions) {
+  test(`${reference.name} matches ${reference.source}`, () => {
+    const position = positionOf(reference.name, reference.jd, {
+      center: reference.center,
+    });
+    const error = separation(position, fromSpherical(reference));
+    assert.ok(
+      error <= reference.toleranceDeg,
+      `${reference.name} is ${error.toFixed(4)} deg off`
+    );
+    const distance = toSpherical(position).distance;
+    assert.ok(
+      Math.abs(distance - reference.distance) <= reference.toleranceAu,
+      `${reference.name} distance ${distance} AU`
+    );
+  });
+}
+
+test("accepts a Date as well as a TDB Julian date", () => {
+  // 2000-01-01T11:58:55.816Z is J2000.0 (TT 12:00)
+  const fromDate = positionOf("Mars", new Date("2000-01-01T11:58:55.816Z"));
+  const fromJd = positionOf("Mars", 2451545.0);
+  assert.ok(length(difference(fromDate, fromJd)) < 1e-8);
+});
+
+test("the Sun sits at the origin", () => {
+  assert.deepEqual(positionOf("Sun", 2451545.0), [0, 0, 0]);
+});
+
+test("center moves the origin to another body", () => {
+  const jd = 2460310.5;
+  const moon = positionOf("Moon", jd);
+  const earth = positionOf("Earth", jd);
+  const geocentric = positionOf("Moon", jd, { center: "Earth" });
+  assert.ok(length(difference(geocentric, difference(moon, earth))) < 1e-12);
+  assert.deepEqual(positionOf("Earth", jd, { center: "Earth" }), [0, 0, 0]);
+});
+
+test("the equatorial frame is the ecliptic rotated by the obliquity", () => {
+  const jd = 2460310.5;
+  const [x, y, z] = positionOf("Jupiter", jd);
+  const equatorial = positionOf("Jupiter", jd, { frame: "equatorial" });
+  const c = Math.cos(OBLIQUITY_J2000);
+  const s = Math.sin(OBLIQUITY_J2000);
+  const expected = [x, y * c - z * s, y * s + z * c];
+  assert.ok(length(difference(equatorial, expected)) < 1e-12);
+});
+
+test("moons keep to their orbits", () => {
+  const jd = 2460310.5;
+  const io = length(positionOf("Io", jd, { center: "Jupiter" })) * AU_KM;
+  assert.ok(Math.abs(io - 421800) < 5000, `Io at ${io} km`);
+  const moon = length(positionOf("Moon", jd, { center: "Earth" })) * AU_KM;
+  assert.ok(moon > 356000 && moon < 407000, `Moon at ${moon} km`);
+});
+
+test("velocityOf gives the Earth's orbital speed", () => {
+  const speed =
+    (length(velocityOf("Earth", 2460310.5)) * AU_KM) / SECONDS_PER_DAY;
+  assert.ok(Math.abs(speed - 29.78) < 0.6, `Earth at ${speed} km/s`);
+});
+
+test("elementsAt returns osculating and perihelion elements", () => {
+  const mars = elementsAt("Mars", 2451545.0);
+  assert.ok(Math.abs(mars.a - 1.5237) < 1e-3);
+  for (const angle of ["L", "w", "o", "M"]) {
+    assert.ok(mars[angle] >= 0 && mars[angle] < 360, `${angle} wrapped`);
+  }
+  const halley = elementsAt("1P/Halley", 2446470.959);
+  assert.ok(Math.abs(halley.q - 0.586) < 1e-3);
+  assert.ok(Math.abs(halley.M) < 1e-6, "at perihelion");
+  assert.ok(Math.abs(halley.a - 17.8) < 0.1);
+});
+
+test("bodies lists every body with its parent and category", () => {
+  const list = bodies();
+  const find = (name) => list.find((body) => body.name === name);
+  assert.deepEqual(find("Sun"), {
+    name: "Sun",
+    parent: null,
+    category: "star",
+  });
+  assert.equal(find("Titan").parent, "Saturn");
+  assert.equal(find("Titan").category, "satellite");
+  assert.equal(find("Pluto").category, "dwarf");
+  for (const { name } of list) {
+    assert.equal(positionOf(name, 2451545.0).length, 3);
+  }
+});
+
+test("unknown names and frames throw", () => {
+  assert.throws(() => positionOf("Vulcan", 2451545.0), /Unknown body "Vulcan"/);
+  assert.throws(
+    () => positionOf("Mars", 2451545.0, { center: "Vulcan" }),
+    /Unknown body/
+  );
+  assert.throws(
+    () => positionOf("Mars", 2451545.0, { frame: "galactic" }),
+    /Unknown frame/
+  );
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { positionOf } from "../src/Ephemeris.js";
+import {
+  angleBetween,
+  classifySolarEclipse,
+  findMinima,
+} from "../src/EventSearch.js";
+
+const AU_KM = 149597870.7;
+const RADII = {
+  sun: 695700 / AU_KM,
+  earth: 6371.0 / AU_KM,
+  moon: 1737.4 / AU_KM,
+};
+
+// The solar eclipse at the new moon inside [start, end]
+function solarEclipseBetween(start, end) {
+  const geometry = (jd) => ({
+    earth: positionOf("Earth", jd),
+    moon: positionOf("Moon", jd),
+  });
+  const [newMoon] = findMinima(
+    (jd) => {
+      const { earth, moon } = geometry(jd);
+      return angleBetween(
+        moon.map((c, k) => c - earth[k]),
+        earth.map((c) => -c)
+      );
+    },
+    start,
+    end,
+    0.5
+  );
+  const { earth, moon } = geometry(newMoon.t);
+  return classifySolarEclipse(earth, moon, RADII);
+}
+
+test("2020-12-14 is a total solar eclipse", () => {
+  assert.equal(solarEclipseBetween(2459197, 2459199), "Total");
+});
+
+test("2023-10-14 is an annular solar eclipse", () => {
+  assert.equal(solarEclipseBetween(2460230, 2460233), "Annular");
+});
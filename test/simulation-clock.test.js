@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  advanceClock,
+  createSimulationClock,
+  getClockJd,
+} from "../src/SimulationClock.js";
+
+const SECONDS_PER_YEAR = 365.25 * 86400;
+
+// Runs a clock at a year per second through `frames` equal frames of one
+// real second in total and returns it with every substep date it reported
+function runSplit(frames) {
+  const clock = createSimulationClock(2451545.0, {
+    maxSteps: 1000,
+    maxSubstep: 0.01,
+  });
+  clock.speed = SECONDS_PER_YEAR;
+  const dates = [];
+  for (let n = 0; n < frames; n++) {
+    advanceClock(clock, 1 / frames, (jd) => dates.push(jd));
+  }
+  return { clock, dates };
+}
+
+test("the same real time gives the same date however it is split", () => {
+  const whole = runSplit(1);
+  for (const frames of [3, 7, 120]) {
+    const split = runSplit(frames);
+    assert.equal(getClockJd(split.clock), getClockJd(whole.clock));
+    assert.deepEqual(split.dates, whole.dates);
+  }
+});
+
+test("a second at a year per second advances a year", () => {
+  const { clock } = runSplit(120);
+  assert.ok(Math.abs(getClockJd(clock) - (2451545.0 + 365.25)) < 1e-9);
+});
+
+test("a stalled frame drops the backlog past maxSteps", () => {
+  const clock = createSimulationClock(2451545.0, { step: 1, maxSteps: 5 });
+  assert.equal(advanceClock(clock, 60), 5);
+  assert.equal(clock.accumulator, 0);
+  assert.equal(getClockJd(clock), 2451545.0 + 5 / 86400);
+});
@@ -0,0 +1,138 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  getEphemerisPosition,
+  isEphemerisFile,
+  parseEphemerisFile,
+} from "../src/SpacecraftEphemeris.js";
+
+const DEG_TO_RAD = Math.PI / 180;
+const AU_KM = 149597870.7;
+const SECONDS_PER_DAY = 86400;
+
+const SAMPLE = readFileSync(
+  new URL("../public/ephemerides/sample-orbit.txt", import.meta.url),
+  "utf8"
+);
+
+// The orbit public/ephemerides/sample-orbit.txt was computed from
+const ORBIT = {
+  start: 2460676.5,
+  radius: 1.2 * AU_KM,
+  inclination: 10 * DEG_TO_RAD,
+  rate: Math.sqrt(1.32712440018e11 / (1.2 * AU_KM) ** 3) * SECONDS_PER_DAY,
+};
+
+function orbitPosition(jd) {
+  const angle = ORBIT.rate * (jd - ORBIT.start);
+  const { radius, inclination } = ORBIT;
+  return {
+    x: radius * Math.cos(angle),
+    y: radius * Math.sin(angle) * Math.cos(inclination),
+    z: radius * Math.sin(angle) * Math.sin(inclination),
+  };
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+
+test("a Horizons table is read by its column positions", () => {
+  assert.ok(isEphemerisFile(SAMPLE, "sample-orbit.txt"));
+  const [ephemeris] = parseEphemerisFile(SAMPLE, "sample-orbit.txt");
+  assert.equal(ephemeris.name, "Sample circular orbit");
+  assert.equal(ephemeris.center, "Sun");
+  assert.equal(ephemeris.frame, "ecliptic");
+  assert.equal(ephemeris.start, 2460676.5);
+  assert.equal(ephemeris.end, 2460706.5);
+  assert.ok(ephemeris.hasVelocity);
+
+  // Row 2: X, Y, Z, VX, VY, VZ in km and km/s; LT, RG and RR are skipped
+  assert.deepEqual(
+    Array.from(ephemeris.states.subarray(6, 12)),
+    [
+      1.7950207428286558e8, 2.3134243061161307e6, 4.0791912299503293e5,
+      -3.5579485622374468e-1, 2.6774215857811214e1, 4.7210166430445542,
+    ]
+  );
+});
+
+test("AU and AU/day tables come out in km and km/s", () => {
+  const text = SAMPLE.replace("KM-S", "AU-D").replace(
+    /^(2460676\.5\d*, [^,]*),[^\n]*$/m,
+    "$1, 1.0, 0.0, 0.0, 0.0, 0.01, 0.0,"
+  );
+  const [ephemeris] = parseEphemerisFile(text, "sample-orbit.txt");
+  const velocity = (0.01 * AU_KM) / SECONDS_PER_DAY;
+  assert.deepEqual(Array.from(ephemeris.states.subarray(0, 6)), [
+    AU_KM,
+    0,
+    0,
+    0,
+    velocity,
+    0,
+  ]);
+});
+
+test("Hermite interpolation between daily states stays on the orbit", () => {
+  const [ephemeris] = parseEphemerisFile(SAMPLE, "sample-orbit.txt");
+  const position = { x: 0, y: 0, z: 0 };
+  for (let jd = ephemeris.start; jd <= ephemeris.end; jd += 0.125) {
+    getEphemerisPosition(ephemeris, jd, position);
+    // The velocities bend the spline by thousands of km at mid-interval;
+    // read as km/day instead of km/s they would miss by millions
+    assert.ok(distance(position, orbitPosition(jd)) < 0.1, `JD ${jd}`);
+  }
+  assert.equal(getEphemerisPosition(ephemeris, ephemeris.end + 1, {}), null);
+});
+
+test("Chebyshev segments evaluate their series", () => {
+  // x = T0 + 2 T1 + 3 T2, y = -T3 and z = 5 within each segment
+  const chebyshev = (s) => ({
+    x: 1 + 2 * s + 3 * (2 * s * s - 1),
+    y: -(4 * s * s * s - 3 * s),
+    z: 5,
+  });
+  const segment = (mid) => ({
+    mid,
+    radius: 16,
+    x: [1, 2, 3],
+    y: [0, 0, 0, -1],
+    z: [5],
+  });
+  const [ephemeris] = parseEphemerisFile(
+    JSON.stringify({
+      name: "Probe",
+      type: 2,
+      segments: [segment(16), segment(48)],
+    }),
+    "probe.json"
+  );
+  assert.equal(ephemeris.start, 0);
+  assert.equal(ephemeris.end, 64);
+
+  const position = { x: 0, y: 0, z: 0 };
+  for (const jd of [0, 5, 16, 31.5, 40, 48, 63, 64]) {
+    const mid = jd <= 32 ? 16 : 48;
+    getEphemerisPosition(ephemeris, jd, position);
+    const expected = chebyshev((jd - mid) / 16);
+    assert.ok(distance(position, expected) < 1e-12, `JD ${jd}`);
+  }
+});
+
+test("event dates are UTC and land on the TDB timeline", () => {
+  const [ephemeris] = parseEphemerisFile(
+    JSON.stringify({
+      name: "Probe",
+      states: [
+        [2460676.5, 0, 0, 0],
+        [2460677.5, 1, 0, 0],
+      ],
+      events: [{ date: "2025-01-01T00:00:00Z", label: "Launch" }],
+    }),
+    "probe.json"
+  );
+  // TDB - UTC is 32.184 s + 37 leap seconds, give or take 2 ms
+  const seconds = (ephemeris.events[0].jd - 2460676.5) * SECONDS_PER_DAY;
+  assert.ok(Math.abs(seconds - 69.184) < 0.002);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  calendarToJulianDate,
+  convertTime,
+  formatUtcDay,
+  parseUtcDay,
+} from "../src/TimeScales.js";
+
+// TT - UTC in seconds at a UTC calendar date
+function ttMinusUtc(year, month, day) {
+  const jdUTC = calendarToJulianDate(year, month, day);
+  return (convertTime(jdUTC, "UTC", "TT") - jdUTC) * 86400;
+}
+
+test("TT - UTC follows the leap-second table", () => {
+  assert.ok(Math.abs(ttMinusUtc(2016, 12, 31) - 68.184) < 1e-4);
+  assert.ok(Math.abs(ttMinusUtc(2017, 1, 1) - 69.184) < 1e-4);
+});
+
+test("the last leap-second offset holds past the latest bulletin", () => {
+  assert.ok(Math.abs(ttMinusUtc(2026, 10, 18) - 69.184) < 1e-4);
+  assert.ok(Math.abs(ttMinusUtc(2034, 12, 31) - 69.184) < 1e-4);
+});
+
+test("delta T takes over from the table without a jump", () => {
+  assert.ok(Math.abs(ttMinusUtc(2035, 1, 2) - 69.184) < 0.1);
+});
+
+test("UTC round-trips through TDB", () => {
+  const jdUTC = calendarToJulianDate(2026, 10, 18, 43200);
+  const back = convertTime(convertTime(jdUTC, "UTC", "TDB"), "TDB", "UTC");
+  assert.ok(Math.abs(back - jdUTC) * 86400 < 1e-4);
+});
+
+test("a porkchop cell's departure day reads back as the same date", () => {
+  // Cell dates at TDB 0h fall 69 s before UTC midnight
+  for (let jd = 2461000.5; jd < 2461400; jd += 0.37) {
+    const day = formatUtcDay(jd);
+    const departure = parseUtcDay(day);
+    assert.equal(formatUtcDay(departure), day);
+    assert.equal(parseUtcDay(formatUtcDay(departure)), departure);
+    assert.ok(departure <= jd + 1 / 86400 && jd < departure + 1);
+  }
+  // 2025-11-21 0h TDB is still 2025-11-20 in UTC
+  assert.equal(formatUtcDay(2461000.5), "2025-11-20");
+});